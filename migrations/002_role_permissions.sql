@@ -0,0 +1,69 @@
+-- SQLite migration: move role permissions from `roles.can_<perm>` columns to the
+-- normalized `permissions` / `role_permissions` tables.
+-- Run this once on databases created before role_permissions existed, BEFORE
+-- re-running dbinit.sql (otherwise dbinit's default seeds are applied instead of
+-- the flags your roles actually have). Fresh databases only need dbinit.sql.
+
+PRAGMA foreign_keys = ON;
+
+CREATE TABLE IF NOT EXISTS permissions (
+	id INTEGER PRIMARY KEY AUTOINCREMENT,
+	name TEXT NOT NULL UNIQUE,
+	description TEXT,
+	is_default INTEGER NOT NULL DEFAULT 0,
+	created_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f','now'))
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+	role_id INTEGER NOT NULL,
+	permission_id INTEGER NOT NULL,
+	created_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f','now')),
+	PRIMARY KEY (role_id, permission_id),
+	FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+	FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_role_permissions_permission_id ON role_permissions(permission_id);
+
+-- One permission per former column; is_default mirrors the old column DEFAULT
+INSERT OR IGNORE INTO permissions (name, description, is_default) VALUES
+	('get_my_user', 'Read your own user profile', 1),
+	('get_users', 'List all users', 0),
+	('post_login', 'Log in with username and password', 1),
+	('post_products', 'Create products', 1),
+	('get_products', 'List all products', 0),
+	('get_my_products', 'List your own products', 1),
+	('get_bestsellers', 'List your best-selling products', 0),
+	('upload_media', 'Attach images to products', 0),
+	('create_api_keys', 'Create API keys', 1),
+	('read_api_keys', 'List your API keys', 1),
+	('delete_api_keys', 'Delete your API keys', 1);
+
+-- Convert every flag that is set on an existing role into a grant
+INSERT OR IGNORE INTO role_permissions (role_id, permission_id)
+	SELECT r.id, p.id FROM roles r JOIN permissions p ON
+		(p.name = 'get_my_user' AND r.can_get_my_user = 1) OR
+		(p.name = 'get_users' AND r.can_get_users = 1) OR
+		(p.name = 'post_login' AND r.can_post_login = 1) OR
+		(p.name = 'post_products' AND r.can_post_products = 1) OR
+		(p.name = 'get_products' AND r.can_get_products = 1) OR
+		(p.name = 'get_my_products' AND r.can_get_my_products = 1) OR
+		(p.name = 'get_bestsellers' AND r.can_get_bestsellers = 1) OR
+		(p.name = 'upload_media' AND r.can_upload_media = 1) OR
+		(p.name = 'create_api_keys' AND r.can_create_api_keys = 1) OR
+		(p.name = 'read_api_keys' AND r.can_read_api_keys = 1) OR
+		(p.name = 'delete_api_keys' AND r.can_delete_api_keys = 1);
+
+-- Drop the old columns and add the role description
+ALTER TABLE roles DROP COLUMN can_get_my_user;
+ALTER TABLE roles DROP COLUMN can_get_users;
+ALTER TABLE roles DROP COLUMN can_post_login;
+ALTER TABLE roles DROP COLUMN can_post_products;
+ALTER TABLE roles DROP COLUMN can_get_products;
+ALTER TABLE roles DROP COLUMN can_get_my_products;
+ALTER TABLE roles DROP COLUMN can_get_bestsellers;
+ALTER TABLE roles DROP COLUMN can_upload_media;
+ALTER TABLE roles DROP COLUMN can_create_api_keys;
+ALTER TABLE roles DROP COLUMN can_read_api_keys;
+ALTER TABLE roles DROP COLUMN can_delete_api_keys;
+ALTER TABLE roles ADD COLUMN description TEXT;
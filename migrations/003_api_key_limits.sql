@@ -0,0 +1,15 @@
+-- SQLite migration: per-API-key rate limits and monthly quotas.
+-- Run once on databases created before these columns existed, then re-run dbinit.sql
+-- (which creates api_key_usage). The built-in roles get their caps here: dbinit.sql
+-- only sets them on roles it creates, so caps changed later are never reset.
+
+ALTER TABLE roles ADD COLUMN max_api_key_rate_limit INTEGER;
+ALTER TABLE roles ADD COLUMN max_api_key_monthly_quota INTEGER;
+
+ALTER TABLE api_keys ADD COLUMN rate_limit INTEGER;
+ALTER TABLE api_keys ADD COLUMN monthly_quota INTEGER;
+
+-- Caps on the limits members of each role may give their API keys (admin is uncapped)
+UPDATE roles SET max_api_key_rate_limit = 60, max_api_key_monthly_quota = 10000 WHERE name = 'user';
+UPDATE roles SET max_api_key_rate_limit = 300, max_api_key_monthly_quota = 100000 WHERE name = 'premium';
+UPDATE roles SET max_api_key_rate_limit = 0, max_api_key_monthly_quota = 0 WHERE name = 'ban';
@@ -0,0 +1,20 @@
+-- SQLite migration: API key expiry, rotation and last-used tracking.
+-- Run once on databases created before these columns existed, then re-run dbinit.sql.
+
+ALTER TABLE api_keys ADD COLUMN expires_at DATETIME;
+ALTER TABLE api_keys ADD COLUMN last_used_at DATETIME;
+ALTER TABLE api_keys ADD COLUMN last_used_ip TEXT;
+ALTER TABLE api_keys ADD COLUMN previous_key_hash TEXT;
+ALTER TABLE api_keys ADD COLUMN previous_key_expires_at DATETIME;
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_previous_key_hash ON api_keys(previous_key_hash);
+
+-- New permission for PATCH /api-keys/:public_id and rotation, granted to every
+-- role that can already create keys
+INSERT OR IGNORE INTO permissions (name, description, is_default) VALUES
+	('update_api_keys', 'Rename, disable, narrow and rotate your API keys', 1);
+
+INSERT OR IGNORE INTO role_permissions (role_id, permission_id)
+	SELECT rp.role_id, p.id FROM role_permissions rp
+	JOIN permissions c ON c.id = rp.permission_id AND c.name = 'create_api_keys'
+	JOIN permissions p ON p.name = 'update_api_keys';
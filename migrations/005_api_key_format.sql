@@ -0,0 +1,5 @@
+-- SQLite migration: prefixed, checksummed API key format.
+-- Existing keys keep their hashes and stay usable as legacy hex keys until
+-- LEGACY_API_KEYS_UNTIL; rotating a key issues it in the new format.
+
+ALTER TABLE api_keys ADD COLUMN key_prefix TEXT;
@@ -0,0 +1,4 @@
+-- SQLite migration: per-key scopes (products, source IP ranges, read-only).
+-- Existing keys get NULL scopes, i.e. stay unrestricted.
+
+ALTER TABLE api_keys ADD COLUMN scopes TEXT;
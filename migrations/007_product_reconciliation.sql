@@ -0,0 +1,5 @@
+-- SQLite migration: reconciliation with Shopify.
+-- orphaned_at flags products that no longer exist on Shopify; deleted_at soft-deletes them.
+
+ALTER TABLE products ADD COLUMN orphaned_at DATETIME;
+ALTER TABLE products ADD COLUMN deleted_at DATETIME;
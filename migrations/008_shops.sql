@@ -0,0 +1,5 @@
+-- SQLite migration: products linked to the shop they were created in.
+-- Run once on databases created before this column existed, then re-run dbinit.sql
+-- (which creates the `shops` table). Existing products keep NULL: the default shop.
+
+ALTER TABLE products ADD COLUMN shop_id INTEGER REFERENCES shops(id);
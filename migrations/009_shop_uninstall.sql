@@ -0,0 +1,4 @@
+-- SQLite migration: shops the app was uninstalled from (app/uninstalled webhook).
+-- Run once on databases whose `shops` table was created before this column existed.
+
+ALTER TABLE shops ADD COLUMN uninstalled_at DATETIME;
@@ -0,0 +1,5 @@
+-- SQLite migration: permanent revocation of leaked API keys.
+-- Keys disabled by POST /api/api-keys/revoke-leaked before this column existed stay
+-- merely disabled; revoke them again (or delete them) to make it permanent.
+
+ALTER TABLE api_keys ADD COLUMN revoked_at DATETIME;
@@ -3,24 +3,35 @@
 
 PRAGMA foreign_keys = ON;
 
--- Roles: permissions are stored as individual columns named `can_<perm>`
+-- Roles: permissions are granted through the role_permissions join table
 CREATE TABLE IF NOT EXISTS roles (
 	id INTEGER PRIMARY KEY AUTOINCREMENT,
 	name TEXT NOT NULL UNIQUE,
-	can_get_my_user INTEGER NOT NULL DEFAULT 1,
-	can_get_users INTEGER NOT NULL DEFAULT 0,
-	can_post_login INTEGER NOT NULL DEFAULT 1,
-	can_post_products INTEGER NOT NULL DEFAULT 1,
-	can_get_products INTEGER NOT NULL DEFAULT 0,
-	can_get_my_products INTEGER NOT NULL DEFAULT 1,
-	can_get_bestsellers INTEGER NOT NULL DEFAULT 0,
-	can_upload_media INTEGER NOT NULL DEFAULT 0,
-	can_create_api_keys INTEGER NOT NULL DEFAULT 1,
-	can_read_api_keys INTEGER NOT NULL DEFAULT 1,
-	can_delete_api_keys INTEGER NOT NULL DEFAULT 1,
+	description TEXT,
+	max_api_key_rate_limit INTEGER, -- highest requests/minute a member may give an API key (NULL = no cap)
+	max_api_key_monthly_quota INTEGER, -- highest monthly quota a member may give an API key (NULL = no cap)
 	created_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f','now'))
 );
 
+-- Permissions: one row per permission name checked by `requireRole` (e.g. 'post_products').
+-- `is_default` permissions are granted to newly created roles unless a list is given.
+CREATE TABLE IF NOT EXISTS permissions (
+	id INTEGER PRIMARY KEY AUTOINCREMENT,
+	name TEXT NOT NULL UNIQUE,
+	description TEXT,
+	is_default INTEGER NOT NULL DEFAULT 0,
+	created_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f','now'))
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+	role_id INTEGER NOT NULL,
+	permission_id INTEGER NOT NULL,
+	created_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f','now')),
+	PRIMARY KEY (role_id, permission_id),
+	FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+	FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE
+);
+
 -- Users table: stores internal id and public_id used across the API
 CREATE TABLE IF NOT EXISTS users (
 	id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -39,15 +50,50 @@ CREATE TABLE IF NOT EXISTS api_keys (
 	id INTEGER PRIMARY KEY AUTOINCREMENT,
 	public_id TEXT UNIQUE,
 	key_hash TEXT NOT NULL UNIQUE,
+	key_prefix TEXT, -- non-secret start of the key, e.g. 'sak_live_5f2d9a7e9b3c0a11' (NULL for legacy hex keys)
 	name TEXT NOT NULL,
 	owner_user_id INTEGER NOT NULL,
 	permissions TEXT, -- JSON array string, e.g. '["get_products","post_products"]'
+	scopes TEXT, -- JSON object, e.g. '{"products":"own","ip_ranges":["203.0.113.0/24"],"read_only":true}' (NULL = unrestricted)
 	disabled INTEGER NOT NULL DEFAULT 0,
+	rate_limit INTEGER, -- requests per minute (NULL = global API_QUOTA_API_KEY)
+	monthly_quota INTEGER, -- requests per calendar month, UTC (NULL = unlimited)
+	expires_at DATETIME, -- NULL = never expires
+	last_used_at DATETIME,
+	last_used_ip TEXT,
+	-- after a rotation the replaced hash keeps working until previous_key_expires_at
+	previous_key_hash TEXT,
+	previous_key_expires_at DATETIME,
+	revoked_at DATETIME, -- set by revoke-leaked; a revoked key never authenticates again
 	created_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f','now')),
 	FOREIGN KEY (owner_user_id) REFERENCES users(id) ON DELETE CASCADE
 );
 
+-- Monthly request counters per API key; `period` is the UTC month, e.g. '2025-10'
+CREATE TABLE IF NOT EXISTS api_key_usage (
+	api_key_id INTEGER NOT NULL,
+	period TEXT NOT NULL,
+	request_count INTEGER NOT NULL DEFAULT 0,
+	last_request_at DATETIME,
+	PRIMARY KEY (api_key_id, period),
+	FOREIGN KEY (api_key_id) REFERENCES api_keys(id) ON DELETE CASCADE
+);
+
 -- Products created locally and mapped to Shopify ids
+-- Shopify stores registered by admins, besides the default one configured in the
+-- environment (products with shop_id NULL)
+CREATE TABLE IF NOT EXISTS shops (
+	id INTEGER PRIMARY KEY AUTOINCREMENT,
+	public_id TEXT UNIQUE NOT NULL,
+	domain TEXT UNIQUE NOT NULL, -- e.g. my-store.myshopify.com, lower case
+	access_token TEXT NOT NULL, -- Admin API token, encrypted (utils/secretBox.js)
+	webhook_secret TEXT NOT NULL, -- encrypted
+	location_id TEXT, -- default inventory location GID for new products
+	uninstalled_at DATETIME, -- set by the app/uninstalled webhook; cleared by a new access token
+	created_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f','now')),
+	updated_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f','now'))
+);
+
 CREATE TABLE IF NOT EXISTS products (
 	id INTEGER PRIMARY KEY AUTOINCREMENT,
 	public_id TEXT UNIQUE,
@@ -58,42 +104,316 @@ CREATE TABLE IF NOT EXISTS products (
 	sales_count INTEGER NOT NULL DEFAULT 0,
 	created_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f','now')),
 	updated_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f','now')),
-	FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+	orphaned_at DATETIME, -- set by reconciliation when the product is gone from Shopify
+	deleted_at DATETIME, -- soft-deleted by reconciliation; hidden from the API
+	shop_id INTEGER, -- NULL = the default shop
+	FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+	FOREIGN KEY (shop_id) REFERENCES shops(id)
+);
+
+-- Images of a product, followed through Shopify's processing by the media poller
+-- (jobs/mediaPoller.js). status: 'staged' (upload target handed out, not attached yet),
+-- 'processing', 'ready' or 'failed'. products.images lists the ready ones, in order.
+CREATE TABLE IF NOT EXISTS product_media (
+	id INTEGER PRIMARY KEY AUTOINCREMENT,
+	public_id TEXT UNIQUE NOT NULL,
+	product_id INTEGER NOT NULL,
+	shopify_media_id TEXT UNIQUE, -- MediaImage GID; NULL while staged
+	source TEXT, -- URL given by the client, or the staged upload's resource URL
+	filename TEXT, -- staged uploads
+	url TEXT, -- Shopify CDN URL, once processed
+	alt TEXT,
+	position INTEGER,
+	status TEXT NOT NULL,
+	error TEXT,
+	checks INTEGER NOT NULL DEFAULT 0, -- times the poller asked Shopify
+	next_check_at DATETIME,
+	locked_until DATETIME,
+	created_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f','now')),
+	updated_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f','now')),
+	FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+);
+
+-- Product variants, mirroring Shopify: option values, price and SKU. Written when
+-- variants are created or changed through the API, refreshed by products/update.
+CREATE TABLE IF NOT EXISTS product_variants (
+	id INTEGER PRIMARY KEY AUTOINCREMENT,
+	public_id TEXT UNIQUE NOT NULL,
+	product_id INTEGER NOT NULL,
+	shopify_variant_id TEXT UNIQUE NOT NULL,
+	inventory_item_id TEXT, -- Shopify inventory item id, for stock changes
+	title TEXT,
+	sku TEXT,
+	price REAL,
+	options TEXT, -- JSON object: option name -> value, e.g. {"Size":"M"}
+	position INTEGER,
+	created_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f','now')),
+	updated_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f','now')),
+	FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+);
+
+-- Available stock of a variant per Shopify location, refreshed by inventory_levels/update.
+-- updated_at is when Shopify changed the level, so older deliveries are ignored.
+CREATE TABLE IF NOT EXISTS variant_inventory_levels (
+	variant_id INTEGER NOT NULL,
+	location_id TEXT NOT NULL, -- Location GID
+	available INTEGER, -- NULL = not known yet
+	updated_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f','now')),
+	PRIMARY KEY (variant_id, location_id),
+	FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE
+);
+
+-- Sessions: one row per login. A session owns a family of rotating refresh tokens
+-- and remembers the user's token_version at login so password/role changes end it.
+CREATE TABLE IF NOT EXISTS sessions (
+	id INTEGER PRIMARY KEY AUTOINCREMENT,
+	public_id TEXT UNIQUE,
+	user_id INTEGER NOT NULL,
+	token_version INTEGER NOT NULL DEFAULT 0,
+	user_agent TEXT,
+	ip TEXT,
+	created_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f','now')),
+	last_used_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f','now')),
+	expires_at DATETIME NOT NULL,
+	revoked_at DATETIME,
+	revoked_reason TEXT,
+	FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Refresh tokens: only the sha256 hash is stored (like api_keys.key_hash).
+-- A token is single-use; `used_at` is set when it is rotated so a replay can be detected.
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+	id INTEGER PRIMARY KEY AUTOINCREMENT,
+	token_hash TEXT NOT NULL UNIQUE,
+	session_id INTEGER NOT NULL,
+	created_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f','now')),
+	expires_at DATETIME NOT NULL,
+	used_at DATETIME,
+	FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+);
+
+-- Audit log of security-relevant actions. Actors and targets are recorded by public id
+-- (never internal numeric ids) so rows can be shown to admins as-is.
+CREATE TABLE IF NOT EXISTS audit_events (
+	id INTEGER PRIMARY KEY AUTOINCREMENT,
+	actor_type TEXT NOT NULL, -- 'user', 'api_key' or 'anonymous'
+	actor_id TEXT, -- user public_id or api_key public_id
+	action TEXT NOT NULL, -- e.g. 'user.role_change', 'api_key.create', 'auth.login'
+	target_type TEXT,
+	target_id TEXT,
+	ip TEXT,
+	outcome TEXT NOT NULL, -- 'success', 'failure' or 'denied'
+	details TEXT, -- JSON object string
+	created_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f','now'))
+);
+
+-- Background jobs (e.g. bulk product imports) and their items
+CREATE TABLE IF NOT EXISTS jobs (
+	id INTEGER PRIMARY KEY AUTOINCREMENT,
+	public_id TEXT UNIQUE NOT NULL,
+	type TEXT NOT NULL, -- 'product_import'
+	status TEXT NOT NULL DEFAULT 'queued', -- 'queued', 'running', 'completed' or 'cancelled'
+	created_by INTEGER NOT NULL,
+	total_items INTEGER NOT NULL DEFAULT 0,
+	created_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f','now')),
+	started_at DATETIME,
+	finished_at DATETIME,
+	FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS job_items (
+	id INTEGER PRIMARY KEY AUTOINCREMENT,
+	job_id INTEGER NOT NULL,
+	item_index INTEGER NOT NULL, -- position in the submitted array
+	payload TEXT NOT NULL, -- JSON of the submitted item
+	status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'processing', 'succeeded', 'failed' or 'cancelled'
+	attempts INTEGER NOT NULL DEFAULT 0,
+	result TEXT, -- JSON, same shape as the per-item results of POST /products
+	locked_until DATETIME, -- lease of the worker processing the item
+	updated_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f','now')),
+	UNIQUE (job_id, item_index),
+	FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE
+);
+
+-- Sales ledger: one row per sold (positive quantity), cancelled or refunded (negative)
+-- line item, written by the order webhooks; 'backfill' rows seed it from sales_count.
+CREATE TABLE IF NOT EXISTS order_line_items (
+	id INTEGER PRIMARY KEY AUTOINCREMENT,
+	kind TEXT NOT NULL, -- 'order', 'cancellation', 'refund' or 'backfill'
+	order_id TEXT, -- Shopify order id (NULL for backfill rows)
+	line_item_id TEXT,
+	product_id INTEGER, -- local product, when known
+	shopify_product_id TEXT NOT NULL,
+	quantity INTEGER NOT NULL,
+	unit_price REAL,
+	occurred_at DATETIME NOT NULL,
+	created_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f','now')),
+	FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE SET NULL
+);
+
+-- Shopify webhook deliveries already applied, to acknowledge retries without applying
+-- them twice. resource_key is the order / refund id for topics applied once per resource;
+-- rows with one are never pruned.
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+	id INTEGER PRIMARY KEY AUTOINCREMENT,
+	webhook_id TEXT UNIQUE, -- X-Shopify-Webhook-Id
+	topic TEXT NOT NULL,
+	shop_domain TEXT NOT NULL DEFAULT '',
+	resource_key TEXT,
+	triggered_at DATETIME, -- X-Shopify-Triggered-At
+	processed_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f','now')),
+	UNIQUE (topic, shop_domain, resource_key)
+);
+
+-- Responses stored for Idempotency-Key retries. A row without status_code belongs to a
+-- request still in progress; expires_at is its lock, then the retention of the response.
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+	id INTEGER PRIMARY KEY AUTOINCREMENT,
+	principal TEXT NOT NULL, -- 'api_key:<id>', 'user:<id>' or 'ip:<address>'
+	key_hash TEXT NOT NULL, -- sha256 of the Idempotency-Key header
+	request_hash TEXT NOT NULL, -- sha256 of method, path and body
+	status_code INTEGER,
+	response TEXT, -- encrypted with a key derived from the Idempotency-Key
+	created_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f','now')),
+	expires_at DATETIME NOT NULL,
+	UNIQUE (principal, key_hash)
+);
+
+-- Outgoing webhooks: endpoints users register to be notified of events
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+	id INTEGER PRIMARY KEY AUTOINCREMENT,
+	public_id TEXT UNIQUE NOT NULL,
+	user_id INTEGER NOT NULL,
+	url TEXT NOT NULL,
+	events TEXT NOT NULL, -- JSON array of event types
+	description TEXT,
+	secret TEXT NOT NULL, -- signing secret, encrypted (utils/secretBox.js)
+	active INTEGER NOT NULL DEFAULT 1, -- 0 pauses deliveries
+	created_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f','now')),
+	updated_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f','now')),
+	FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- One row per event sent (or to be sent) to a subscription; redeliveries add a row
+CREATE TABLE IF NOT EXISTS webhook_subscription_deliveries (
+	id INTEGER PRIMARY KEY AUTOINCREMENT,
+	public_id TEXT UNIQUE NOT NULL,
+	subscription_id INTEGER NOT NULL,
+	event_id TEXT NOT NULL, -- same for every delivery of one event
+	event_type TEXT NOT NULL,
+	payload TEXT NOT NULL, -- exact JSON body that is signed and sent
+	status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'delivering', 'succeeded' or 'failed'
+	attempts INTEGER NOT NULL DEFAULT 0,
+	next_attempt_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f','now')),
+	locked_until DATETIME, -- lease of the dispatcher sending it
+	last_status_code INTEGER,
+	last_error TEXT,
+	last_response TEXT, -- start of the last response body
+	redelivery_of INTEGER, -- delivery this one repeats
+	created_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f','now')),
+	updated_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f','now')),
+	delivered_at DATETIME,
+	FOREIGN KEY (subscription_id) REFERENCES webhook_subscriptions(id) ON DELETE CASCADE
+);
+
+-- Rate limiter state (used when RATE_LIMIT_STORE=turso). Times are epoch milliseconds.
+-- Sliding-window counters: one row per key and fixed window.
+CREATE TABLE IF NOT EXISTS rate_limit_counters (
+	key TEXT NOT NULL,
+	window_start INTEGER NOT NULL,
+	count INTEGER NOT NULL DEFAULT 0,
+	expires_at INTEGER NOT NULL,
+	PRIMARY KEY (key, window_start)
+);
+
+-- Consecutive login failures and the lockout they caused, per IP or username key.
+CREATE TABLE IF NOT EXISTS rate_limit_lockouts (
+	key TEXT PRIMARY KEY,
+	failures INTEGER NOT NULL DEFAULT 0,
+	locked_until INTEGER NOT NULL DEFAULT 0,
+	expires_at INTEGER NOT NULL
 );
 
 -- Indexes to speed up lookups
 CREATE INDEX IF NOT EXISTS idx_api_keys_owner ON api_keys(owner_user_id);
+CREATE INDEX IF NOT EXISTS idx_api_keys_previous_key_hash ON api_keys(previous_key_hash);
 CREATE INDEX IF NOT EXISTS idx_products_created_by ON products(created_by);
+CREATE INDEX IF NOT EXISTS idx_products_created_at ON products(created_at, id);
+CREATE INDEX IF NOT EXISTS idx_products_sales_count ON products(sales_count, id);
+CREATE INDEX IF NOT EXISTS idx_users_created_at ON users(created_at, id);
 CREATE INDEX IF NOT EXISTS idx_users_role_id ON users(role_id);
+CREATE INDEX IF NOT EXISTS idx_role_permissions_permission_id ON role_permissions(permission_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+CREATE INDEX IF NOT EXISTS idx_audit_events_actor ON audit_events(actor_id, id);
+CREATE INDEX IF NOT EXISTS idx_audit_events_action ON audit_events(action, id);
+CREATE INDEX IF NOT EXISTS idx_audit_events_created_at ON audit_events(created_at);
+CREATE INDEX IF NOT EXISTS idx_jobs_created_by ON jobs(created_by);
+CREATE INDEX IF NOT EXISTS idx_products_shop_id ON products(shop_id);
+CREATE INDEX IF NOT EXISTS idx_product_media_product_id ON product_media(product_id, position);
+CREATE INDEX IF NOT EXISTS idx_product_media_due ON product_media(status, next_check_at);
+CREATE INDEX IF NOT EXISTS idx_product_variants_product_id ON product_variants(product_id, position);
+CREATE INDEX IF NOT EXISTS idx_product_variants_inventory_item_id ON product_variants(inventory_item_id);
+CREATE INDEX IF NOT EXISTS idx_job_items_status ON job_items(status, job_id, item_index);
+CREATE INDEX IF NOT EXISTS idx_order_line_items_product ON order_line_items(product_id, occurred_at);
+CREATE INDEX IF NOT EXISTS idx_order_line_items_occurred_at ON order_line_items(occurred_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_processed_at ON webhook_deliveries(processed_at);
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_user ON webhook_subscriptions(user_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_subscription_deliveries_due ON webhook_subscription_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_subscription_deliveries_subscription ON webhook_subscription_deliveries(subscription_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_rate_limit_counters_expires_at ON rate_limit_counters(expires_at);
+CREATE INDEX IF NOT EXISTS idx_rate_limit_lockouts_expires_at ON rate_limit_lockouts(expires_at);
+
+-- Roles and permissions that exist before seeding: grants below are only seeded for
+-- rows this run creates, so re-running the file never brings back a revoked grant
+DROP TABLE IF EXISTS temp.existing_roles;
+DROP TABLE IF EXISTS temp.existing_permissions;
+CREATE TEMP TABLE existing_roles AS SELECT id FROM roles;
+CREATE TEMP TABLE existing_permissions AS SELECT id FROM permissions;
+
+-- Seed some basic roles (ignore if they already exist), with the caps on the limits
+-- their members may give their API keys (admin is uncapped)
+INSERT OR IGNORE INTO roles (id, name, max_api_key_rate_limit, max_api_key_monthly_quota, created_at) VALUES
+	(1, 'admin', NULL, NULL, (strftime('%Y-%m-%d %H:%M:%f','now'))),
+	(2, 'user', 60, 10000, (strftime('%Y-%m-%d %H:%M:%f','now'))),
+	(3, 'premium', 300, 100000, (strftime('%Y-%m-%d %H:%M:%f','now'))),
+	(4, 'ban', 0, 0, (strftime('%Y-%m-%d %H:%M:%f','now')));
+
+-- Seed the known permissions
+INSERT OR IGNORE INTO permissions (name, description, is_default) VALUES
+	('get_my_user', 'Read your own user profile', 1),
+	('get_users', 'List all users', 0),
+	('post_login', 'Log in with username and password', 1),
+	('post_products', 'Create products', 1),
+	('get_products', 'List all products', 0),
+	('get_my_products', 'List your own products', 1),
+	('manage_all_products', 'View, update and delete products created by other users', 0),
+	('get_bestsellers', 'List your best-selling products', 0),
+	('upload_media', 'Attach images to products', 0),
+	('create_api_keys', 'Create API keys', 1),
+	('read_api_keys', 'List your API keys', 1),
+	('update_api_keys', 'Rename, disable, narrow and rotate your API keys', 1),
+	('delete_api_keys', 'Delete your API keys', 1),
+	('manage_webhook_subscriptions', 'Register and manage outgoing webhook endpoints', 1);
+
+-- Give every role the default permissions, except ban which gets none
+INSERT OR IGNORE INTO role_permissions (role_id, permission_id)
+	SELECT r.id, p.id FROM roles r, permissions p
+	WHERE p.is_default = 1 AND r.name IN ('admin', 'user', 'premium')
+		AND (r.id NOT IN temp.existing_roles OR p.id NOT IN temp.existing_permissions);
+
+-- Give admin all permissions
+INSERT OR IGNORE INTO role_permissions (role_id, permission_id)
+	SELECT r.id, p.id FROM roles r, permissions p
+	WHERE r.name = 'admin'
+		AND (r.id NOT IN temp.existing_roles OR p.id NOT IN temp.existing_permissions);
+
+-- Ensure premium role has rights to view bestsellers and upload media
+INSERT OR IGNORE INTO role_permissions (role_id, permission_id)
+	SELECT r.id, p.id FROM roles r, permissions p
+	WHERE r.name = 'premium' AND p.name IN ('get_bestsellers', 'upload_media')
+		AND (r.id NOT IN temp.existing_roles OR p.id NOT IN temp.existing_permissions);
 
--- Seed some basic roles (ignore if they already exist)
-INSERT OR IGNORE INTO roles (id, name, can_post_login, created_at) VALUES
-	(1, 'admin', 1, (strftime('%Y-%m-%d %H:%M:%f','now'))),
-	(2, 'user', 1, (strftime('%Y-%m-%d %H:%M:%f','now'))),
-	(3, 'premium', 1, (strftime('%Y-%m-%d %H:%M:%f','now'))),
-	(4, 'ban', 0, (strftime('%Y-%m-%d %H:%M:%f','now')));
-
--- Give admin all permission flags
-UPDATE roles SET
-	can_get_users = 1,
-	can_get_products = 1,
-	can_get_bestsellers = 1,
-	can_upload_media = 1
-WHERE name = 'admin';
-
--- Ensure premium role has rights to view products and bestsellers
-UPDATE roles SET
-	can_get_bestsellers = 1,
-	can_upload_media = 1
-WHERE name = 'premium';
-
--- Ensure ban role has no permissions
-UPDATE roles SET
-	can_get_my_user = 0,
-	can_post_login = 0,
-	can_post_products = 0,
-	can_get_my_products = 0,
-	can_create_api_keys = 0,
-	can_read_api_keys = 0,
-	can_delete_api_keys = 0
-WHERE name = 'ban';
\ No newline at end of file
+DROP TABLE temp.existing_roles;
+DROP TABLE temp.existing_permissions;
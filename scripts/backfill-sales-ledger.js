@@ -0,0 +1,15 @@
+#!/usr/bin/env node
+import { backfillSalesLedger } from "../src/utils/salesLedger.js";
+
+// Seed the sales ledger (order_line_items) from products.sales_count, for sales
+// counted before the ledger existed. Safe to run more than once.
+//
+//   npm run backfill-sales-ledger
+
+try {
+  const added = await backfillSalesLedger();
+  console.log(`Added ${added} backfill row(s) to the sales ledger`);
+} catch (err) {
+  console.error("Backfill failed:", err.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+import { reconcileProducts } from "../src/jobs/productReconciler.js";
+
+// Sync local products with Shopify from the command line and print the diff report.
+//
+//   npm run reconcile -- [--dry-run] [--orphans=flag|soft_delete]
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const orphansArg = args.find((a) => a.startsWith("--orphans="));
+const orphanAction = orphansArg ? orphansArg.split("=")[1] : "flag";
+
+const unknown = args.filter((a) => a !== "--dry-run" && a !== orphansArg);
+if (unknown.length || !["flag", "soft_delete"].includes(orphanAction)) {
+  console.error(
+    "Usage: npm run reconcile -- [--dry-run] [--orphans=flag|soft_delete]"
+  );
+  process.exit(2);
+}
+
+try {
+  const report = await reconcileProducts({ dryRun, orphanAction });
+  console.log(JSON.stringify(report, null, 2));
+} catch (err) {
+  console.error("Reconciliation failed:", err.message, err.details ?? "");
+  process.exitCode = 1;
+}
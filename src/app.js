@@ -0,0 +1,63 @@
+import express from "express";
+import bodyParser from "body-parser";
+import dotenv from "dotenv";
+import authRoutes from "./routes/auth.js";
+import userRoutes from "./routes/users.js";
+import productRoutes from "./routes/products.js";
+import apiKeysRoutes from "./routes/apiKeys.js";
+import sessionRoutes from "./routes/sessions.js";
+import roleRoutes from "./routes/roles.js";
+import auditRoutes from "./routes/audit.js";
+import jobRoutes from "./routes/jobs.js";
+import adminRoutes from "./routes/admin.js";
+import analyticsRoutes from "./routes/analytics.js";
+import webhookSubscriptionRoutes from "./routes/webhookSubscriptions.js";
+import metricsRoutes from "./routes/metrics.js";
+import { requestId } from "./middleware/requestId.js";
+import { accessLog } from "./middleware/accessLog.js";
+import { errorHandler, notFound } from "./middleware/errors.js";
+
+dotenv.config();
+
+// The Express app, without the server and background jobs (see index.js), so tests
+// can serve it on their own port
+const app = express();
+
+app.use(requestId);
+app.use(accessLog);
+
+// Capture raw body buffer for HMAC verification (used by Shopify webhook)
+app.use(
+  bodyParser.json({
+    // room for bulk imports of up to IMPORT_MAX_ITEMS products
+    limit: process.env.JSON_BODY_LIMIT || "1mb",
+    verify: (req, res, buf) => {
+      req.rawBody = buf; // store Buffer for signature verification
+    },
+  })
+);
+
+// Health check
+app.get("/health", (req, res) => res.json({ test: "hello world" }));
+
+// Prometheus metrics (needs METRICS_TOKEN)
+app.use(metricsRoutes);
+
+// Routes
+app.use("/api", authRoutes);
+app.use("/api", userRoutes);
+app.use("/api", productRoutes);
+app.use("/api", apiKeysRoutes);
+app.use("/api", sessionRoutes);
+app.use("/api", roleRoutes);
+app.use("/api", auditRoutes);
+app.use("/api", jobRoutes);
+app.use("/api", adminRoutes);
+app.use("/api", analyticsRoutes);
+app.use("/api", webhookSubscriptionRoutes);
+
+// Errors: application/problem+json for unknown routes and anything routes throw
+app.use(notFound);
+app.use(errorHandler);
+
+export default app;
@@ -0,0 +1,181 @@
+import turso from "../db.js";
+import generatePublicIds from "../utils/generatePublicIds.js";
+import { reconcileProducts } from "../jobs/productReconciler.js";
+import { recordAuditEvent } from "../utils/audit.js";
+import { encryptSecret } from "../utils/secretBox.js";
+import { DEFAULT_SHOP, normalizeShopDomain } from "../utils/shops.js";
+import { ConflictError, NotFoundError } from "../utils/errors.js";
+
+// Controller for admin maintenance tasks and the registry of Shopify stores.
+
+// One reconciliation at a time per process
+let reconciling = false;
+
+// Sync local products with Shopify; body: { dry_run?, orphan_action? } (validated in the route)
+export const reconcile = async (req, res) => {
+  if (reconciling)
+    throw new ConflictError("A reconciliation is already running", {
+      code: "reconciliation_running",
+    });
+
+  const { dry_run, orphan_action } = req.body;
+  reconciling = true;
+  try {
+    const report = await reconcileProducts({
+      dryRun: dry_run,
+      orphanAction: orphan_action,
+    });
+    if (!dry_run)
+      await recordAuditEvent(req, {
+        action: "product.reconcile",
+        outcome: "success",
+        target_type: "product",
+        details: { orphan_action, summary: report.summary },
+      });
+    res.json(report);
+  } finally {
+    reconciling = false;
+  }
+};
+
+const SHOP_COLUMNS = `s.id, s.public_id, s.domain, s.location_id, s.uninstalled_at, s.created_at, s.updated_at,
+  (SELECT COUNT(*) FROM products p WHERE p.shop_id = s.id AND p.deleted_at IS NULL) AS product_count`;
+
+// Tokens and webhook secrets are write-only
+const serializeShop = (row) => ({
+  id: row.public_id,
+  domain: row.domain,
+  location_id: row.location_id ?? null,
+  product_count: Number(row.product_count),
+  uninstalled_at: row.uninstalled_at ?? null,
+  created_at: row.created_at,
+  updated_at: row.updated_at,
+});
+
+const findShop = async (domain) => {
+  const result = await turso.execute({
+    sql: `SELECT ${SHOP_COLUMNS} FROM shops s WHERE s.domain = ? LIMIT 1`,
+    args: [normalizeShopDomain(domain)],
+  });
+  return result.rows[0] ?? null;
+};
+
+// Register a Shopify store; body: { domain, access_token, webhook_secret, location_id? }
+// (validated in the route)
+export const registerShop = async (req, res) => {
+  const { access_token, webhook_secret, location_id } = req.body;
+  const domain = normalizeShopDomain(req.body.domain);
+  if (domain === DEFAULT_SHOP.domain)
+    throw new ConflictError(
+      "This shop is the default shop configured in the environment",
+      { code: "default_shop" }
+    );
+
+  try {
+    await turso.execute({
+      sql: "INSERT INTO shops (public_id, domain, access_token, webhook_secret, location_id) VALUES (?, ?, ?, ?, ?)",
+      args: [
+        generatePublicIds("shop"),
+        domain,
+        encryptSecret(access_token),
+        encryptSecret(webhook_secret),
+        location_id ?? null,
+      ],
+    });
+  } catch (err) {
+    if (/UNIQUE constraint failed/i.test(err.message))
+      throw new ConflictError("Shop is already registered", {
+        code: "shop_exists",
+      });
+    throw err;
+  }
+  await recordAuditEvent(req, {
+    action: "shop.register",
+    outcome: "success",
+    target_type: "shop",
+    target_id: domain,
+    details: { location_id: location_id ?? null },
+  });
+  res
+    .status(201)
+    .location(`/api/admin/shops/${domain}`)
+    .json(serializeShop(await findShop(domain)));
+};
+
+export const getShops = async (req, res) => {
+  const result = await turso.execute(
+    `SELECT ${SHOP_COLUMNS} FROM shops s ORDER BY s.id`
+  );
+  res.json({
+    default_shop: DEFAULT_SHOP.domain,
+    shops: result.rows.map(serializeShop),
+  });
+};
+
+// Replace the access token or webhook secret (e.g. after rotating them on Shopify) or
+// change the default location; body validated in the route. A new access token
+// reactivates a shop the app was uninstalled from.
+export const updateShop = async (req, res) => {
+  const { access_token, webhook_secret, location_id } = req.body;
+  const shop = await findShop(req.params.domain);
+  if (!shop) throw new NotFoundError("Shop not found");
+
+  await turso.execute({
+    sql: `UPDATE shops SET
+            access_token = COALESCE(?, access_token),
+            webhook_secret = COALESCE(?, webhook_secret),
+            location_id = CASE WHEN ? THEN ? ELSE location_id END,
+            uninstalled_at = CASE WHEN ? THEN NULL ELSE uninstalled_at END,
+            updated_at = strftime('%Y-%m-%d %H:%M:%f','now')
+          WHERE id = ?`,
+    args: [
+      access_token ? encryptSecret(access_token) : null,
+      webhook_secret ? encryptSecret(webhook_secret) : null,
+      location_id !== undefined ? 1 : 0,
+      location_id ?? null,
+      access_token ? 1 : 0,
+      shop.id,
+    ],
+  });
+  await recordAuditEvent(req, {
+    action: "shop.update",
+    outcome: "success",
+    target_type: "shop",
+    target_id: shop.domain,
+    details: {
+      access_token_changed: !!access_token,
+      webhook_secret_changed: !!webhook_secret,
+      ...(access_token && shop.uninstalled_at && { reinstalled: true }),
+      ...(location_id !== undefined && { location_id }),
+    },
+  });
+  res.json(serializeShop(await findShop(shop.domain)));
+};
+
+// Unregister a shop that no longer has products
+export const deleteShop = async (req, res) => {
+  const shop = await findShop(req.params.domain);
+  if (!shop) throw new NotFoundError("Shop not found");
+
+  const linked = await turso.execute({
+    sql: "SELECT COUNT(*) AS n FROM products WHERE shop_id = ?",
+    args: [shop.id],
+  });
+  if (Number(linked.rows[0].n) > 0)
+    throw new ConflictError("Shop still has products", {
+      code: "shop_has_products",
+      details: { product_count: Number(linked.rows[0].n) },
+    });
+
+  await turso.execute({
+    sql: "DELETE FROM shops WHERE id = ?",
+    args: [shop.id],
+  });
+  await recordAuditEvent(req, {
+    action: "shop.delete",
+    outcome: "success",
+    target_type: "shop",
+    target_id: shop.domain,
+  });
+  res.json({ message: "Shop deleted", domain: shop.domain });
+};
@@ -0,0 +1,88 @@
+import turso from "../db.js";
+import { toDbTimestamp } from "../utils/time.js";
+
+// Controller for sales analytics, computed from the sales ledger (order_line_items).
+// Figures cover the requester's products (those their API key may see).
+
+// SQL expression giving the start of an occurred_at bucket, as YYYY-MM-DD
+const BUCKET_SQL = {
+  day: "date(l.occurred_at)",
+  // weeks start on Monday
+  week: "date(l.occurred_at, 'weekday 0', '-6 days')",
+  month: "date(l.occurred_at, 'start of month')",
+};
+
+// Start of the bucket holding `date` (UTC), as YYYY-MM-DD
+const bucketStart = (date, interval) => {
+  const d = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+  if (interval === "week")
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  if (interval === "month") d.setUTCDate(1);
+  return d;
+};
+
+const nextBucket = (d, interval) => {
+  const next = new Date(d);
+  if (interval === "day") next.setUTCDate(next.getUTCDate() + 1);
+  if (interval === "week") next.setUTCDate(next.getUTCDate() + 7);
+  if (interval === "month") next.setUTCMonth(next.getUTCMonth() + 1);
+  return next;
+};
+
+// Units, revenue and orders per bucket between from (inclusive) and to (exclusive);
+// buckets without sales are included with zeros.
+export const getSalesAnalytics = async (req, res) => {
+  const q = req.validatedQuery;
+  // defaulted and bounded by the route's schema
+  const { from, to } = q;
+
+  const result = await turso.execute({
+    sql: `SELECT ${BUCKET_SQL[q.interval]} AS bucket,
+                 SUM(l.quantity) AS units,
+                 SUM(l.quantity * COALESCE(l.unit_price, 0)) AS revenue,
+                 COUNT(DISTINCT CASE WHEN l.kind = 'order' THEN l.order_id END) AS orders
+          FROM order_line_items l
+          JOIN products p ON p.id = l.product_id
+          WHERE p.created_by = ? AND ${req.productScope.sql}
+            AND l.occurred_at >= ? AND l.occurred_at < ?
+          GROUP BY bucket`,
+    args: [
+      req.user.id,
+      ...req.productScope.args,
+      toDbTimestamp(from),
+      toDbTimestamp(to),
+    ],
+  });
+  const byBucket = new Map(result.rows.map((r) => [r.bucket, r]));
+
+  const buckets = [];
+  for (
+    let d = bucketStart(from, q.interval);
+    d < to;
+    d = nextBucket(d, q.interval)
+  ) {
+    const key = d.toISOString().slice(0, 10);
+    const row = byBucket.get(key);
+    buckets.push({
+      period_start: key,
+      units: row?.units ?? 0,
+      revenue: Math.round((row?.revenue ?? 0) * 100) / 100,
+      orders: row?.orders ?? 0,
+    });
+  }
+
+  res.json({
+    interval: q.interval,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    totals: {
+      units: buckets.reduce((n, b) => n + b.units, 0),
+      revenue:
+        Math.round(buckets.reduce((n, b) => n + b.revenue, 0) * 100) / 100,
+      orders: buckets.reduce((n, b) => n + b.orders, 0),
+    },
+    buckets,
+  });
+};
@@ -1,167 +1,560 @@
 import turso from "../db.js";
-import crypto from "crypto";
 import { z } from "zod";
 import generatePublicIds from "../utils/generatePublicIds.js";
+import {
+  getUserRolePermissions,
+  getAllPermissionNames,
+} from "../utils/permissions.js";
+import { recordAuditEvent } from "../utils/audit.js";
+import { publishWebhookEvent } from "../utils/webhookEvents.js";
+import { usagePeriod } from "../utils/apiKeyUsage.js";
+import { toDbTimestamp } from "../utils/time.js";
+import {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} from "../utils/errors.js";
+import { generateApiKey, findApiKey } from "../utils/apiKeys.js";
+import {
+  scopesSchema,
+  narrowScopes,
+  parseScopes,
+} from "../utils/apiKeyScopes.js";
 
-// Controller for creating, listing and deleting API keys.
+// Controller for creating, listing, updating, rotating and deleting API keys.
 // POST /api-keys accepts a single object or an array of objects to create multiple keys.
 // DELETE expects { public_ids: ["pub_abc","pub_def"] } and removes only keys owned by the requester.
+// PATCH and rotate act on a single key owned by the requester.
+// Authenticated with an API key, PATCH, rotate and DELETE only accept that key itself.
+
+const ROTATION_GRACE_SECONDS =
+  Number(process.env.API_KEY_ROTATION_GRACE_SECONDS) || 24 * 60 * 60;
+const MAX_ROTATION_GRACE_SECONDS = 7 * 24 * 60 * 60;
+
+const futureDate = z.coerce.date().refine((d) => d.getTime() > Date.now(), {
+  message: "must be in the future",
+});
 
 const singleSchema = z.object({
   name: z.string().min(1),
   permissions: z.array(z.string()).optional(),
+  // requests per minute; defaults to the creator's cap
+  rate_limit: z.number().int().positive().optional(),
+  // requests per UTC calendar month; defaults to the creator's cap
+  monthly_quota: z.number().int().positive().optional(),
+  // omitted = never expires (unless created by an expiring API key)
+  expires_at: futureDate.optional(),
+  // products / ip_ranges / read_only restrictions; omitted = unrestricted
+  scopes: scopesSchema.optional(),
 });
 
+// The lower of two optional caps (null means uncapped)
+const minCap = (a, b) =>
+  a == null ? (b ?? null) : b == null ? a : Math.min(a, b);
+
+// An API key shares its owner's id, so owner_user_id alone would let it rotate,
+// re-enable or delete its sibling keys: it may only manage itself.
+const assertOwnKeyOnly = async (req, action, publicIds) => {
+  if (!req.user?.is_api_key) return;
+  const others = publicIds.filter((id) => id !== req.user.api_key_public_id);
+  if (others.length === 0) return;
+  await recordAuditEvent(req, {
+    action,
+    outcome: "denied",
+    target_type: "api_key",
+    target_id: others.length === 1 ? others[0] : null,
+    details: { public_ids: others },
+  });
+  throw new ForbiddenError("Forbidden: an API key can only manage itself", {
+    code: "other_api_key",
+    details: { public_ids: others },
+  });
+};
+
 const createPayloadSchema = z.union([singleSchema, z.array(singleSchema)]);
 
 export const createApiKeys = async (req, res) => {
   const parsed = createPayloadSchema.safeParse(req.body);
-  if (!parsed.success)
-    return res.status(400).json({ error: z.treeifyError(parsed.error) });
+  if (!parsed.success) throw new ValidationError(parsed.error);
 
   const items = Array.isArray(parsed.data) ? parsed.data : [parsed.data];
   const created = [];
 
-  try {
-    // Determine the creator's effective permissions so we can ensure
-    // they cannot grant permissions they don't have.
-    let creatorPerms = [];
-    let creatorIsAdmin = false; // whether the creator is an admin (has all perms by role)
-    let roleRow = {}; // populated for user-account creators so we can introspect can_* columns
-    if (req.user?.is_api_key) {
-      creatorPerms = Array.isArray(req.user.permissions)
-        ? req.user.permissions
-        : [];
-
-      // API keys are never considered admins here
-      creatorIsAdmin = false;
-    } else {
-      // Resolve role permissions for the authenticated user
-      const roleRes = await turso.execute({
-        sql: "SELECT r.* FROM roles r JOIN users u ON u.role_id = r.id WHERE u.id = ? LIMIT 1",
-        args: [req.user.id],
-      });
-      roleRow = roleRes.rows[0] || {};
-      // Build permission names from columns like `can_<permission>`
-      creatorPerms = Object.keys(roleRow)
-        .filter((k) => k.startsWith("can_"))
-        .filter((k) => {
-          const v = roleRow[k];
-          return (
-            v === 1 ||
-            v === "1" ||
-            v === true ||
-            String(v).toUpperCase() === "TRUE"
-          );
-        })
-        .map((k) => k.slice(4));
-      // Consider the user an admin if the role name is 'admin'.
-      creatorIsAdmin = (roleRow.role_name || "").toLowerCase() === "admin";
-    }
+  // Determine the creator's effective permissions so we can ensure
+  // they cannot grant permissions they don't have.
+  let creatorPerms = [];
+  let creatorIsAdmin = false; // whether the creator is an admin (has all perms by role)
+  // Role of the owning user; also caps the limits new keys may get
+  const rolePerms = await getUserRolePermissions(req.user.id);
+  let rateLimitCap = rolePerms?.max_api_key_rate_limit ?? null;
+  let monthlyQuotaCap = rolePerms?.max_api_key_monthly_quota ?? null;
+  if (req.user?.is_api_key) {
+    creatorPerms = Array.isArray(req.user.permissions)
+      ? req.user.permissions
+      : [];
 
-    for (const item of items) {
-      // Validate that the requested permissions are a subset of the creator's perms
-      const requested = Array.isArray(item.permissions) ? item.permissions : [];
-      // ensure all requested are strings
-      for (const rp of requested) {
-        if (typeof rp !== "string")
-          return res
-            .status(400)
-            .json({ error: "permissions must be an array of strings" });
-      }
+    // API keys are never considered admins here
+    creatorIsAdmin = false;
+    // ...and cannot hand out more than they have themselves
+    rateLimitCap = minCap(rateLimitCap, req.user.rate_limit);
+    monthlyQuotaCap = minCap(monthlyQuotaCap, req.user.monthly_quota);
+  } else {
+    // Resolve role permissions for the authenticated user
+    creatorPerms = rolePerms ? rolePerms.permissions : [];
+    // Consider the user an admin if the role name is 'admin'.
+    creatorIsAdmin = (rolePerms?.role_name || "").toLowerCase() === "admin";
+  }
 
-      let requestedProcessed = requested.slice();
-      const wantsAll = requested.includes("all");
-      if (wantsAll) {
-        if (req.user?.is_api_key) {
-          // For API-key-created keys, grant whatever permissions the API key
-          // creator currently has.
-          requestedProcessed = creatorPerms.slice();
+  for (const item of items) {
+    // Validate that the requested permissions are a subset of the creator's perms
+    const requested = Array.isArray(item.permissions) ? item.permissions : [];
+    // ensure all requested are strings
+    for (const rp of requested) {
+      if (typeof rp !== "string")
+        throw new ValidationError("permissions must be an array of strings");
+    }
+
+    let requestedProcessed = requested.slice();
+    const wantsAll = requested.includes("all");
+    if (wantsAll) {
+      if (req.user?.is_api_key) {
+        // For API-key-created keys, grant whatever permissions the API key
+        // creator currently has.
+        requestedProcessed = creatorPerms.slice();
+      } else {
+        // For user-role creators: if they are admin, grant every known
+        // permission; otherwise grant only the concrete permissions the
+        // role currently has.
+        if (creatorIsAdmin) {
+          requestedProcessed = await getAllPermissionNames();
         } else {
-          // For user-role creators: if they are admin, derive the full list
-          // of permissions from the role's can_* columns; otherwise grant
-          // only the concrete permissions the role currently has.
-          if (creatorIsAdmin) {
-            requestedProcessed = Object.keys(roleRow)
-              .filter((k) => k.startsWith("can_"))
-              .map((k) => k.slice(4));
-          } else {
-            requestedProcessed = creatorPerms.slice();
-          }
+          requestedProcessed = creatorPerms.slice();
         }
       }
+    }
 
-      // finalRequested must be a subset of the creator's concrete permissions
-      // unless the creator is an admin (admins may grant any permissions).
-      const finalRequested = requestedProcessed;
-      if (!creatorIsAdmin) {
-        const invalid = finalRequested.filter((p) => !creatorPerms.includes(p));
-        if (invalid.length > 0) {
-          return res.status(403).json({
-            error: "Forbidden: cannot grant permissions you don't have",
-            invalid_permissions: invalid,
-          });
-        }
+    // finalRequested must be a subset of the creator's concrete permissions
+    // unless the creator is an admin (admins may grant any permissions).
+    const finalRequested = requestedProcessed;
+    if (!creatorIsAdmin) {
+      const invalid = finalRequested.filter((p) => !creatorPerms.includes(p));
+      if (invalid.length > 0) {
+        await recordAuditEvent(req, {
+          action: "api_key.create",
+          outcome: "denied",
+          target_type: "api_key",
+          details: { name: item.name, invalid_permissions: invalid },
+        });
+        throw new ForbiddenError(
+          "Forbidden: cannot grant permissions you don't have",
+          {
+            code: "permissions_not_allowed",
+            details: { invalid_permissions: invalid },
+          }
+        );
       }
+    }
 
-      // proceed to create key
-      const raw = crypto.randomBytes(32).toString("hex");
-      const keyHash = crypto.createHash("sha256").update(raw).digest("hex");
-      const publicId = generatePublicIds("api_key");
-      // Use the processed permissions (expanded 'all' -> explicit perms)
-      const permsToStore = Array.isArray(item.permissions)
-        ? // if we expanded above, use that; otherwise use the requested array
-          requestedProcessed && requestedProcessed.length > 0
-          ? requestedProcessed
-          : item.permissions
-        : [];
-      const permsJson = JSON.stringify(permsToStore || []);
-      await turso.execute({
-        sql: "INSERT INTO api_keys (public_id, key_hash, name, owner_user_id, permissions) VALUES (?, ?, ?, ?, ?)",
-        args: [publicId, keyHash, item.name, req.user.id, permsJson],
+    // Limits must fit within the creator's caps; omitted limits default to the cap
+    const exceeded = {};
+    if (
+      item.rate_limit != null &&
+      rateLimitCap != null &&
+      item.rate_limit > rateLimitCap
+    )
+      exceeded.rate_limit = rateLimitCap;
+    if (
+      item.monthly_quota != null &&
+      monthlyQuotaCap != null &&
+      item.monthly_quota > monthlyQuotaCap
+    )
+      exceeded.monthly_quota = monthlyQuotaCap;
+    if (Object.keys(exceeded).length > 0) {
+      await recordAuditEvent(req, {
+        action: "api_key.create",
+        outcome: "denied",
+        target_type: "api_key",
+        details: { name: item.name, exceeded_limits: exceeded },
       });
-      const sel = await turso.execute({
-        sql: "SELECT public_id, name, permissions, created_at FROM api_keys WHERE key_hash = ? LIMIT 1",
-        args: [keyHash],
+      throw new ForbiddenError(
+        "Forbidden: limits exceed what your role allows",
+        { code: "limits_not_allowed", details: { max_allowed: exceeded } }
+      );
+    }
+    const rateLimit = item.rate_limit ?? rateLimitCap;
+    const monthlyQuota = item.monthly_quota ?? monthlyQuotaCap;
+
+    // A key created by an API key cannot outlive it
+    let expiresAt = item.expires_at ? toDbTimestamp(item.expires_at) : null;
+    if (
+      req.user?.is_api_key &&
+      req.user.expires_at &&
+      (!expiresAt || expiresAt > req.user.expires_at)
+    )
+      expiresAt = req.user.expires_at;
+
+    // A key created by a scoped API key keeps (at least) the creator's scopes
+    const narrowed = narrowScopes(
+      item.scopes,
+      req.user?.is_api_key ? req.user.scopes : null
+    );
+    if (narrowed.error) {
+      await recordAuditEvent(req, {
+        action: "api_key.create",
+        outcome: "denied",
+        target_type: "api_key",
+        details: { name: item.name, invalid_scopes: narrowed.invalid },
       });
-      const row = sel.rows[0];
-      created.push({
+      throw new ForbiddenError(narrowed.error, {
+        code: "scopes_not_allowed",
+        details: { invalid_scopes: narrowed.invalid },
+      });
+    }
+    const scopesJson =
+      Object.keys(narrowed.scopes).length > 0
+        ? JSON.stringify(narrowed.scopes)
+        : null;
+
+    // proceed to create key
+    const publicId = generatePublicIds("api_key");
+    const { raw, hash: keyHash, prefix } = generateApiKey(publicId);
+    // Use the processed permissions (expanded 'all' -> explicit perms)
+    const permsToStore = Array.isArray(item.permissions)
+      ? // if we expanded above, use that; otherwise use the requested array
+        requestedProcessed && requestedProcessed.length > 0
+        ? requestedProcessed
+        : item.permissions
+      : [];
+    const permsJson = JSON.stringify(permsToStore || []);
+    await turso.execute({
+      sql: "INSERT INTO api_keys (public_id, key_hash, key_prefix, name, owner_user_id, permissions, scopes, rate_limit, monthly_quota, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+      args: [
+        publicId,
+        keyHash,
+        prefix,
+        item.name,
+        req.user.id,
+        permsJson,
+        scopesJson,
+        rateLimit,
+        monthlyQuota,
+        expiresAt,
+      ],
+    });
+    const sel = await turso.execute({
+      sql: "SELECT public_id, key_prefix, name, permissions, scopes, rate_limit, monthly_quota, expires_at, created_at FROM api_keys WHERE key_hash = ? LIMIT 1",
+      args: [keyHash],
+    });
+    const row = sel.rows[0];
+    await recordAuditEvent(req, {
+      action: "api_key.create",
+      outcome: "success",
+      target_type: "api_key",
+      target_id: row.public_id,
+      details: {
+        name: row.name,
+        permissions: permsToStore,
+        scopes: parseScopes(row.scopes),
+        rate_limit: row.rate_limit,
+        monthly_quota: row.monthly_quota,
+        expires_at: row.expires_at,
+      },
+    });
+    await publishWebhookEvent("api_key.created", {
+      userId: req.user.id,
+      data: {
         public_id: row.public_id,
+        key_prefix: row.key_prefix,
         name: row.name,
-        permissions: row.permissions ? JSON.parse(row.permissions) : [],
+        permissions: permsToStore,
+        scopes: parseScopes(row.scopes),
+        expires_at: row.expires_at,
         created_at: row.created_at,
-        raw_key: raw,
-        message: "Store this raw key securely; it will not be shown again.",
+      },
+    });
+    created.push({
+      public_id: row.public_id,
+      key_prefix: row.key_prefix,
+      name: row.name,
+      permissions: row.permissions ? JSON.parse(row.permissions) : [],
+      scopes: parseScopes(row.scopes),
+      rate_limit: row.rate_limit,
+      monthly_quota: row.monthly_quota,
+      expires_at: row.expires_at,
+      created_at: row.created_at,
+      raw_key: raw,
+      message: "Store this raw key securely; it will not be shown again.",
+    });
+  }
+
+  res.status(201).json({ created });
+};
+
+const serializeApiKey = (r) => ({
+  public_id: r.public_id,
+  // non-secret start of the key; null for legacy hex keys, which should be rotated
+  key_prefix: r.key_prefix,
+  format: r.key_prefix ? "sak" : "legacy",
+  name: r.name,
+  permissions: r.permissions ? JSON.parse(r.permissions) : [],
+  // null = unrestricted
+  scopes: parseScopes(r.scopes),
+  rate_limit: r.rate_limit,
+  monthly_quota: r.monthly_quota,
+  created_at: r.created_at,
+  expires_at: r.expires_at,
+  disabled: !!r.disabled,
+  // set when the key was revoked as leaked; it can no longer be re-enabled
+  revoked_at: r.revoked_at ?? null,
+  last_used_at: r.last_used_at,
+  last_used_ip: r.last_used_ip,
+  // set while the secret replaced by the last rotation still works
+  rotation_grace_until: r.rotation_grace_until ?? null,
+});
+
+const API_KEY_COLUMNS = `public_id, key_prefix, name, permissions, scopes, rate_limit, monthly_quota, created_at, expires_at, disabled,
+  revoked_at, last_used_at, last_used_ip,
+  CASE WHEN previous_key_expires_at > strftime('%Y-%m-%d %H:%M:%f','now') THEN previous_key_expires_at END AS rotation_grace_until`;
+
+export const listApiKeys = async (req, res) => {
+  const result = await turso.execute({
+    sql: `SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE owner_user_id = ?`,
+    args: [req.user.id],
+  });
+  res.json(result.rows.map(serializeApiKey));
+};
+
+// A key revoked as leaked stays revoked: it cannot be re-enabled or given a new secret
+const assertNotRevoked = (key) => {
+  if (key.revoked_at)
+    throw new ConflictError("API key was revoked", {
+      code: "api_key_revoked",
+      details: { revoked_at: key.revoked_at },
+    });
+};
+
+const updateSchema = z
+  .object({
+    name: z.string().min(1).optional(),
+    disabled: z.boolean().optional(),
+    // may only remove permissions the key already has
+    permissions: z.array(z.string()).optional(),
+  })
+  .refine((obj) => Object.keys(obj).length > 0, {
+    message: "Provide at least one of name, disabled or permissions",
+  });
+
+// Rename, disable/enable or narrow the permissions of one of the requester's keys
+export const updateApiKey = async (req, res) => {
+  const parsed = updateSchema.safeParse(req.body);
+  if (!parsed.success) throw new ValidationError(parsed.error);
+  const { name, disabled, permissions } = parsed.data;
+  await assertOwnKeyOnly(req, "api_key.update", [req.params.public_id]);
+
+  const sel = await turso.execute({
+    sql: "SELECT id, permissions, revoked_at FROM api_keys WHERE public_id = ? AND owner_user_id = ? LIMIT 1",
+    args: [req.params.public_id, req.user.id],
+  });
+  const key = sel.rows[0];
+  if (!key) throw new NotFoundError("API key not found");
+  assertNotRevoked(key);
+
+  if (permissions) {
+    const current = key.permissions ? JSON.parse(key.permissions) : [];
+    const added = permissions.filter((p) => !current.includes(p));
+    if (added.length > 0) {
+      await recordAuditEvent(req, {
+        action: "api_key.update",
+        outcome: "denied",
+        target_type: "api_key",
+        target_id: req.params.public_id,
+        details: { invalid_permissions: added },
+      });
+      throw new ForbiddenError("Forbidden: permissions can only be narrowed", {
+        code: "permissions_not_allowed",
+        details: { invalid_permissions: added },
       });
     }
-
-    res.status(201).json({ created });
-  } catch (err) {
-    res
-      .status(500)
-      .json({ error: "Failed to create api keys", details: err.message });
   }
+
+  await turso.execute({
+    sql: `UPDATE api_keys SET
+            name = COALESCE(?, name),
+            disabled = COALESCE(?, disabled),
+            permissions = COALESCE(?, permissions)
+          WHERE id = ?`,
+    args: [
+      name ?? null,
+      disabled == null ? null : disabled ? 1 : 0,
+      permissions ? JSON.stringify([...new Set(permissions)]) : null,
+      key.id,
+    ],
+  });
+  await recordAuditEvent(req, {
+    action: "api_key.update",
+    outcome: "success",
+    target_type: "api_key",
+    target_id: req.params.public_id,
+    details: parsed.data,
+  });
+
+  const updated = await turso.execute({
+    sql: `SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE id = ?`,
+    args: [key.id],
+  });
+  res.json(serializeApiKey(updated.rows[0]));
 };
 
-export const listApiKeys = async (req, res) => {
-  try {
-    const result = await turso.execute({
-      sql: "SELECT public_id, name, permissions, created_at, disabled FROM api_keys WHERE owner_user_id = ?",
-      args: [req.user.id],
+const rotateSchema = z.object({
+  // how long the replaced secret keeps working
+  grace_period_seconds: z
+    .number()
+    .int()
+    .min(0)
+    .max(MAX_ROTATION_GRACE_SECONDS)
+    .optional(),
+});
+
+// Issue a new secret for one of the requester's keys; the old one keeps working for the grace period
+export const rotateApiKey = async (req, res) => {
+  const parsed = rotateSchema.safeParse(req.body ?? {});
+  if (!parsed.success) throw new ValidationError(parsed.error);
+  const grace = parsed.data.grace_period_seconds ?? ROTATION_GRACE_SECONDS;
+  await assertOwnKeyOnly(req, "api_key.rotate", [req.params.public_id]);
+
+  const sel = await turso.execute({
+    sql: "SELECT revoked_at FROM api_keys WHERE public_id = ? AND owner_user_id = ? LIMIT 1",
+    args: [req.params.public_id, req.user.id],
+  });
+  if (!sel.rows[0]) throw new NotFoundError("API key not found");
+  assertNotRevoked(sel.rows[0]);
+
+  // Rotation always issues the prefixed format, which migrates legacy keys
+  const { raw, hash: keyHash, prefix } = generateApiKey(req.params.public_id);
+  const result = await turso.execute({
+    sql: `UPDATE api_keys SET
+            previous_key_hash = key_hash,
+            previous_key_expires_at = strftime('%Y-%m-%d %H:%M:%f','now', ?),
+            key_hash = ?,
+            key_prefix = ?
+          WHERE public_id = ? AND owner_user_id = ? AND revoked_at IS NULL
+          RETURNING ${API_KEY_COLUMNS}`,
+    args: [
+      `+${grace} seconds`,
+      keyHash,
+      prefix,
+      req.params.public_id,
+      req.user.id,
+    ],
+  });
+  const row = result.rows[0];
+  if (!row) throw new NotFoundError("API key not found");
+
+  await recordAuditEvent(req, {
+    action: "api_key.rotate",
+    outcome: "success",
+    target_type: "api_key",
+    target_id: row.public_id,
+    details: { grace_period_seconds: grace },
+  });
+
+  res.json({
+    ...serializeApiKey(row),
+    raw_key: raw,
+    message: "Store this raw key securely; it will not be shown again.",
+  });
+};
+
+// Usage of one of the requester's keys: current month and the previous 11
+export const getApiKeyUsage = async (req, res) => {
+  const keyRes = await turso.execute({
+    sql: "SELECT id, public_id, rate_limit, monthly_quota FROM api_keys WHERE public_id = ? AND owner_user_id = ? LIMIT 1",
+    args: [req.params.public_id, req.user.id],
+  });
+  const key = keyRes.rows[0];
+  if (!key) throw new NotFoundError("API key not found");
+
+  const usageRes = await turso.execute({
+    sql: "SELECT period, request_count, last_request_at FROM api_key_usage WHERE api_key_id = ? ORDER BY period DESC LIMIT 12",
+    args: [key.id],
+  });
+  const { period, resetsAt } = usagePeriod();
+  const current = usageRes.rows.find((r) => r.period === period);
+  const used = Number(current?.request_count ?? 0);
+
+  res.json({
+    public_id: key.public_id,
+    rate_limit: key.rate_limit,
+    monthly_quota: key.monthly_quota,
+    period,
+    used,
+    remaining:
+      key.monthly_quota != null ? Math.max(0, key.monthly_quota - used) : null,
+    resets_at: resetsAt.toISOString(),
+    last_request_at: current?.last_request_at ?? null,
+    history: usageRes.rows.map((r) => ({
+      period: r.period,
+      request_count: Number(r.request_count),
+    })),
+  });
+};
+
+const revokeLeakedSchema = z.object({
+  key: z.string().min(1),
+});
+
+// Revoke a key found in the wild (e.g. by a secret scanner). Possessing the raw key
+// is the proof needed, so this endpoint does not require authentication. Revocation
+// is permanent (`revoked_at`): unlike `disabled`, PATCH cannot undo it.
+// A leaked secret that was already replaced by a rotation only ends its grace period.
+export const revokeLeakedApiKey = async (req, res) => {
+  const parsed = revokeLeakedSchema.safeParse(req.body);
+  if (!parsed.success) throw new ValidationError(parsed.error);
+
+  const found = await findApiKey(parsed.data.key.trim());
+  if (found.reason === "revoked")
+    return res.json({ message: "API key was already revoked" });
+  if (!found.row) {
+    if (found.reason === "malformed" || found.reason === "bad_checksum")
+      throw new ValidationError("Not a valid API key", {
+        code: "invalid_api_key",
+      });
+    throw new NotFoundError("API key not found");
+  }
+  const { row, matched } = found;
+
+  if (matched === "previous") {
+    await turso.execute({
+      sql: "UPDATE api_keys SET previous_key_hash = NULL, previous_key_expires_at = NULL WHERE id = ?",
+      args: [row.id],
+    });
+  } else {
+    await turso.execute({
+      sql: `UPDATE api_keys SET
+              disabled = 1,
+              revoked_at = strftime('%Y-%m-%d %H:%M:%f','now'),
+              previous_key_hash = NULL,
+              previous_key_expires_at = NULL
+            WHERE id = ?`,
+      args: [row.id],
     });
-    const rows = result.rows.map((r) => ({
-      public_id: r.public_id,
-      name: r.name,
-      permissions: r.permissions ? JSON.parse(r.permissions) : [],
-      created_at: r.created_at,
-      disabled: !!r.disabled,
-    }));
-    res.json(rows);
-  } catch (err) {
-    res
-      .status(500)
-      .json({ error: "Failed to fetch api keys", details: err.message });
   }
+  await recordAuditEvent(req, {
+    action: "api_key.revoke_leaked",
+    outcome: "success",
+    target_type: "api_key",
+    target_id: row.public_id,
+    details: { matched },
+  });
+
+  res.json({
+    message:
+      matched === "previous"
+        ? "Leaked secret was already rotated; its grace period has been ended"
+        : "API key revoked",
+    public_id: row.public_id,
+  });
 };
 
 const deleteSchema = z.object({
@@ -170,26 +563,26 @@ const deleteSchema = z.object({
 
 export const deleteApiKeys = async (req, res) => {
   const parsed = deleteSchema.safeParse(req.body);
-  if (!parsed.success)
-    return res.status(400).json({ error: z.treeifyError(parsed.error) });
+  if (!parsed.success) throw new ValidationError(parsed.error);
 
   const publicIds = parsed.data.public_ids;
   if (!Array.isArray(publicIds) || publicIds.length === 0) {
-    return res
-      .status(400)
-      .json({ error: "public_ids must be a non-empty array" });
+    throw new ValidationError("public_ids must be a non-empty array");
   }
+  await assertOwnKeyOnly(req, "api_key.delete", publicIds);
 
-  try {
-    // delete only keys owned by the requester
-    const placeholders = publicIds.map(() => "?").join(",");
-    const args = [...publicIds, req.user.id];
-    const sql = `DELETE FROM api_keys WHERE public_id IN (${placeholders}) AND owner_user_id = ?`;
-    await turso.execute({ sql, args });
-    res.json({ message: "Deleted requested api keys (owned by you)" });
-  } catch (err) {
-    res
-      .status(500)
-      .json({ error: "Failed to delete api keys", details: err.message });
+  // delete only keys owned by the requester
+  const placeholders = publicIds.map(() => "?").join(",");
+  const args = [...publicIds, req.user.id];
+  const sql = `DELETE FROM api_keys WHERE public_id IN (${placeholders}) AND owner_user_id = ? RETURNING public_id`;
+  const deleted = await turso.execute({ sql, args });
+  for (const row of deleted.rows) {
+    await recordAuditEvent(req, {
+      action: "api_key.delete",
+      outcome: "success",
+      target_type: "api_key",
+      target_id: row.public_id,
+    });
   }
+  res.json({ message: "Deleted requested api keys (owned by you)" });
 };
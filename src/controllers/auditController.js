@@ -0,0 +1,75 @@
+import turso from "../db.js";
+import { toDbTimestamp } from "../utils/time.js";
+import { ValidationError } from "../utils/errors.js";
+
+// Controller for querying the audit log (admin only).
+// Events are returned newest first; `next_cursor` is passed back as `cursor` to get the next page.
+
+const encodeCursor = (id) => Buffer.from(String(id)).toString("base64url");
+const decodeCursor = (cursor) => {
+  const id = Number(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+export const getAuditEvents = async (req, res) => {
+  const { actor, action, from, to, cursor, limit } = req.validatedQuery;
+
+  const where = [];
+  const args = [];
+  if (actor) {
+    where.push("actor_id = ?");
+    args.push(actor);
+  }
+  if (action) {
+    // "api_key.*" matches every action of a family
+    if (action.endsWith(".*")) {
+      where.push("action LIKE ?");
+      args.push(`${action.slice(0, -1)}%`);
+    } else {
+      where.push("action = ?");
+      args.push(action);
+    }
+  }
+  if (from) {
+    where.push("created_at >= ?");
+    args.push(toDbTimestamp(from));
+  }
+  if (to) {
+    where.push("created_at < ?");
+    args.push(toDbTimestamp(to));
+  }
+  if (cursor) {
+    const cursorId = decodeCursor(cursor);
+    if (!cursorId)
+      throw new ValidationError("Invalid cursor", { code: "invalid_cursor" });
+    where.push("id < ?");
+    args.push(cursorId);
+  }
+
+  // Fetch one extra row to know whether there is a next page
+  const result = await turso.execute({
+    sql: `SELECT id, actor_type, actor_id, action, target_type, target_id, ip, outcome, details, created_at
+          FROM audit_events
+          ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+          ORDER BY id DESC
+          LIMIT ?`,
+    args: [...args, limit + 1],
+  });
+
+  const rows = result.rows.slice(0, limit);
+  const events = rows.map((r) => ({
+    actor_type: r.actor_type,
+    actor_id: r.actor_id,
+    action: r.action,
+    target_type: r.target_type,
+    target_id: r.target_id,
+    ip: r.ip,
+    outcome: r.outcome,
+    details: r.details ? JSON.parse(r.details) : null,
+    created_at: r.created_at,
+  }));
+  const nextCursor =
+    result.rows.length > limit ? encodeCursor(rows[rows.length - 1].id) : null;
+
+  res.json({ events, next_cursor: nextCursor });
+};
@@ -1,42 +1,53 @@
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
 import turso from "../db.js";
-import dotenv from "dotenv";
 import generatePublicIds from "../utils/generatePublicIds.js";
+import { rolePermissionExistsSql } from "../utils/permissions.js";
+import { recordAuditEvent } from "../utils/audit.js";
+import {
+  AuthError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} from "../utils/errors.js";
+import {
+  signAccessToken,
+  createSession,
+  rotateRefreshToken,
+} from "../utils/tokens.js";
 
-dotenv.config();
-const SECRET = process.env.JWT_SECRET;
-
-// Controllers for user registration and login.
+// Controllers for user registration, login and refresh-token rotation.
 
 // Register user
 export const register = async (req, res) => {
   const { username, password, role, email } = req.body;
   if (!username || !password || !email)
-    return res.status(400).json({ error: "Missing fields" });
+    throw new ValidationError("Missing fields");
 
   const hash = await bcrypt.hash(password, 10);
-  try {
-    const roleResult = await turso.execute({
-      sql: "SELECT id FROM roles WHERE name = ?",
-      args: [role || "user"],
-    });
-    const roleId = roleResult.rows[0]?.id;
+  const roleResult = await turso.execute({
+    sql: "SELECT id FROM roles WHERE name = ?",
+    args: [role || "user"],
+  });
+  const roleId = roleResult.rows[0]?.id;
 
-    if (!roleId) return res.status(400).json({ error: "Invalid role" });
+  if (!roleId)
+    throw new ValidationError("Invalid role", { code: "invalid_role" });
 
-    const publicId = generatePublicIds("user");
+  const publicId = generatePublicIds("user");
+  try {
     await turso.execute({
       sql: `INSERT INTO users (public_id, username, password, role_id, email) VALUES (?, ?, ?, ?, ?)`,
       args: [publicId, username, hash, roleId, email],
     });
-    res.json({ message: "User registered successfully", public_id: publicId });
   } catch (err) {
-    res.status(400).json({
-      error: "Username already exists or DB error",
-      details: err.message,
-    });
+    if (/UNIQUE constraint failed/i.test(err.message))
+      throw new ConflictError("Username already exists", {
+        code: "username_taken",
+      });
+    throw err;
   }
+  res.json({ message: "User registered successfully", public_id: publicId });
 };
 
 // Login user
@@ -44,30 +55,63 @@ export const login = async (req, res) => {
   const { username, password } = req.body;
 
   const result = await turso.execute({
-    sql: "SELECT u.*, r.can_post_login FROM users u JOIN roles r ON u.role_id = r.id WHERE u.username = ?",
-    args: [username],
+    sql: `SELECT u.*, ${rolePermissionExistsSql("u.role_id")} AS can_post_login FROM users u WHERE u.username = ?`,
+    args: ["post_login", username],
   });
 
   const user = result.rows[0];
-  if (!user) return res.status(404).json({ error: "User not found" });
+  const auditLogin = (outcome, reason) =>
+    recordAuditEvent(req, {
+      action: "auth.login",
+      outcome,
+      target_type: "user",
+      target_id: user?.public_id ?? null,
+      details: { username, ...(reason ? { reason } : {}) },
+    });
+
+  if (!user) {
+    await auditLogin("failure", "user_not_found");
+    throw new NotFoundError("User not found", { code: "user_not_found" });
+  }
 
   if (!user.can_post_login) {
-    return res.status(403).json({ error: "Login permission denied" });
+    await auditLogin("denied", "login_permission_denied");
+    throw new ForbiddenError("Login permission denied", {
+      code: "login_permission_denied",
+    });
   }
 
   const valid = await bcrypt.compare(password, user.password);
-  if (!valid) return res.status(401).json({ error: "Invalid password" });
+  if (!valid) {
+    await auditLogin("failure", "invalid_password");
+    throw new AuthError("Invalid password", { code: "invalid_password" });
+  }
+
+  // Each login opens a session holding a rotating refresh token
+  const session = await createSession(user, {
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
+  });
 
   // Sign token with public_id (not internal numeric id) so clients cannot see internal ids
-  const token = jwt.sign(
-    {
-      public_id: user.public_id,
-      username: user.username,
-      role_id: user.role_id,
-      token_version: user.token_version,
-    },
-    SECRET,
-    { expiresIn: "1h" }
-  );
-  res.json({ token });
+  const token = signAccessToken(user, session.session_id);
+  await auditLogin("success");
+  res.json({
+    token,
+    refresh_token: session.refresh_token,
+    session_id: session.session_id,
+  });
+};
+
+// Exchange a refresh token for a new access token and a new refresh token
+export const refreshToken = async (req, res) => {
+  const result = await rotateRefreshToken(req.body.refresh_token, {
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
+  });
+  res.json({
+    token: result.token,
+    refresh_token: result.refresh_token,
+    session_id: result.session_id,
+  });
 };
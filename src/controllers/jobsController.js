@@ -0,0 +1,157 @@
+import turso from "../db.js";
+import generatePublicIds from "../utils/generatePublicIds.js";
+import { pokeProductImportWorker } from "../jobs/productImportWorker.js";
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "../utils/errors.js";
+
+// Controller for background jobs. POST /products/bulk enqueues a product import;
+// GET /jobs/:id reports progress and per-item results; cancel and retry-failed act on
+// a job's items. Jobs are only visible to the user who created them (or their API keys).
+
+const IMPORT_MAX_ITEMS = Number(process.env.IMPORT_MAX_ITEMS) || 1000;
+
+const NOW = "strftime('%Y-%m-%d %H:%M:%f','now')";
+
+const findJob = async (publicId, userId) => {
+  const result = await turso.execute({
+    sql: "SELECT id, public_id, type, status, total_items, created_at, started_at, finished_at FROM jobs WHERE public_id = ? AND created_by = ? LIMIT 1",
+    args: [publicId, userId],
+  });
+  return result.rows[0] ?? null;
+};
+
+// Job with item counts by status and, optionally, the per-item results
+const serializeJob = async (job, { withResults = false } = {}) => {
+  const items = await turso.execute({
+    sql: "SELECT item_index, status, attempts, result FROM job_items WHERE job_id = ? ORDER BY item_index",
+    args: [job.id],
+  });
+  const counts = {
+    pending: 0,
+    processing: 0,
+    succeeded: 0,
+    failed: 0,
+    cancelled: 0,
+  };
+  for (const item of items.rows) counts[item.status] += 1;
+
+  return {
+    id: job.public_id,
+    type: job.type,
+    status: job.status,
+    total_items: job.total_items,
+    counts,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+    ...(withResults && {
+      // same shape as the `results` of a bulk POST /products, plus index and status
+      results: items.rows.map((i) => ({
+        index: i.item_index,
+        status: i.status,
+        attempts: i.attempts,
+        ...(i.result ? JSON.parse(i.result) : {}),
+      })),
+    }),
+  };
+};
+
+// Enqueue an array of products (same item format as POST /products) for import
+export const createProductImportJob = async (req, res) => {
+  const items = req.body;
+  if (!Array.isArray(items) || items.length === 0)
+    throw new ValidationError(
+      "Request body must be a non-empty array of products"
+    );
+  if (items.length > IMPORT_MAX_ITEMS)
+    throw new ValidationError(
+      `A job can hold at most ${IMPORT_MAX_ITEMS} products`,
+      { code: "too_many_items" }
+    );
+
+  // Items are validated when processed, so errors show up per item in the results
+  const publicId = generatePublicIds("job");
+  await turso.batch(
+    [
+      {
+        sql: "INSERT INTO jobs (public_id, type, created_by, total_items) VALUES (?, 'product_import', ?, ?)",
+        args: [publicId, req.user.id, items.length],
+      },
+      ...items.map((item, index) => ({
+        sql: "INSERT INTO job_items (job_id, item_index, payload) VALUES ((SELECT id FROM jobs WHERE public_id = ?), ?, ?)",
+        args: [publicId, index, JSON.stringify(item ?? null)],
+      })),
+    ],
+    "write"
+  );
+  pokeProductImportWorker();
+
+  const job = await findJob(publicId, req.user.id);
+  res
+    .status(202)
+    .location(`/api/jobs/${publicId}`)
+    .json(await serializeJob(job));
+};
+
+export const getJob = async (req, res) => {
+  const job = await findJob(req.params.id, req.user.id);
+  if (!job) throw new NotFoundError("Job not found");
+  res.json(await serializeJob(job, { withResults: true }));
+};
+
+// Stop a job: pending items are cancelled, items already being processed finish
+export const cancelJob = async (req, res) => {
+  const job = await findJob(req.params.id, req.user.id);
+  if (!job) throw new NotFoundError("Job not found");
+  if (job.status !== "queued" && job.status !== "running")
+    throw new ConflictError(`Job is already ${job.status}`, {
+      code: "job_finished",
+    });
+
+  await turso.batch(
+    [
+      {
+        sql: `UPDATE jobs SET status = 'cancelled', finished_at = ${NOW} WHERE id = ?`,
+        args: [job.id],
+      },
+      {
+        sql: `UPDATE job_items SET status = 'cancelled', updated_at = ${NOW} WHERE job_id = ? AND status = 'pending'`,
+        args: [job.id],
+      },
+    ],
+    "write"
+  );
+  res.json(await serializeJob(await findJob(job.public_id, req.user.id)));
+};
+
+// Put a job's failed items back in the queue
+export const retryFailedJobItems = async (req, res) => {
+  const job = await findJob(req.params.id, req.user.id);
+  if (!job) throw new NotFoundError("Job not found");
+
+  const [retried] = await turso.batch(
+    [
+      {
+        sql: `UPDATE job_items SET status = 'pending', locked_until = NULL, updated_at = ${NOW} WHERE job_id = ? AND status = 'failed'`,
+        args: [job.id],
+      },
+      {
+        sql: `UPDATE jobs SET status = 'queued', finished_at = NULL
+              WHERE id = ? AND status <> 'running'
+                AND EXISTS (SELECT 1 FROM job_items WHERE job_id = ? AND status = 'pending')`,
+        args: [job.id, job.id],
+      },
+    ],
+    "write"
+  );
+  if (retried.rowsAffected === 0)
+    throw new ConflictError("Job has no failed items", {
+      code: "no_failed_items",
+    });
+  pokeProductImportWorker();
+
+  res.json(await serializeJob(await findJob(job.public_id, req.user.id)));
+};
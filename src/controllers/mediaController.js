@@ -0,0 +1,326 @@
+import turso from "../db.js";
+import { z } from "zod";
+import { recordAuditEvent } from "../utils/audit.js";
+import generatePublicIds from "../utils/generatePublicIds.js";
+import { productGid } from "../utils/shopify.js";
+import { NotFoundError, ValidationError } from "../utils/errors.js";
+import { shopById } from "../utils/shops.js";
+import {
+  MEDIA_FIELDS,
+  listProductMedia,
+  mediaStatus,
+  refreshProductImagesStatement,
+  syncProductMedia,
+  upsertMediaStatement,
+} from "../utils/productMedia.js";
+import { pokeMediaPoller } from "../jobs/mediaPoller.js";
+import { loadProductFor } from "./productsController.js";
+
+// Images of a product (/products/:public_id/media). Reads need the same permissions as
+// GET /products/:public_id, changes the same as PATCH; adding images also needs
+// upload_media (checked by the route).
+
+const READ_PERMISSIONS = ["get_products", "manage_all_products"];
+const WRITE_PERMISSIONS = ["manage_all_products"];
+
+// Images one request may add or stage
+const MAX_MEDIA_PER_REQUEST = 20;
+// Shopify's limit for images
+const MAX_UPLOAD_BYTES =
+  Number(process.env.MEDIA_MAX_UPLOAD_BYTES) || 20_000_000;
+const UPLOAD_MIME_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+];
+const altSchema = z.string().max(512);
+
+const mediaChangesSchema = z
+  .object({
+    add: z
+      .array(
+        z
+          .object({
+            url: z.string().url().optional(),
+            upload_id: z.string().min(1).optional(), // from POST .../media/uploads
+            alt: altSchema.optional(),
+          })
+          .refine((a) => Boolean(a.url) !== Boolean(a.upload_id), {
+            message: "Provide either url or upload_id",
+          })
+      )
+      .max(MAX_MEDIA_PER_REQUEST)
+      .optional(),
+    remove: z.array(z.string().min(1)).optional(),
+    update: z
+      .array(z.object({ id: z.string().min(1), alt: altSchema }))
+      .optional(),
+    // media public_ids in their new order; the others follow in their current order
+    order: z.array(z.string().min(1)).optional(),
+  })
+  .refine(
+    (c) => [c.add, c.remove, c.update, c.order].some((list) => list?.length),
+    { message: "Provide at least one of add, remove, update or order" }
+  )
+  .refine((c) => !(c.order ?? []).some((id) => (c.remove ?? []).includes(id)), {
+    message: "Removed images cannot be reordered",
+    path: ["order"],
+  });
+
+const uploadsSchema = z.preprocess(
+  (v) => (Array.isArray(v) ? v : [v]),
+  z
+    .array(
+      z.object({
+        filename: z.string().min(1).max(255),
+        mime_type: z.enum(UPLOAD_MIME_TYPES),
+        file_size: z.number().int().positive().max(MAX_UPLOAD_BYTES),
+      })
+    )
+    .min(1)
+    .max(MAX_MEDIA_PER_REQUEST)
+);
+
+// GET /products/:public_id/media
+export const listMedia = async (req, res) => {
+  const product = await loadProductFor(req, READ_PERMISSIONS);
+  res.json({
+    product: product.public_id,
+    media: await listProductMedia(product.id),
+  });
+};
+
+// POST /products/:public_id/media/uploads — staged upload targets for image files.
+// Body: { filename, mime_type, file_size } or an array of them.
+export const createMediaUploads = async (req, res) => {
+  const parsed = uploadsSchema.safeParse(req.body);
+  if (!parsed.success) throw new ValidationError(parsed.error);
+
+  const product = await loadProductFor(req, WRITE_PERMISSIONS);
+
+  const { client } = await shopById(product.shop_id);
+  const payload = await client.mutate(
+    `mutation stagedUploadsCreate($input: [StagedUploadInput!]!) {
+      stagedUploadsCreate(input: $input) {
+        stagedTargets { url resourceUrl parameters { name value } }
+        userErrors { field message }
+      }
+    }`,
+    {
+      input: parsed.data.map((f) => ({
+        resource: "IMAGE",
+        filename: f.filename,
+        mimeType: f.mime_type,
+        fileSize: String(f.file_size),
+        httpMethod: "POST",
+      })),
+    },
+    "stagedUploadsCreate",
+    { idempotent: true }
+  );
+
+  const uploads = payload.stagedTargets.map((target, i) => ({
+    upload_id: generatePublicIds("media"),
+    filename: parsed.data[i].filename,
+    url: target.url,
+    parameters: target.parameters,
+    resource_url: target.resourceUrl,
+  }));
+  await turso.batch(
+    uploads.map((u) => ({
+      sql: "INSERT INTO product_media (public_id, product_id, source, filename, status) VALUES (?, ?, ?, ?, 'staged')",
+      args: [u.upload_id, product.id, u.resource_url, u.filename],
+    })),
+    "write"
+  );
+  await recordAuditEvent(req, {
+    action: "product.media.stage",
+    outcome: "success",
+    target_type: "product",
+    target_id: product.public_id,
+    details: { uploads: uploads.map((u) => u.upload_id) },
+  });
+
+  res.status(201).json({ product: product.public_id, uploads });
+};
+
+// POST /products/:public_id/media — add (by URL or staged upload), remove, change the
+// alt text of and reorder images:
+// { add?: [{ url | upload_id, alt? }], remove?: [id], update?: [{ id, alt }], order?: [id] }
+export const updateMedia = async (req, res) => {
+  const parsed = mediaChangesSchema.safeParse(req.body);
+  if (!parsed.success) throw new ValidationError(parsed.error);
+  const { add = [], remove = [], update = [], order = [] } = parsed.data;
+
+  const product = await loadProductFor(req, WRITE_PERMISSIONS);
+  const { client } = await shopById(product.shop_id);
+  const productId = productGid(product.shopify_id);
+
+  // Start from Shopify's current images, including any added in the Shopify admin
+  await syncProductMedia(client, product);
+  const rows = (
+    await turso.execute({
+      sql: `SELECT id, public_id, shopify_media_id, source, status FROM product_media
+            WHERE product_id = ? ORDER BY position, id`,
+      args: [product.id],
+    })
+  ).rows;
+  const attached = new Map(
+    rows.filter((r) => r.shopify_media_id).map((r) => [r.public_id, r])
+  );
+  const staged = new Map(
+    rows.filter((r) => r.status === "staged").map((r) => [r.public_id, r])
+  );
+  const missing = [
+    ...[...remove, ...update.map((u) => u.id), ...order].filter(
+      (id) => !attached.has(id)
+    ),
+    ...add
+      .filter((a) => a.upload_id && !staged.has(a.upload_id))
+      .map((a) => a.upload_id),
+  ];
+  if (missing.length)
+    throw new NotFoundError("Media not found", {
+      details: { media: [...new Set(missing)] },
+    });
+
+  if (remove.length)
+    await client.mutate(
+      `mutation productDeleteMedia($productId: ID!, $mediaIds: [ID!]!) {
+        productDeleteMedia(productId: $productId, mediaIds: $mediaIds) {
+          deletedMediaIds
+          userErrors: mediaUserErrors { field message code }
+        }
+      }`,
+      {
+        productId,
+        mediaIds: remove.map((id) => attached.get(id).shopify_media_id),
+      },
+      "productDeleteMedia",
+      { idempotent: true }
+    );
+
+  let created = [];
+  if (add.length) {
+    const payload = await client.mutate(
+      `mutation productCreateMedia($productId: ID!, $media: [CreateMediaInput!]!) {
+        productCreateMedia(productId: $productId, media: $media) {
+          media { ${MEDIA_FIELDS} }
+          userErrors: mediaUserErrors { field message code }
+        }
+      }`,
+      {
+        productId,
+        media: add.map((a) => ({
+          mediaContentType: "IMAGE",
+          originalSource: a.url ?? staged.get(a.upload_id).source,
+          ...(a.alt && { alt: a.alt }),
+        })),
+      },
+      "productCreateMedia"
+    );
+    created = payload.media ?? [];
+  }
+
+  if (update.length)
+    await client.mutate(
+      `mutation productUpdateMedia($productId: ID!, $media: [UpdateMediaInput!]!) {
+        productUpdateMedia(productId: $productId, media: $media) {
+          media { id }
+          userErrors: mediaUserErrors { field message code }
+        }
+      }`,
+      {
+        productId,
+        media: update.map((u) => ({
+          id: attached.get(u.id).shopify_media_id,
+          alt: u.alt,
+        })),
+      },
+      "productUpdateMedia",
+      { idempotent: true }
+    );
+
+  // Shopify ids of the images in their final order: the listed ones first, then the
+  // others as they were, new images last
+  const removed = new Set(remove);
+  const kept = [...attached.keys()].filter((id) => !removed.has(id));
+  const finalOrder = [
+    ...order,
+    ...kept.filter((id) => !order.includes(id)),
+  ].map((id) => attached.get(id).shopify_media_id);
+  finalOrder.push(...created.filter((n) => n?.id).map((n) => n.id));
+  if (order.length)
+    await client.mutate(
+      `mutation productReorderMedia($id: ID!, $moves: [MoveInput!]!) {
+        productReorderMedia(id: $id, moves: $moves) {
+          job { id }
+          userErrors: mediaUserErrors { field message code }
+        }
+      }`,
+      {
+        id: productId,
+        moves: finalOrder.map((mediaId, position) => ({
+          id: mediaId,
+          newPosition: String(position),
+        })),
+      },
+      "productReorderMedia",
+      { idempotent: true }
+    );
+
+  const local = { sql: "id = ?", args: [product.id] };
+  await turso.batch(
+    [
+      {
+        sql: "DELETE FROM product_media WHERE product_id = ? AND public_id IN (SELECT value FROM json_each(?))",
+        args: [
+          product.id,
+          JSON.stringify([
+            ...remove,
+            ...add.filter((a) => a.upload_id).map((a) => a.upload_id),
+          ]),
+        ],
+      },
+      // a staged upload keeps its id as the image's
+      ...created.map((node, i) =>
+        upsertMediaStatement(local, node, {
+          position: finalOrder.indexOf(node.id),
+          source: add[i].url ?? staged.get(add[i].upload_id)?.source,
+          ...(add[i].upload_id && { publicId: add[i].upload_id }),
+        })
+      ),
+      ...update.map((u) => ({
+        sql: `UPDATE product_media SET alt = ?, updated_at = strftime('%Y-%m-%d %H:%M:%f','now') WHERE public_id = ?`,
+        args: [u.alt || null, u.id],
+      })),
+      ...finalOrder.map((mediaId, position) => ({
+        sql: "UPDATE product_media SET position = ? WHERE shopify_media_id = ?",
+        args: [position, mediaId],
+      })),
+      refreshProductImagesStatement(product.id),
+    ],
+    "write"
+  );
+  if (created.some((n) => mediaStatus(n) === "processing")) pokeMediaPoller();
+
+  await recordAuditEvent(req, {
+    action: "product.media.update",
+    outcome: "success",
+    target_type: "product",
+    target_id: product.public_id,
+    details: {
+      added: add.length,
+      removed: remove,
+      alt_updated: update.map((u) => u.id),
+      reordered: order.length > 0,
+    },
+  });
+
+  res.json({
+    message: "Media updated",
+    product: product.public_id,
+    media: await listProductMedia(product.id),
+  });
+};
@@ -1,262 +1,43 @@
 import turso from "../db.js";
 import dotenv from "dotenv";
 import { z } from "zod";
-import generatePublicIds from "../utils/generatePublicIds.js";
+import { hasPermission } from "../middleware/roles.js";
+import { recordAuditEvent } from "../utils/audit.js";
+import { productGid } from "../utils/shopify.js";
+import { DEFAULT_SHOP, resolveShop, shopById } from "../utils/shops.js";
+import { toDbTimestamp } from "../utils/time.js";
+import { createSingleProduct, failureResult } from "../utils/products.js";
+import { periodModifier } from "../utils/salesLedger.js";
+import {
+  IMPORT_CONTENT_TYPES,
+  IMAGE_DELIMITER,
+  parseProductFile,
+  toCsvLine,
+} from "../utils/productFiles.js";
+import { buildListQuery, toPage, likeSubstring } from "../utils/listQuery.js";
+import {
+  ForbiddenError,
+  HttpError,
+  NotFoundError,
+  ValidationError,
+} from "../utils/errors.js";
 dotenv.config();
 
-const SHOP_DOMAIN = "securedb-2.myshopify.com";
-const SHOPIFY_API_KEY = process.env.SHOPIFY_API_KEY;
-const GRAPHQL_PATH = `/admin/api/2025-10/graphql.json`;
-
-const productSchema = z.object({
-  name: z.string().min(1),
-  price: z.preprocess(
-    (v) => (typeof v === "string" ? Number(v) : v),
-    z.number().nonnegative()
-  ),
-  images: z.array(z.string().url()).optional(),
-  // optional quantity to set inventory on Shopify only. Not persisted locally.
-  // Accept numeric or string values; caller may omit and we'll default to 1.
-  quantity: z.preprocess(
-    (v) => (typeof v === "string" ? Number(v) : v),
-    z.number().int().min(1).optional()
-  ),
-  // optional locationId (Shopify GID) to set inventory at. If omitted, defaults to
-  // the store location GID used previously (gid://shopify/Location/77964902469).
-  // Validate GID shape (e.g. gid://shopify/Location/77964902469) when provided.
-  locationId: z
-    .string()
-    .regex(/^gid:\/\/shopify\/Location\/\d+$/, {
-      message:
-        "locationId must be a Shopify Location GID like gid://shopify/Location/12345",
-    })
-    .optional(),
-});
-
-// Helper that creates a single product on Shopify and records in database.
-// Returns an object describing success or failure per item.
-const createSingleProduct = async (productData, req) => {
-  const parsed = productSchema.safeParse(productData);
-  if (!parsed.success)
-    return { success: false, error: z.treeifyError(parsed.error) };
-
-  const { name, price } = parsed.data;
-  const quantity =
-    parsed.data.quantity != null ? Number(parsed.data.quantity) : 1;
-  const locationId =
-    parsed.data.locationId || "gid://shopify/Location/77964902469";
-
-  if (!SHOPIFY_API_KEY)
-    return { success: false, error: "Missing SHOPIFY_API_KEY in environment" };
-
-  const url = `https://${SHOP_DOMAIN}${GRAPHQL_PATH}`;
-  const productVar = { title: name };
-
-  let mediaInput = null;
-  if (Array.isArray(parsed.data.images) && parsed.data.images.length > 0) {
-    mediaInput = parsed.data.images.map((src) => ({
-      mediaContentType: "IMAGE",
-      originalSource: src,
-    }));
-  }
-
-  const createProductMutation = `mutation productCreate($product: ProductCreateInput!, $media: [CreateMediaInput!]) {\n    productCreate(product: $product, media: $media) {\n      product { id title media(first: 10) { edges { node { ... on MediaImage { id image { url width height } alt } } } } }\n      userErrors { field message }\n    }\n  }`;
-
-  let shopifyProduct;
-  try {
-    const resp = await fetch(url, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": SHOPIFY_API_KEY,
-      },
-      body: JSON.stringify({
-        query: createProductMutation,
-        variables: { product: productVar, media: mediaInput },
-      }),
-    });
-
-    if (!resp.ok) {
-      const text = await resp.text();
-      return { success: false, error: "Shopify error", details: text };
-    }
-
-    const data = await resp.json();
-    if (data.errors && data.errors.length) {
-      return {
-        success: false,
-        error: "Shopify GraphQL error",
-        details: data.errors,
-      };
-    }
-
-    const payload = data.data?.productCreate;
-    if (!payload)
-      return {
-        success: false,
-        error: "Unexpected Shopify response",
-        details: data,
-      };
-    if (payload.userErrors && payload.userErrors.length) {
-      return {
-        success: false,
-        error: "Shopify user errors",
-        details: payload.userErrors,
-      };
-    }
-
-    shopifyProduct = payload.product;
-  } catch (err) {
-    return {
-      success: false,
-      error: "Shopify request failed",
-      details: String(err),
-    };
-  }
-
-  const gid = shopifyProduct.id || "";
-  const shopifyId = String(gid).split("/").pop();
-  const productName = shopifyProduct.title;
-  let returnedImages = (shopifyProduct.media?.edges || [])
-    .map((e) => e?.node?.image?.url)
-    .filter(Boolean);
-
-  if (price != null) {
-    try {
-      const variantsMutation = `mutation productVariantsBulkCreate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {\n        productVariantsBulkCreate(productId: $productId, variants: $variants) {\n          productVariants { id price }\n          userErrors { field message }\n        }\n      }`;
-
-      let variantEntry = {
-        price: Number(price),
-        optionValues: [{ name: String("Default"), optionName: "Title" }],
-      };
-      if (Number(quantity) > 0) {
-        variantEntry.inventoryQuantities = [
-          {
-            availableQuantity: Number(quantity),
-            locationId: locationId,
-          },
-        ];
-      }
-      const vResp = await fetch(url, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "X-Shopify-Access-Token": SHOPIFY_API_KEY,
-        },
-        body: JSON.stringify({
-          query: variantsMutation,
-          variables: { productId: shopifyProduct.id, variants: [variantEntry] },
-        }),
-      });
-      const vData = await vResp.json();
-      if (vData.errors && vData.errors.length)
-        console.warn("Variant mutation errors:", vData.errors);
-      const bulkPayload = vData.data?.productVariantsBulkCreate;
-      if (bulkPayload?.userErrors && bulkPayload.userErrors.length)
-        console.warn("Variant user errors:", bulkPayload.userErrors);
-    } catch (e) {
-      console.warn("Variant bulk creation failed:", e);
-    }
-  }
-
-  let publicId;
-  try {
-    publicId = generatePublicIds("product");
-    const imagesJson = returnedImages.length
-      ? JSON.stringify(returnedImages)
-      : null;
-    await turso.execute({
-      sql: "INSERT INTO products (public_id, shopify_id, name, created_by, images) VALUES (?, ?, ?, ?, ?)",
-      args: [publicId, shopifyId, productName, req.user.id, imagesJson],
-    });
-  } catch (err) {
-    return {
-      success: true,
-      warning: "Created on Shopify; failed to record locally",
-      shopify: shopifyProduct,
-      local_error: err.message,
-    };
-  }
-
-  // Background: poll missing media nodes and update DB
-  (async () => {
-    const delay = (ms) => new Promise((r) => setTimeout(r, ms));
-    try {
-      const mediaEdges = shopifyProduct.media?.edges || [];
-      const missingMediaIds = mediaEdges
-        .filter((e) => !e?.node?.image?.url && e?.node?.id)
-        .map((e) => e.node.id);
-      if (!missingMediaIds.length) return;
-
-      const foundUrls = [];
-      for (const mediaId of missingMediaIds) {
-        let urlFound = null;
-        for (let attempt = 0; attempt < 3 && !urlFound; attempt++) {
-          if (attempt > 0) await delay(10000);
-          const nodesQuery = `query getMediaNodes($ids: [ID!]!) { nodes(ids: $ids) { ... on MediaImage { id image { url width height } alt } } }`;
-          try {
-            const nResp = await fetch(url, {
-              method: "POST",
-              headers: {
-                "Content-Type": "application/json",
-                "X-Shopify-Access-Token": SHOPIFY_API_KEY,
-              },
-              body: JSON.stringify({
-                query: nodesQuery,
-                variables: { ids: [mediaId] },
-              }),
-            });
-            if (!nResp.ok) continue;
-            const nData = await nResp.json();
-            const node = nData.data?.nodes?.[0];
-            const img = node?.image?.url;
-            if (img) urlFound = img;
-          } catch (e) {
-            // ignore and retry
-            console.warn("Error fetching media node:", e);
-          }
-        }
-        if (urlFound) foundUrls.push(urlFound);
-      }
-
-      if (!foundUrls.length) return;
-
-      const sel = await turso.execute({
-        sql: "SELECT public_id, images FROM products WHERE shopify_id = ? LIMIT 1",
-        args: [shopifyId],
-      });
-      const row = sel.rows[0];
-      if (!row) return;
-      const existing = row.images ? JSON.parse(row.images) : [];
-      const merged = Array.from(new Set([...existing, ...foundUrls]));
-      await turso.execute({
-        sql: "UPDATE products SET images = ? WHERE shopify_id = ?",
-        args: [JSON.stringify(merged), shopifyId],
-      });
-    } catch (e) {
-      console.error("Error updating product images:", e);
-    }
-  })();
-
-  return { success: true, public_id: publicId, shopify: shopifyProduct };
-};
+// Products one array request to POST /products may create. They are created one by
+// one inside the request; larger batches belong in an import job (POST /products/bulk).
+const PRODUCT_BATCH_MAX_ITEMS =
+  Number(process.env.PRODUCT_BATCH_MAX_ITEMS) || 20;
 
 // Main createProduct: accept either a single product object or an array of products.
 export const createProduct = async (req, res) => {
   const isArray = Array.isArray(req.body);
   if (!isArray) {
-    const result = await createSingleProduct(req.body, req);
-    if (!result.success) {
-      return res
-        .status(400)
-        .json({ error: result.error, details: result.details });
-    }
+    const result = await createSingleProduct(req.body, req.user.id);
     // Created but with warning (DB failure)
     if (result.warning) {
       return res.status(201).json({
         message: result.warning,
         shopify: result.shopify,
-        local_error: result.local_error,
       });
     }
     return res.status(201).json({
@@ -269,19 +50,23 @@ export const createProduct = async (req, res) => {
   // Array: process sequentially and collect per-item results
   const items = req.body;
   if (!Array.isArray(items) || items.length === 0)
-    return res.status(400).json({
-      error: "Request body must be a non-empty array or a product object",
-    });
+    throw new ValidationError(
+      "Request body must be a non-empty array or a product object"
+    );
+  if (items.length > PRODUCT_BATCH_MAX_ITEMS)
+    throw new HttpError(
+      413,
+      "too_many_items",
+      `At most ${PRODUCT_BATCH_MAX_ITEMS} products per request; use POST /api/products/bulk for more`,
+      { details: { max_items: PRODUCT_BATCH_MAX_ITEMS } }
+    );
 
   const results = [];
   for (const item of items) {
-    // createSingleProduct returns either success:true or success:false
     try {
-      // attach user to mimic single flow
-      const r = await createSingleProduct(item, req);
-      results.push(r);
+      results.push(await createSingleProduct(item, req.user.id));
     } catch (e) {
-      results.push({ success: false, error: String(e) });
+      results.push(failureResult(e));
     }
   }
 
@@ -290,87 +75,390 @@ export const createProduct = async (req, res) => {
   return res.status(status).json({ results });
 };
 
-// List products created by the logged-in user
-export const getMyProducts = async (req, res) => {
-  try {
+const PRODUCT_SORT_COLUMNS = {
+  name: "COALESCE(p.name, '')",
+  created_at: "p.created_at",
+  sales_count: "COALESCE(p.sales_count, 0)",
+};
+
+// WHERE terms for the list filters in req.validatedQuery
+const productFilters = (q) => [
+  q.name
+    ? { sql: "p.name LIKE ? ESCAPE '\\'", args: [likeSubstring(q.name)] }
+    : null,
+  q.created_by ? { sql: "u.public_id = ?", args: [q.created_by] } : null,
+  q.created_from
+    ? { sql: "p.created_at >= ?", args: [toDbTimestamp(q.created_from)] }
+    : null,
+  q.created_to
+    ? { sql: "p.created_at < ?", args: [toDbTimestamp(q.created_to)] }
+    : null,
+  q.min_sales != null
+    ? { sql: "COALESCE(p.sales_count, 0) >= ?", args: [q.min_sales] }
+    : null,
+];
+
+// One page of products matching `conditions` plus the request's filters
+const listProducts = async (req, res, conditions) => {
+  const q = req.validatedQuery;
+  const shop = q.shop ? await resolveShop(q.shop) : null;
+  if (q.shop && !shop)
+    throw new ValidationError("Unknown shop", { code: "unknown_shop" });
+
+  const query = buildListQuery({
     // Return only public-facing fields. Replace created_by numeric id with user's public_id.
-    const result = await turso.execute({
-      sql: `SELECT p.public_id, p.shopify_id, p.name, p.images, u.public_id AS created_by_public_id
-            FROM products p
-            JOIN users u ON p.created_by = u.id
-            WHERE p.created_by = ?`,
-      args: [req.user.id],
-    });
-    // map to consistent property names and parse images JSON
-    const rows = result.rows.map((r) => ({
+    columns:
+      "p.public_id, p.shopify_id, p.name, p.images, COALESCE(p.sales_count, 0) AS sales_count, p.created_at, p.orphaned_at, u.public_id AS created_by_public_id, s.domain AS shop_domain",
+    from: "products p JOIN users u ON p.created_by = u.id LEFT JOIN shops s ON s.id = p.shop_id",
+    conditions: [
+      { sql: "p.deleted_at IS NULL", args: [] },
+      ...conditions,
+      req.productScope,
+      ...productFilters(q),
+      shop ? { sql: "p.shop_id IS ?", args: [shop.id] } : null,
+    ],
+    sortColumns: PRODUCT_SORT_COLUMNS,
+    idColumn: "p.id",
+    sort: q.sort,
+    cursor: q.cursor,
+    limit: q.limit,
+  });
+
+  const result = await turso.execute(query);
+  const page = toPage(result.rows, q);
+  // map to consistent property names and parse images JSON
+  res.json({
+    products: page.rows.map((r) => ({
       public_id: r.public_id,
       shopify_id: r.shopify_id,
       name: r.name,
       images: r.images ? JSON.parse(r.images) : [],
+      sales_count: r.sales_count,
+      shop: r.shop_domain ?? DEFAULT_SHOP.domain,
       created_by: r.created_by_public_id,
-    }));
-    res.json(rows);
-  } catch (err) {
-    res
-      .status(500)
-      .json({ error: "Failed to fetch user's products", details: err.message });
-  }
+      created_at: r.created_at,
+      orphaned_at: r.orphaned_at,
+    })),
+    next_cursor: page.next_cursor,
+  });
+};
+
+// List products created by the logged-in user
+export const getMyProducts = async (req, res) => {
+  await listProducts(req, res, [
+    { sql: "p.created_by = ?", args: [req.user.id] },
+  ]);
 };
 
 // List all products
 export const getProducts = async (req, res) => {
-  try {
-    const result = await turso.execute({
-      sql: `SELECT p.public_id, p.shopify_id, p.name, p.images, u.public_id AS created_by_public_id
-            FROM products p
-            JOIN users u ON p.created_by = u.id`,
-    });
-    const rows = result.rows.map((r) => ({
+  await listProducts(req, res, []);
+};
+
+// Premium users: return the user's products sorted by sales, all time or over
+// ?period= (e.g. 30d, 2w, 3m)
+export const getMyBestsellers = async (req, res) => {
+  // ensure user is premium
+  const roleRes = await turso.execute({
+    sql: "SELECT name FROM roles WHERE id = ? LIMIT 1",
+    args: [req.user.role_id],
+  });
+  const roleName = roleRes.rows[0]?.name;
+  if (roleName !== "premium") {
+    throw new ForbiddenError("Requires premium role");
+  }
+
+  // All-time sales come from sales_count; a period sums the sales ledger
+  const { period } = req.validatedQuery;
+  const result = period
+    ? await turso.execute({
+        sql: `SELECT p.name, p.public_id, p.shopify_id, COALESCE(SUM(l.quantity), 0) AS sales_count
+              FROM products p
+              LEFT JOIN order_line_items l ON l.product_id = p.id
+                AND l.occurred_at >= strftime('%Y-%m-%d %H:%M:%f','now', ?)
+              WHERE p.created_by = ? AND p.deleted_at IS NULL AND ${req.productScope.sql}
+              GROUP BY p.id
+              ORDER BY sales_count DESC, p.id`,
+        args: [periodModifier(period), req.user.id, ...req.productScope.args],
+      })
+    : await turso.execute({
+        sql: `SELECT p.name, p.public_id, p.shopify_id, COALESCE(p.sales_count,0) AS sales_count
+              FROM products p
+              WHERE p.created_by = ? AND p.deleted_at IS NULL AND ${req.productScope.sql}
+              ORDER BY COALESCE(p.sales_count,0) DESC`,
+        args: [req.user.id, ...req.productScope.args],
+      });
+  res.json(
+    result.rows.map((r) => ({
+      name: r.name,
       public_id: r.public_id,
       shopify_id: r.shopify_id,
-      name: r.name,
-      images: r.images ? JSON.parse(r.images) : [],
-      created_by: r.created_by_public_id,
-    }));
-    res.json(rows);
-  } catch (err) {
-    res
-      .status(500)
-      .json({ error: "Failed to fetch products", details: err.message });
-  }
+      sales_count: r.sales_count,
+    }))
+  );
 };
 
-// Premium users: return the user's products sorted by sales_count desc
-export const getMyBestsellers = async (req, res) => {
-  try {
-    // ensure user is premium
-    const roleRes = await turso.execute({
-      sql: "SELECT name FROM roles WHERE id = ? LIMIT 1",
-      args: [req.user.role_id],
+const selectProduct = async (publicId) => {
+  const result = await turso.execute({
+    sql: `SELECT p.id, p.public_id, p.shopify_id, p.name, p.images, COALESCE(p.sales_count,0) AS sales_count,
+                 p.created_by, p.created_at, p.updated_at, p.orphaned_at, p.shop_id,
+                 u.public_id AS created_by_public_id, s.domain AS shop_domain
+          FROM products p
+          LEFT JOIN users u ON p.created_by = u.id
+          LEFT JOIN shops s ON s.id = p.shop_id
+          WHERE p.public_id = ? AND p.deleted_at IS NULL LIMIT 1`,
+    args: [publicId],
+  });
+  return result.rows[0] ?? null;
+};
+
+const serializeProduct = (r) => ({
+  public_id: r.public_id,
+  shopify_id: r.shopify_id,
+  name: r.name,
+  images: r.images ? JSON.parse(r.images) : [],
+  sales_count: r.sales_count,
+  shop: r.shop_domain ?? DEFAULT_SHOP.domain,
+  created_by: r.created_by_public_id,
+  created_at: r.created_at,
+  updated_at: r.updated_at,
+  orphaned_at: r.orphaned_at,
+});
+
+// Load the product in req.params.public_id if the requester created it or holds one
+// of `permissions`; otherwise throw a NotFoundError / ForbiddenError.
+export const loadProductFor = async (req, permissions) => {
+  const row = await selectProduct(req.params.public_id);
+  if (!row) throw new NotFoundError("Product not found");
+  if (
+    row.created_by !== req.user.id &&
+    !(await hasPermission(req, permissions))
+  )
+    throw new ForbiddenError("Forbidden: not your product", {
+      code: "not_your_product",
     });
-    const roleName = roleRes.rows[0]?.name;
-    if (roleName !== "premium") {
-      return res.status(403).json({ error: "Requires premium role" });
-    }
+  return row;
+};
+
+// Get one product (its creator, or get_products / manage_all_products)
+export const getProduct = async (req, res) => {
+  const row = await loadProductFor(req, [
+    "get_products",
+    "manage_all_products",
+  ]);
+  res.json(serializeProduct(row));
+};
+
+const updateProductSchema = z
+  .object({
+    name: z.string().min(1).optional(),
+    description: z.string().optional(),
+    status: z.enum(["ACTIVE", "DRAFT", "ARCHIVED"]).optional(),
+    tags: z.array(z.string()).optional(),
+  })
+  .refine((obj) => Object.keys(obj).length > 0, {
+    message: "Provide at least one of name, description, status or tags",
+  });
+
+// Update a product on Shopify, then the local record (its creator, or manage_all_products)
+export const updateProduct = async (req, res) => {
+  const parsed = updateProductSchema.safeParse(req.body);
+  if (!parsed.success) throw new ValidationError(parsed.error);
+  const { name, description, status, tags } = parsed.data;
+
+  const row = await loadProductFor(req, ["manage_all_products"]);
+
+  const productInput = { id: productGid(row.shopify_id) };
+  if (name != null) productInput.title = name;
+  if (description != null) productInput.descriptionHtml = description;
+  if (status != null) productInput.status = status;
+  if (tags != null) productInput.tags = tags;
+
+  const { client } = await shopById(row.shop_id);
+  const updateMutation = `mutation productUpdate($product: ProductUpdateInput!) {\n    productUpdate(product: $product) {\n      product { id title status tags updatedAt }\n      userErrors { field message code }\n    }\n  }`;
+  const payload = await client.mutate(
+    updateMutation,
+    { product: productInput },
+    "productUpdate",
+    { idempotent: true }
+  );
+
+  await turso.execute({
+    sql: "UPDATE products SET name = ?, updated_at = strftime('%Y-%m-%d %H:%M:%f','now') WHERE id = ?",
+    args: [payload?.product?.title ?? name ?? row.name, row.id],
+  });
+  await recordAuditEvent(req, {
+    action: "product.update",
+    outcome: "success",
+    target_type: "product",
+    target_id: row.public_id,
+    details: parsed.data,
+  });
+
+  const updated = await selectProduct(row.public_id);
+  res.json({ ...serializeProduct(updated), shopify: payload?.product });
+};
+
+// Delete a product on Shopify, then the local record (its creator, or manage_all_products)
+export const deleteProduct = async (req, res) => {
+  const row = await loadProductFor(req, ["manage_all_products"]);
+
+  const { client } = await shopById(row.shop_id);
+  const deleteMutation = `mutation productDelete($input: ProductDeleteInput!) {\n    productDelete(input: $input) {\n      deletedProductId\n      userErrors { field message code }\n    }\n  }`;
+  await client.mutate(
+    deleteMutation,
+    { input: { id: productGid(row.shopify_id) } },
+    "productDelete",
+    { idempotent: true }
+  );
+
+  await turso.batch(
+    [
+      {
+        sql: "DELETE FROM variant_inventory_levels WHERE variant_id IN (SELECT id FROM product_variants WHERE product_id = ?)",
+        args: [row.id],
+      },
+      {
+        sql: "DELETE FROM product_variants WHERE product_id = ?",
+        args: [row.id],
+      },
+      {
+        sql: "DELETE FROM product_media WHERE product_id = ?",
+        args: [row.id],
+      },
+      { sql: "DELETE FROM products WHERE id = ?", args: [row.id] },
+    ],
+    "write"
+  );
+  await recordAuditEvent(req, {
+    action: "product.delete",
+    outcome: "success",
+    target_type: "product",
+    target_id: row.public_id,
+    details: { shopify_id: row.shopify_id, name: row.name },
+  });
+
+  res.json({ message: "Product deleted", public_id: row.public_id });
+};
+
+// Report at most this many invalid rows in one response
+const MAX_REPORTED_ROW_ERRORS = 100;
+
+// Turn an uploaded CSV / NDJSON file (parsed as text) into the array of products an
+// import job expects. Nothing is imported if any row is invalid.
+export const parseProductImport = (req, res, next) => {
+  const contentType = (req.get("content-type") || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  const format = IMPORT_CONTENT_TYPES[contentType];
+  if (!format || typeof req.body !== "string")
+    throw new HttpError(
+      415,
+      "unsupported_media_type",
+      "Upload a CSV (text/csv) or JSON lines (application/x-ndjson) file"
+    );
+
+  const { products, errors } = parseProductFile(req.body, format);
+  if (errors.length > 0)
+    throw new ValidationError("Invalid rows; nothing was imported", {
+      code: "invalid_rows",
+      details: {
+        error_count: errors.length,
+        errors: errors.slice(0, MAX_REPORTED_ROW_ERRORS),
+      },
+    });
+  if (products.length === 0)
+    throw new ValidationError("The file contains no products");
 
+  req.body = products;
+  return next();
+};
+
+const EXPORT_COLUMNS = [
+  "public_id",
+  "shopify_id",
+  "name",
+  "images",
+  "sales_count",
+  "shop",
+  "created_at",
+  "updated_at",
+];
+const EXPORT_BATCH_SIZE = 500;
+
+// Stream the requester's products as CSV or NDJSON, reading the table in batches
+export const exportProducts = async (req, res) => {
+  const { format } = req.validatedQuery;
+  const csv = format === "csv";
+
+  // resolves once the client can take more data (or has gone away); whichever event
+  // comes first removes the other listener, so long exports do not pile them up
+  const drained = () =>
+    new Promise((resolve) => {
+      const done = () => {
+        res.off("drain", done);
+        res.off("close", done);
+        resolve();
+      };
+      res.once("drain", done);
+      res.once("close", done);
+    });
+
+  let lastId = 0;
+  for (;;) {
     const result = await turso.execute({
-      sql: `SELECT p.name, p.public_id, p.shopify_id, COALESCE(p.sales_count,0) AS sales_count
+      sql: `SELECT p.id, p.public_id, p.shopify_id, p.name, p.images, COALESCE(p.sales_count, 0) AS sales_count,
+                   p.created_at, p.updated_at, s.domain AS shop_domain
             FROM products p
-            WHERE p.created_by = ?
-            ORDER BY COALESCE(p.sales_count,0) DESC`,
-      args: [req.user.id],
+            LEFT JOIN shops s ON s.id = p.shop_id
+            WHERE p.created_by = ? AND p.deleted_at IS NULL AND ${req.productScope.sql} AND p.id > ?
+            ORDER BY p.id
+            LIMIT ?`,
+      args: [req.user.id, ...req.productScope.args, lastId, EXPORT_BATCH_SIZE],
     });
-    res.json(
-      result.rows.map((r) => ({
-        name: r.name,
-        public_id: r.public_id,
-        shopify_id: r.shopify_id,
-        sales_count: r.sales_count,
-      }))
-    );
-  } catch (err) {
-    res
-      .status(500)
-      .json({ error: "Failed to fetch bestsellers", details: err.message });
+
+    if (!res.headersSent) {
+      res.status(200).set({
+        "Content-Type": csv
+          ? "text/csv; charset=utf-8"
+          : "application/x-ndjson; charset=utf-8",
+        "Content-Disposition": `attachment; filename="products.${format}"`,
+      });
+      if (csv) res.write(toCsvLine(EXPORT_COLUMNS));
+    }
+
+    for (const r of result.rows) {
+      const images = r.images ? JSON.parse(r.images) : [];
+      const shop = r.shop_domain ?? DEFAULT_SHOP.domain;
+      const line = csv
+        ? toCsvLine([
+            r.public_id,
+            r.shopify_id,
+            r.name,
+            images.join(IMAGE_DELIMITER),
+            r.sales_count,
+            shop,
+            r.created_at,
+            r.updated_at,
+          ])
+        : JSON.stringify({
+            public_id: r.public_id,
+            shopify_id: r.shopify_id,
+            name: r.name,
+            images,
+            sales_count: r.sales_count,
+            shop,
+            created_at: r.created_at,
+            updated_at: r.updated_at,
+          }) + "\n";
+      if (!res.write(line)) await drained();
+      if (res.destroyed) return;
+    }
+
+    if (result.rows.length < EXPORT_BATCH_SIZE) break;
+    lastId = result.rows[result.rows.length - 1].id;
   }
+  // a failure once streaming has started cuts the response short (see middleware/errors.js)
+  res.end();
 };
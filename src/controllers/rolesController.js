@@ -0,0 +1,369 @@
+import turso from "../db.js";
+import { recordAuditEvent } from "../utils/audit.js";
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "../utils/errors.js";
+
+// Admin controllers for managing roles, permissions and the grants between them.
+// Roles are addressed by name (the same identifier used by /register and /change-role).
+
+// Roles referenced by name in code (registration default, bans, premium checks,
+// `role:admin` route guards). They can be re-permissioned but not renamed or deleted.
+const BUILT_IN_ROLES = ["admin", "user", "premium", "ban"];
+
+const isBuiltIn = (name) => BUILT_IN_ROLES.includes(String(name).toLowerCase());
+
+// A new or renamed role must not take a built-in name in any case ("Admin", "BAN"):
+// members would be treated as admins or banned whatever the role grants
+const assertNotBuiltInName = (name) => {
+  if (isBuiltIn(name))
+    throw new ValidationError("Built-in role names are reserved", {
+      code: "built_in_role",
+    });
+};
+
+const isAdmin = (name) => String(name).toLowerCase() === "admin";
+
+// Role names are compared case-insensitively, like the authorization checks that look
+// for "admin" or "ban"
+const findRole = async (name) => {
+  const result = await turso.execute({
+    sql: "SELECT id, name, description, max_api_key_rate_limit, max_api_key_monthly_quota, created_at FROM roles WHERE name = ? COLLATE NOCASE LIMIT 1",
+    args: [name],
+  });
+  return result.rows[0];
+};
+
+// Permission names granted to the role given as the one positional argument
+const GRANTED_NAMES = `SELECT p.name FROM role_permissions rp
+  JOIN permissions p ON p.id = rp.permission_id WHERE rp.role_id = ?`;
+
+// Statements dropping, from the stored permissions of every API key owned by a member
+// of the role, those the role no longer grants; run in the same batch as the change to
+// role_permissions. None for the admin role: as in usersController.changeRole, admins
+// may hold any permission.
+const narrowMemberApiKeys = (role) =>
+  isAdmin(role.name)
+    ? []
+    : [
+        {
+          sql: `UPDATE api_keys SET permissions = (
+                  SELECT json_group_array(k.value) FROM json_each(api_keys.permissions) k
+                  WHERE k.value IN (${GRANTED_NAMES})
+                )
+                WHERE owner_user_id IN (SELECT id FROM users WHERE role_id = ?)
+                  AND json_valid(permissions)
+                  AND EXISTS (
+                    SELECT 1 FROM json_each(api_keys.permissions) k
+                    WHERE k.value NOT IN (${GRANTED_NAMES})
+                  )`,
+          args: [role.id, role.id, role.id],
+        },
+      ];
+
+// Resolve permission names to ids; returns the names that do not exist.
+const resolvePermissions = async (names) => {
+  if (!names.length) return { ids: [], unknown: [] };
+  const placeholders = names.map(() => "?").join(",");
+  const result = await turso.execute({
+    sql: `SELECT id, name FROM permissions WHERE name IN (${placeholders})`,
+    args: names,
+  });
+  const found = new Map(result.rows.map((r) => [r.name, r.id]));
+  return {
+    ids: [...found.values()],
+    unknown: names.filter((n) => !found.has(n)),
+  };
+};
+
+const serializeRoles = (rows) => {
+  const roles = new Map();
+  for (const r of rows) {
+    if (!roles.has(r.id)) {
+      roles.set(r.id, {
+        name: r.name,
+        description: r.description,
+        max_api_key_rate_limit: r.max_api_key_rate_limit,
+        max_api_key_monthly_quota: r.max_api_key_monthly_quota,
+        created_at: r.created_at,
+        permissions: [],
+      });
+    }
+    if (r.permission) roles.get(r.id).permissions.push(r.permission);
+  }
+  return [...roles.values()];
+};
+
+const fetchRoles = async (roleName) => {
+  const result = await turso.execute({
+    sql: `SELECT r.id, r.name, r.description, r.max_api_key_rate_limit, r.max_api_key_monthly_quota, r.created_at,
+                 p.name AS permission
+          FROM roles r
+          LEFT JOIN role_permissions rp ON rp.role_id = r.id
+          LEFT JOIN permissions p ON p.id = rp.permission_id
+          ${roleName ? "WHERE r.name = ?" : ""}
+          ORDER BY r.id, p.name`,
+    args: roleName ? [roleName] : [],
+  });
+  return serializeRoles(result.rows);
+};
+
+// List all roles with their permissions
+export const listRoles = async (req, res) => {
+  res.json(await fetchRoles());
+};
+
+// Create a role. Without an explicit permissions list, the default permissions are granted.
+export const createRole = async (req, res) => {
+  const {
+    name,
+    description,
+    permissions,
+    max_api_key_rate_limit,
+    max_api_key_monthly_quota,
+  } = req.body;
+
+  if (await findRole(name)) throw new ConflictError("Role already exists");
+  assertNotBuiltInName(name);
+
+  let permissionIds;
+  if (Array.isArray(permissions)) {
+    const resolved = await resolvePermissions(permissions);
+    if (resolved.unknown.length)
+      throw new ValidationError("Unknown permissions", {
+        code: "unknown_permissions",
+        details: { invalid_permissions: resolved.unknown },
+      });
+    permissionIds = resolved.ids;
+  } else {
+    const defaults = await turso.execute(
+      "SELECT id FROM permissions WHERE is_default = 1"
+    );
+    permissionIds = defaults.rows.map((r) => r.id);
+  }
+
+  await turso.batch(
+    [
+      {
+        sql: "INSERT INTO roles (name, description, max_api_key_rate_limit, max_api_key_monthly_quota) VALUES (?, ?, ?, ?)",
+        args: [
+          name,
+          description ?? null,
+          max_api_key_rate_limit ?? null,
+          max_api_key_monthly_quota ?? null,
+        ],
+      },
+      ...permissionIds.map((pid) => ({
+        sql: "INSERT INTO role_permissions (role_id, permission_id) SELECT id, ? FROM roles WHERE name = ?",
+        args: [pid, name],
+      })),
+    ],
+    "write"
+  );
+
+  const [role] = await fetchRoles(name);
+  await recordAuditEvent(req, {
+    action: "role.create",
+    outcome: "success",
+    target_type: "role",
+    target_id: name,
+    details: { permissions: role.permissions },
+  });
+  res.status(201).json(role);
+};
+
+// Update a role's name/description and optionally replace its permission set (members'
+// API keys are narrowed to the new set)
+export const updateRole = async (req, res) => {
+  const { name, description, permissions } = req.body;
+
+  const role = await findRole(req.params.name);
+  if (!role) throw new NotFoundError("Role not found");
+
+  if (name && name !== role.name) {
+    if (isBuiltIn(role.name))
+      throw new ValidationError("Built-in roles cannot be renamed", {
+        code: "built_in_role",
+      });
+    const other = await findRole(name);
+    if (other && other.id !== role.id)
+      throw new ConflictError("Role already exists");
+    assertNotBuiltInName(name);
+  }
+
+  const statements = [
+    {
+      sql: "UPDATE roles SET name = COALESCE(?, name), description = COALESCE(?, description) WHERE id = ?",
+      args: [name ?? null, description ?? null, role.id],
+    },
+  ];
+
+  // Caps accept null to remove the cap, so they are only touched when present
+  for (const col of ["max_api_key_rate_limit", "max_api_key_monthly_quota"]) {
+    if (req.body[col] === undefined) continue;
+    statements.push({
+      sql: `UPDATE roles SET ${col} = ? WHERE id = ?`,
+      args: [req.body[col], role.id],
+    });
+  }
+
+  if (Array.isArray(permissions)) {
+    const resolved = await resolvePermissions(permissions);
+    if (resolved.unknown.length)
+      throw new ValidationError("Unknown permissions", {
+        code: "unknown_permissions",
+        details: { invalid_permissions: resolved.unknown },
+      });
+    statements.push({
+      sql: "DELETE FROM role_permissions WHERE role_id = ?",
+      args: [role.id],
+    });
+    for (const pid of resolved.ids) {
+      statements.push({
+        sql: "INSERT INTO role_permissions (role_id, permission_id) VALUES (?, ?)",
+        args: [role.id, pid],
+      });
+    }
+    statements.push(...narrowMemberApiKeys(role));
+  }
+
+  await turso.batch(statements, "write");
+
+  const [updated] = await fetchRoles(name || role.name);
+  await recordAuditEvent(req, {
+    action: "role.update",
+    outcome: "success",
+    target_type: "role",
+    target_id: role.name,
+    details: { ...req.body },
+  });
+  res.json(updated);
+};
+
+// Delete a role that no user is assigned to
+export const deleteRole = async (req, res) => {
+  const role = await findRole(req.params.name);
+  if (!role) throw new NotFoundError("Role not found");
+  if (isBuiltIn(role.name))
+    throw new ValidationError("Built-in roles cannot be deleted", {
+      code: "built_in_role",
+    });
+
+  const users = await turso.execute({
+    sql: "SELECT COUNT(*) AS n FROM users WHERE role_id = ?",
+    args: [role.id],
+  });
+  if (Number(users.rows[0].n) > 0)
+    throw new ConflictError("Role is still assigned to users", {
+      code: "role_in_use",
+      details: { users: Number(users.rows[0].n) },
+    });
+
+  await turso.execute({
+    sql: "DELETE FROM roles WHERE id = ?",
+    args: [role.id],
+  });
+  await recordAuditEvent(req, {
+    action: "role.delete",
+    outcome: "success",
+    target_type: "role",
+    target_id: role.name,
+  });
+  res.json({ message: "Role deleted" });
+};
+
+// Grant one permission to a role
+export const grantRolePermission = async (req, res) => {
+  const role = await findRole(req.params.name);
+  if (!role) throw new NotFoundError("Role not found");
+
+  const resolved = await resolvePermissions([req.params.permission]);
+  if (resolved.unknown.length) throw new NotFoundError("Permission not found");
+
+  await turso.execute({
+    sql: "INSERT OR IGNORE INTO role_permissions (role_id, permission_id) VALUES (?, ?)",
+    args: [role.id, resolved.ids[0]],
+  });
+  await recordAuditEvent(req, {
+    action: "role.permission_grant",
+    outcome: "success",
+    target_type: "role",
+    target_id: role.name,
+    details: { permission: req.params.permission },
+  });
+
+  const [updated] = await fetchRoles(role.name);
+  res.json(updated);
+};
+
+// Revoke one permission from a role; members' API keys lose it too
+export const revokeRolePermission = async (req, res) => {
+  const role = await findRole(req.params.name);
+  if (!role) throw new NotFoundError("Role not found");
+
+  const resolved = await resolvePermissions([req.params.permission]);
+  if (resolved.unknown.length) throw new NotFoundError("Permission not found");
+
+  await turso.batch(
+    [
+      {
+        sql: "DELETE FROM role_permissions WHERE role_id = ? AND permission_id = ?",
+        args: [role.id, resolved.ids[0]],
+      },
+      ...narrowMemberApiKeys(role),
+    ],
+    "write"
+  );
+  await recordAuditEvent(req, {
+    action: "role.permission_revoke",
+    outcome: "success",
+    target_type: "role",
+    target_id: role.name,
+    details: { permission: req.params.permission },
+  });
+
+  const [updated] = await fetchRoles(role.name);
+  res.json(updated);
+};
+
+// List all permissions known to the system
+export const listPermissions = async (req, res) => {
+  const result = await turso.execute(
+    "SELECT name, description, is_default, created_at FROM permissions ORDER BY name"
+  );
+  res.json(
+    result.rows.map((r) => ({
+      name: r.name,
+      description: r.description,
+      is_default: !!r.is_default,
+      created_at: r.created_at,
+    }))
+  );
+};
+
+// Register a new permission name (no schema migration needed)
+export const createPermission = async (req, res) => {
+  const { name, description, is_default } = req.body;
+
+  const exists = await resolvePermissions([name]);
+  if (!exists.unknown.length)
+    throw new ConflictError("Permission already exists");
+
+  await turso.execute({
+    sql: "INSERT INTO permissions (name, description, is_default) VALUES (?, ?, ?)",
+    args: [name, description ?? null, is_default ? 1 : 0],
+  });
+  await recordAuditEvent(req, {
+    action: "permission.create",
+    outcome: "success",
+    target_type: "permission",
+    target_id: name,
+  });
+  res.status(201).json({
+    name,
+    description: description ?? null,
+    is_default: !!is_default,
+  });
+};
@@ -0,0 +1,45 @@
+import turso from "../db.js";
+import { revokeSession, revokeUserSessions } from "../utils/tokens.js";
+import { NotFoundError } from "../utils/errors.js";
+
+// Controllers for listing and revoking the logged-in user's sessions.
+// A session is created at login and lives as long as its refresh token family.
+
+export const listSessions = async (req, res) => {
+  const result = await turso.execute({
+    sql: `SELECT public_id, user_agent, ip, created_at, last_used_at, expires_at
+          FROM sessions
+          WHERE user_id = ? AND revoked_at IS NULL AND expires_at > strftime('%Y-%m-%d %H:%M:%f','now')
+          ORDER BY last_used_at DESC`,
+    args: [req.user.id],
+  });
+  const rows = result.rows.map((r) => ({
+    public_id: r.public_id,
+    user_agent: r.user_agent,
+    ip: r.ip,
+    created_at: r.created_at,
+    last_used_at: r.last_used_at,
+    expires_at: r.expires_at,
+    current: r.public_id === req.user.session_id,
+  }));
+  res.json(rows);
+};
+
+// Revoke one session owned by the requester
+export const deleteSession = async (req, res) => {
+  const sel = await turso.execute({
+    sql: "SELECT id FROM sessions WHERE public_id = ? AND user_id = ? AND revoked_at IS NULL LIMIT 1",
+    args: [req.params.public_id, req.user.id],
+  });
+  const sessionId = sel.rows[0]?.id;
+  if (!sessionId) throw new NotFoundError("Session not found");
+
+  await revokeSession(sessionId, "user_logout");
+  res.json({ message: "Session revoked" });
+};
+
+// Revoke all sessions of the requester (including the current one)
+export const deleteSessions = async (req, res) => {
+  await revokeUserSessions(req.user.id, "user_logout_all");
+  res.json({ message: "All sessions revoked" });
+};
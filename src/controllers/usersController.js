@@ -1,24 +1,65 @@
 import turso from "../db.js";
 import bcrypt from "bcrypt";
+import { revokeUserSessions } from "../utils/tokens.js";
+import { getRolePermissionNames } from "../utils/permissions.js";
+import { recordAuditEvent, describeActor } from "../utils/audit.js";
+import { publishWebhookEvent } from "../utils/webhookEvents.js";
+import { toDbTimestamp } from "../utils/time.js";
+import { buildListQuery, toPage, likeSubstring } from "../utils/listQuery.js";
+import { NotFoundError, ValidationError } from "../utils/errors.js";
 
 export const getMyUser = async (req, res) => {
   const result = await turso.execute({
     sql: `SELECT u.public_id, u.username, r.name AS role FROM users u JOIN roles r ON u.role_id = r.id WHERE u.id = ?`,
     args: [req.user.id],
   });
+  if (!result.rows[0]) throw new NotFoundError("User not found");
   res.json(result.rows[0]);
 };
 
 export const getUsers = async (req, res) => {
-  const result = await turso.execute({
-    sql: `SELECT u.public_id, u.username, r.name AS role FROM users u JOIN roles r ON u.role_id = r.id`,
+  const q = req.validatedQuery;
+  const query = buildListQuery({
+    columns: "u.public_id, u.username, r.name AS role, u.created_at",
+    from: "users u JOIN roles r ON u.role_id = r.id",
+    conditions: [
+      q.name
+        ? {
+            sql: "u.username LIKE ? ESCAPE '\\'",
+            args: [likeSubstring(q.name)],
+          }
+        : null,
+      q.role ? { sql: "r.name = ?", args: [q.role] } : null,
+      q.created_from
+        ? { sql: "u.created_at >= ?", args: [toDbTimestamp(q.created_from)] }
+        : null,
+      q.created_to
+        ? { sql: "u.created_at < ?", args: [toDbTimestamp(q.created_to)] }
+        : null,
+    ],
+    sortColumns: { username: "u.username", created_at: "u.created_at" },
+    idColumn: "u.id",
+    sort: q.sort,
+    cursor: q.cursor,
+    limit: q.limit,
+  });
+
+  const result = await turso.execute(query);
+  const page = toPage(result.rows, q);
+  res.json({
+    users: page.rows.map((r) => ({
+      public_id: r.public_id,
+      username: r.username,
+      role: r.role,
+      created_at: r.created_at,
+    })),
+    next_cursor: page.next_cursor,
   });
-  res.json(result.rows);
 };
 
 export const changePassword = async (req, res) => {
   const newPassword = req.body.password;
-  if (!newPassword) return res.status(400).json({ error: "Missing password" });
+  if (!newPassword) throw new ValidationError("Missing password");
 
   const hash = await bcrypt.hash(newPassword, 10);
 
@@ -26,6 +67,13 @@ export const changePassword = async (req, res) => {
     sql: "UPDATE users SET password = ?, token_version = token_version + 1 WHERE id = ?",
     args: [hash, req.user.id],
   });
+  await revokeUserSessions(req.user.id, "password_changed");
+  await recordAuditEvent(req, {
+    action: "user.password_change",
+    outcome: "success",
+    target_type: "user",
+    target_id: req.user.public_id,
+  });
 
   res.json({ message: "Password updated. Please re-login." });
 };
@@ -33,38 +81,79 @@ export const changePassword = async (req, res) => {
 export const changeRole = async (req, res) => {
   const { userPublicId, newRole } = req.body;
 
-  if (!userPublicId || !newRole) {
-    return res.status(400).json({ error: "Missing userPublicId or newRole" });
-  }
+  if (!userPublicId || !newRole)
+    throw new ValidationError("Missing userPublicId or newRole");
 
-  try {
-    const roleResult = await turso.execute({
-      sql: "SELECT id FROM roles WHERE name = ?",
-      args: [newRole],
+  const roleResult = await turso.execute({
+    sql: "SELECT id FROM roles WHERE name = ?",
+    args: [newRole],
+  });
+  const roleId = roleResult.rows[0]?.id;
+
+  const auditRoleChange = (outcome, details) =>
+    recordAuditEvent(req, {
+      action: "user.role_change",
+      outcome,
+      target_type: "user",
+      target_id: userPublicId,
+      details: { new_role: newRole, ...details },
     });
-    const roleId = roleResult.rows[0]?.id;
 
-    if (!roleId) return res.status(400).json({ error: "Invalid role" });
+  if (!roleId) {
+    await auditRoleChange("failure", { reason: "invalid_role" });
+    throw new ValidationError("Invalid role", { code: "invalid_role" });
+  }
 
-    // Resolve internal user id from public_id
-    const userSel = await turso.execute({
-      sql: "SELECT id FROM users WHERE public_id = ? LIMIT 1",
-      args: [userPublicId],
-    });
-    const targetUserId = userSel.rows[0]?.id;
-    if (!targetUserId) return res.status(404).json({ error: "User not found" });
+  // Resolve internal user id from public_id
+  const userSel = await turso.execute({
+    sql: "SELECT u.id, r.name AS role FROM users u JOIN roles r ON r.id = u.role_id WHERE u.public_id = ? LIMIT 1",
+    args: [userPublicId],
+  });
+  const targetUserId = userSel.rows[0]?.id;
+  if (!targetUserId) {
+    await auditRoleChange("failure", { reason: "user_not_found" });
+    throw new NotFoundError("User not found", { code: "user_not_found" });
+  }
 
-    await turso.execute({
-      sql: "UPDATE users SET role_id = ?, token_version = token_version + 1 WHERE id = ?",
-      args: [roleId, targetUserId],
-    });
+  await turso.execute({
+    sql: "UPDATE users SET role_id = ?, token_version = token_version + 1 WHERE id = ?",
+    args: [roleId, targetUserId],
+  });
+  await revokeUserSessions(targetUserId, "role_changed");
 
-    res.json({
-      message: "User role updated successfully. User must re-login.",
+  // API keys cannot keep permissions the user's new role does not grant
+  // (admins may hold any permission, so their keys are left untouched).
+  const rolePerms = await getRolePermissionNames(roleId);
+  if (newRole.toLowerCase() !== "admin") {
+    const keys = await turso.execute({
+      sql: "SELECT id, permissions FROM api_keys WHERE owner_user_id = ?",
+      args: [targetUserId],
     });
-  } catch (err) {
-    res
-      .status(500)
-      .json({ error: "Failed to update user role", details: err.message });
+    for (const key of keys.rows) {
+      const perms = key.permissions ? JSON.parse(key.permissions) : [];
+      const kept = perms.filter((p) => rolePerms.includes(p));
+      if (kept.length === perms.length) continue;
+      await turso.execute({
+        sql: "UPDATE api_keys SET permissions = ? WHERE id = ?",
+        args: [JSON.stringify(kept), key.id],
+      });
+    }
   }
+
+  await auditRoleChange("success", { previous_role: userSel.rows[0].role });
+  await publishWebhookEvent("user.role_changed", {
+    userId: targetUserId,
+    data: {
+      user: userPublicId,
+      previous_role: userSel.rows[0].role,
+      new_role: newRole,
+      changed_by: describeActor(req).actor_id,
+    },
+  });
+
+  res.json({
+    message: "User role updated successfully. User must re-login.",
+    role: newRole,
+    permissions: rolePerms,
+  });
 };
@@ -0,0 +1,356 @@
+import turso from "../db.js";
+import { z } from "zod";
+import { recordAuditEvent } from "../utils/audit.js";
+import { productGid } from "../utils/shopify.js";
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "../utils/errors.js";
+import { shopById } from "../utils/shops.js";
+import {
+  MAX_VARIANTS_PER_REQUEST,
+  VARIANT_FIELDS,
+  adjustInventoryLevelStatement,
+  createShopifyVariants,
+  fromShopifyVariant,
+  inventoryItemGid,
+  listProductVariants,
+  locationIdSchema,
+  optionsSchema,
+  priceSchema,
+  setInventoryLevelStatement,
+  toShopifyVariantInput,
+  upsertVariantStatement,
+  variantGid,
+  variantListSchema,
+} from "../utils/variants.js";
+import { loadProductFor } from "./productsController.js";
+
+// Variants and stock of a product (/products/:public_id/variants and /inventory).
+// Changes go to Shopify first, then to the local mirror (utils/variants.js). Reads need
+// the same permissions as GET /products/:public_id, changes the same as PATCH.
+
+const READ_PERMISSIONS = ["get_products", "manage_all_products"];
+const WRITE_PERMISSIONS = ["manage_all_products"];
+
+// Accept a single object or an array of them
+const oneOrMany = (schema) =>
+  z.preprocess((v) => (Array.isArray(v) ? v : [v]), schema);
+
+const variantUpdateSchema = z
+  .object({
+    id: z.string().min(1), // variant public_id
+    options: optionsSchema.optional(),
+    price: priceSchema.optional(),
+    sku: z.string().min(1).optional(),
+  })
+  .refine((v) => v.options || v.price != null || v.sku, {
+    message: "Provide at least one of options, price or sku",
+  });
+
+const variantUpdatesSchema = oneOrMany(
+  z
+    .array(variantUpdateSchema)
+    .min(1)
+    .max(MAX_VARIANTS_PER_REQUEST)
+    .refine((list) => new Set(list.map((v) => v.id)).size === list.length, {
+      message: "Each variant may only appear once",
+    })
+);
+
+// Either a change (`delta`) or the new stock (`available`) of a variant at a location
+const inventoryChangeSchema = z
+  .object({
+    variant_id: z.string().min(1), // variant public_id
+    location_id: locationIdSchema.optional(), // default: the shop's location
+    delta: z.number().int().optional(),
+    available: z.number().int().nonnegative().optional(),
+  })
+  .refine((c) => (c.delta != null) !== (c.available != null), {
+    message: "Provide either delta or available",
+  })
+  .refine((c) => c.delta !== 0, { message: "delta must not be 0" });
+
+const inventoryChangesSchema = oneOrMany(
+  z
+    .array(inventoryChangeSchema)
+    .min(1)
+    .max(MAX_VARIANTS_PER_REQUEST)
+    .refine(
+      (list) =>
+        new Set(list.map((c) => `${c.variant_id}|${c.location_id ?? ""}`))
+          .size === list.length,
+      { message: "Change each variant at each location only once" }
+    )
+);
+
+// Local variants of `productId` by public_id; a NotFoundError when some of `publicIds`
+// are not variants of the product
+const loadVariants = async (productId, publicIds) => {
+  const result = await turso.execute({
+    sql: `SELECT id, public_id, shopify_variant_id, inventory_item_id FROM product_variants
+          WHERE product_id = ? AND public_id IN (SELECT value FROM json_each(?))`,
+    args: [productId, JSON.stringify(publicIds)],
+  });
+  const byPublicId = new Map(result.rows.map((r) => [r.public_id, r]));
+  const missing = publicIds.filter((id) => !byPublicId.has(id));
+  if (missing.length)
+    throw new NotFoundError("Variant not found", {
+      details: { variants: missing },
+    });
+  return byPublicId;
+};
+
+// GET /products/:public_id/variants
+export const listVariants = async (req, res) => {
+  const product = await loadProductFor(req, READ_PERMISSIONS);
+  res.json({
+    product: product.public_id,
+    variants: await listProductVariants(product.id),
+  });
+};
+
+// POST /products/:public_id/variants — one variant or an array, with the product's
+// option names: { options, price, sku?, quantity?, locationId? }
+export const createVariants = async (req, res) => {
+  const parsed = oneOrMany(variantListSchema).safeParse(req.body);
+  if (!parsed.success) throw new ValidationError(parsed.error);
+  const variants = parsed.data;
+
+  const product = await loadProductFor(req, WRITE_PERMISSIONS);
+
+  const shop = await shopById(product.shop_id);
+  const created = await createShopifyVariants(
+    shop.client,
+    productGid(product.shopify_id),
+    variants.map((v) => toShopifyVariantInput(v, shop.locationId))
+  );
+
+  const records = created.map(fromShopifyVariant);
+  const productCondition = { sql: "id = ?", args: [product.id] };
+  await turso.batch(
+    records.flatMap((record, i) => [
+      upsertVariantStatement(productCondition, record),
+      ...(variants[i]?.quantity != null
+        ? [
+            setInventoryLevelStatement(
+              {
+                sql: "shopify_variant_id = ?",
+                args: [record.shopify_variant_id],
+              },
+              variants[i].locationId || shop.locationId,
+              variants[i].quantity
+            ),
+          ]
+        : []),
+    ]),
+    "write"
+  );
+
+  const ids = await turso.execute({
+    sql: "SELECT public_id FROM product_variants WHERE shopify_variant_id IN (SELECT value FROM json_each(?))",
+    args: [JSON.stringify(records.map((r) => r.shopify_variant_id))],
+  });
+  const publicIds = ids.rows.map((r) => r.public_id);
+  await recordAuditEvent(req, {
+    action: "product.variants.create",
+    outcome: "success",
+    target_type: "product",
+    target_id: product.public_id,
+    details: { variants: publicIds },
+  });
+
+  res.status(201).json({
+    message: "Variants created",
+    product: product.public_id,
+    variants: await listProductVariants(product.id, { publicIds }),
+  });
+};
+
+// PATCH /products/:public_id/variants — one change or an array:
+// { id, options?, price?, sku? } with the variant's public_id
+export const updateVariants = async (req, res) => {
+  const parsed = variantUpdatesSchema.safeParse(req.body);
+  if (!parsed.success) throw new ValidationError(parsed.error);
+  const updates = parsed.data;
+
+  const product = await loadProductFor(req, WRITE_PERMISSIONS);
+  const variants = await loadVariants(
+    product.id,
+    updates.map((u) => u.id)
+  );
+
+  const { client } = await shopById(product.shop_id);
+  const payload = await client.mutate(
+    `mutation productVariantsBulkUpdate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+      productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+        productVariants { ${VARIANT_FIELDS} }
+        userErrors { field message code }
+      }
+    }`,
+    {
+      productId: productGid(product.shopify_id),
+      variants: updates.map((u) => ({
+        id: variantGid(variants.get(u.id).shopify_variant_id),
+        ...(u.price != null && { price: u.price }),
+        ...(u.sku && { inventoryItem: { sku: u.sku } }),
+        ...(u.options && {
+          optionValues: Object.entries(u.options).map(([optionName, name]) => ({
+            optionName,
+            name,
+          })),
+        }),
+      })),
+    },
+    "productVariantsBulkUpdate",
+    { idempotent: true }
+  );
+
+  const productCondition = { sql: "id = ?", args: [product.id] };
+  await turso.batch(
+    (payload.productVariants ?? []).map((v) =>
+      upsertVariantStatement(productCondition, fromShopifyVariant(v))
+    ),
+    "write"
+  );
+  await recordAuditEvent(req, {
+    action: "product.variants.update",
+    outcome: "success",
+    target_type: "product",
+    target_id: product.public_id,
+    details: { variants: updates },
+  });
+
+  res.json({
+    message: "Variants updated",
+    product: product.public_id,
+    variants: await listProductVariants(product.id, {
+      publicIds: updates.map((u) => u.id),
+    }),
+  });
+};
+
+const ADJUSTMENT_FIELDS =
+  "inventoryAdjustmentGroup { changes { name delta quantityAfterChange item { id } location { id } } }";
+
+// POST /products/:public_id/inventory — one change or an array:
+// { variant_id, location_id?, delta } adds to the stock, { ..., available } sets it
+export const adjustInventory = async (req, res) => {
+  const parsed = inventoryChangesSchema.safeParse(req.body);
+  if (!parsed.success) throw new ValidationError(parsed.error);
+
+  const product = await loadProductFor(req, WRITE_PERMISSIONS);
+  const variantIds = [...new Set(parsed.data.map((c) => c.variant_id))];
+  const variants = await loadVariants(product.id, variantIds);
+  const untracked = variantIds.filter(
+    (id) => !variants.get(id).inventory_item_id
+  );
+  if (untracked.length)
+    throw new ConflictError("Variant has no inventory item", {
+      code: "no_inventory_item",
+      details: { variants: untracked },
+    });
+
+  const shop = await shopById(product.shop_id);
+  const changes = parsed.data.map((c) => ({
+    ...c,
+    variant: variants.get(c.variant_id),
+    location_id: c.location_id || shop.locationId,
+  }));
+  const deltas = changes.filter((c) => c.delta != null);
+  const sets = changes.filter((c) => c.available != null);
+
+  // Shopify's stock after each adjustment, by "<inventory item>|<location>"
+  const after = new Map();
+  if (deltas.length) {
+    const payload = await shop.client.mutate(
+      `mutation inventoryAdjustQuantities($input: InventoryAdjustQuantitiesInput!) {
+        inventoryAdjustQuantities(input: $input) {
+          ${ADJUSTMENT_FIELDS}
+          userErrors { field message code }
+        }
+      }`,
+      {
+        input: {
+          name: "available",
+          reason: "correction",
+          changes: deltas.map((c) => ({
+            delta: c.delta,
+            inventoryItemId: inventoryItemGid(c.variant.inventory_item_id),
+            locationId: c.location_id,
+          })),
+        },
+      },
+      "inventoryAdjustQuantities"
+    );
+    for (const change of payload.inventoryAdjustmentGroup?.changes ?? [])
+      if (change.name === "available" && change.quantityAfterChange != null)
+        after.set(
+          `${change.item?.id}|${change.location?.id}`,
+          change.quantityAfterChange
+        );
+  }
+  if (sets.length)
+    await shop.client.mutate(
+      `mutation inventorySetQuantities($input: InventorySetQuantitiesInput!) {
+        inventorySetQuantities(input: $input) {
+          ${ADJUSTMENT_FIELDS}
+          userErrors { field message code }
+        }
+      }`,
+      {
+        input: {
+          name: "available",
+          reason: "correction",
+          ignoreCompareQuantity: true,
+          quantities: sets.map((c) => ({
+            quantity: c.available,
+            inventoryItemId: inventoryItemGid(c.variant.inventory_item_id),
+            locationId: c.location_id,
+          })),
+        },
+      },
+      "inventorySetQuantities",
+      { idempotent: true }
+    );
+
+  await turso.batch(
+    changes.map((c) => {
+      const known =
+        c.available ??
+        after.get(
+          `${inventoryItemGid(c.variant.inventory_item_id)}|${c.location_id}`
+        );
+      return known != null
+        ? setInventoryLevelStatement(
+            { sql: "id = ?", args: [c.variant.id] },
+            c.location_id,
+            known
+          )
+        : adjustInventoryLevelStatement(c.variant.id, c.location_id, c.delta);
+    }),
+    "write"
+  );
+  await recordAuditEvent(req, {
+    action: "product.inventory.adjust",
+    outcome: "success",
+    target_type: "product",
+    target_id: product.public_id,
+    details: {
+      changes: changes.map((c) => ({
+        variant_id: c.variant_id,
+        location_id: c.location_id,
+        ...(c.delta != null ? { delta: c.delta } : { available: c.available }),
+      })),
+    },
+  });
+
+  res.json({
+    message: "Inventory updated",
+    product: product.public_id,
+    variants: await listProductVariants(product.id, {
+      publicIds: variantIds,
+    }),
+  });
+};
@@ -0,0 +1,316 @@
+import crypto from "crypto";
+import { z } from "zod";
+import turso from "../db.js";
+import generatePublicIds from "../utils/generatePublicIds.js";
+import { recordAuditEvent } from "../utils/audit.js";
+import { encryptSecret } from "../utils/secretBox.js";
+import { checkWebhookUrl } from "../utils/webhookUrls.js";
+import { EVENT_TYPES } from "../utils/webhookEvents.js";
+import { buildListQuery, toPage } from "../utils/listQuery.js";
+import { pokeWebhookDispatcher } from "../jobs/webhookDispatcher.js";
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "../utils/errors.js";
+
+// Controller for outgoing webhook subscriptions and their delivery log. Subscriptions
+// are only visible to the user who registered them (or their API keys). The signing
+// secret is returned once, when the subscription is created.
+
+const MAX_SUBSCRIPTIONS_PER_USER = 20;
+
+const NOW = "strftime('%Y-%m-%d %H:%M:%f','now')";
+
+const SUBSCRIPTION_COLUMNS =
+  "id, public_id, url, events, description, active, created_at, updated_at";
+
+const eventsSchema = z
+  .array(z.enum(Object.keys(EVENT_TYPES)))
+  .min(1)
+  .transform((events) => [...new Set(events)]);
+
+const createSchema = z.object({
+  url: z.string().min(1).max(2048),
+  events: eventsSchema,
+  description: z.string().max(255).optional(),
+});
+
+const updateSchema = z
+  .object({
+    url: z.string().min(1).max(2048).optional(),
+    events: eventsSchema.optional(),
+    description: z.string().max(255).nullable().optional(),
+    active: z.boolean().optional(),
+  })
+  .refine((obj) => Object.keys(obj).length > 0, {
+    message: "Provide at least one of url, events, description or active",
+  });
+
+const serializeSubscription = (row) => ({
+  id: row.public_id,
+  url: row.url,
+  events: JSON.parse(row.events),
+  description: row.description ?? null,
+  active: !!row.active,
+  created_at: row.created_at,
+  updated_at: row.updated_at,
+});
+
+const serializeDelivery = (row, { withPayload = false } = {}) => ({
+  id: row.public_id,
+  event_id: row.event_id,
+  event_type: row.event_type,
+  status: row.status,
+  attempts: row.attempts,
+  next_attempt_at: row.status === "pending" ? row.next_attempt_at : null,
+  last_status_code: row.last_status_code ?? null,
+  last_error: row.last_error ?? null,
+  last_response: row.last_response ?? null,
+  redelivery_of: row.redelivery_of_public_id ?? null,
+  created_at: row.created_at,
+  delivered_at: row.delivered_at ?? null,
+  ...(withPayload && { payload: JSON.parse(row.payload) }),
+});
+
+const findSubscription = async (publicId, userId) => {
+  const result = await turso.execute({
+    sql: `SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions WHERE public_id = ? AND user_id = ? LIMIT 1`,
+    args: [publicId, userId],
+  });
+  return result.rows[0] ?? null;
+};
+
+const DELIVERY_COLUMNS = `d.id, d.public_id, d.event_id, d.event_type, d.status, d.attempts, d.next_attempt_at,
+  d.last_status_code, d.last_error, d.last_response, d.created_at, d.delivered_at,
+  (SELECT o.public_id FROM webhook_subscription_deliveries o WHERE o.id = d.redelivery_of) AS redelivery_of_public_id`;
+
+const findDelivery = async (subscriptionId, publicId) => {
+  const result = await turso.execute({
+    sql: `SELECT ${DELIVERY_COLUMNS}, d.payload FROM webhook_subscription_deliveries d
+          WHERE d.subscription_id = ? AND d.public_id = ? LIMIT 1`,
+    args: [subscriptionId, publicId],
+  });
+  return result.rows[0] ?? null;
+};
+
+// Register an endpoint; body: { url, events, description? }
+export const createWebhookSubscription = async (req, res) => {
+  const parsed = createSchema.safeParse(req.body);
+  if (!parsed.success) throw new ValidationError(parsed.error);
+  const { url, events, description } = parsed.data;
+
+  const refused = await checkWebhookUrl(url);
+  if (refused)
+    throw new ValidationError(`Invalid url: ${refused}`, {
+      code: "invalid_url",
+    });
+
+  const count = await turso.execute({
+    sql: "SELECT COUNT(*) AS n FROM webhook_subscriptions WHERE user_id = ?",
+    args: [req.user.id],
+  });
+  if (Number(count.rows[0].n) >= MAX_SUBSCRIPTIONS_PER_USER)
+    throw new ConflictError(
+      `You can have at most ${MAX_SUBSCRIPTIONS_PER_USER} webhook subscriptions`,
+      { code: "subscription_limit_reached" }
+    );
+
+  const publicId = generatePublicIds("whsub");
+  const secret = `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+  await turso.execute({
+    sql: "INSERT INTO webhook_subscriptions (public_id, user_id, url, events, description, secret) VALUES (?, ?, ?, ?, ?, ?)",
+    args: [
+      publicId,
+      req.user.id,
+      url,
+      JSON.stringify(events),
+      description ?? null,
+      encryptSecret(secret),
+    ],
+  });
+  await recordAuditEvent(req, {
+    action: "webhook_subscription.create",
+    outcome: "success",
+    target_type: "webhook_subscription",
+    target_id: publicId,
+    details: { url, events },
+  });
+
+  const row = await findSubscription(publicId, req.user.id);
+  res
+    .status(201)
+    .location(`/api/webhook-subscriptions/${publicId}`)
+    .json({
+      ...serializeSubscription(row),
+      secret,
+      message:
+        "Store this secret securely; it will not be shown again. Use it to verify X-Webhook-Hmac-Sha256.",
+    });
+};
+
+export const listWebhookSubscriptions = async (req, res) => {
+  const result = await turso.execute({
+    sql: `SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions WHERE user_id = ? ORDER BY id`,
+    args: [req.user.id],
+  });
+  res.json(result.rows.map(serializeSubscription));
+};
+
+export const getWebhookSubscription = async (req, res) => {
+  const row = await findSubscription(req.params.id, req.user.id);
+  if (!row) throw new NotFoundError("Webhook subscription not found");
+  res.json(serializeSubscription(row));
+};
+
+// Change the url, events or description, or pause (active: false) / resume deliveries
+export const updateWebhookSubscription = async (req, res) => {
+  const parsed = updateSchema.safeParse(req.body);
+  if (!parsed.success) throw new ValidationError(parsed.error);
+  const { url, events, description, active } = parsed.data;
+
+  const row = await findSubscription(req.params.id, req.user.id);
+  if (!row) throw new NotFoundError("Webhook subscription not found");
+
+  if (url) {
+    const refused = await checkWebhookUrl(url);
+    if (refused)
+      throw new ValidationError(`Invalid url: ${refused}`, {
+        code: "invalid_url",
+      });
+  }
+
+  await turso.execute({
+    sql: `UPDATE webhook_subscriptions SET
+            url = COALESCE(?, url),
+            events = COALESCE(?, events),
+            description = CASE WHEN ? THEN ? ELSE description END,
+            active = COALESCE(?, active),
+            updated_at = ${NOW}
+          WHERE id = ?`,
+    args: [
+      url ?? null,
+      events ? JSON.stringify(events) : null,
+      description !== undefined ? 1 : 0,
+      description ?? null,
+      active == null ? null : active ? 1 : 0,
+      row.id,
+    ],
+  });
+  await recordAuditEvent(req, {
+    action: "webhook_subscription.update",
+    outcome: "success",
+    target_type: "webhook_subscription",
+    target_id: row.public_id,
+    details: parsed.data,
+  });
+  if (active) pokeWebhookDispatcher();
+
+  res.json(
+    serializeSubscription(await findSubscription(row.public_id, req.user.id))
+  );
+};
+
+// Remove a subscription together with its delivery log
+export const deleteWebhookSubscription = async (req, res) => {
+  const row = await findSubscription(req.params.id, req.user.id);
+  if (!row) throw new NotFoundError("Webhook subscription not found");
+
+  await turso.batch(
+    [
+      {
+        sql: "DELETE FROM webhook_subscription_deliveries WHERE subscription_id = ?",
+        args: [row.id],
+      },
+      {
+        sql: "DELETE FROM webhook_subscriptions WHERE id = ?",
+        args: [row.id],
+      },
+    ],
+    "write"
+  );
+  await recordAuditEvent(req, {
+    action: "webhook_subscription.delete",
+    outcome: "success",
+    target_type: "webhook_subscription",
+    target_id: row.public_id,
+  });
+  res.json({ message: "Webhook subscription deleted" });
+};
+
+// Delivery log of a subscription; query (validated in the route): limit, cursor, sort,
+// status, event_type
+export const listWebhookDeliveries = async (req, res) => {
+  const q = req.validatedQuery;
+  const subscription = await findSubscription(req.params.id, req.user.id);
+  if (!subscription) throw new NotFoundError("Webhook subscription not found");
+
+  const query = buildListQuery({
+    columns: DELIVERY_COLUMNS,
+    from: "webhook_subscription_deliveries d",
+    conditions: [
+      { sql: "d.subscription_id = ?", args: [subscription.id] },
+      q.status ? { sql: "d.status = ?", args: [q.status] } : null,
+      q.event_type ? { sql: "d.event_type = ?", args: [q.event_type] } : null,
+    ],
+    sortColumns: { created_at: "d.created_at" },
+    idColumn: "d.id",
+    sort: q.sort,
+    cursor: q.cursor,
+    limit: q.limit,
+  });
+
+  const result = await turso.execute(query);
+  const { rows, next_cursor } = toPage(result.rows, q);
+  res.json({
+    deliveries: rows.map((r) => serializeDelivery(r)),
+    next_cursor,
+  });
+};
+
+// One delivery, with the payload that was sent
+export const getWebhookDelivery = async (req, res) => {
+  const subscription = await findSubscription(req.params.id, req.user.id);
+  if (!subscription) throw new NotFoundError("Webhook subscription not found");
+  const delivery = await findDelivery(subscription.id, req.params.delivery_id);
+  if (!delivery) throw new NotFoundError("Webhook delivery not found");
+  res.json(serializeDelivery(delivery, { withPayload: true }));
+};
+
+// Send a delivery's event again, as a new delivery with the same event id and payload
+export const redeliverWebhook = async (req, res) => {
+  const subscription = await findSubscription(req.params.id, req.user.id);
+  if (!subscription) throw new NotFoundError("Webhook subscription not found");
+  const original = await findDelivery(subscription.id, req.params.delivery_id);
+  if (!original) throw new NotFoundError("Webhook delivery not found");
+
+  const publicId = generatePublicIds("whd");
+  await turso.execute({
+    sql: `INSERT INTO webhook_subscription_deliveries (public_id, subscription_id, event_id, event_type, payload, redelivery_of)
+          VALUES (?, ?, ?, ?, ?, ?)`,
+    args: [
+      publicId,
+      subscription.id,
+      original.event_id,
+      original.event_type,
+      original.payload,
+      original.id,
+    ],
+  });
+  await recordAuditEvent(req, {
+    action: "webhook_subscription.redeliver",
+    outcome: "success",
+    target_type: "webhook_subscription",
+    target_id: subscription.public_id,
+    details: { delivery: original.public_id, redelivery: publicId },
+  });
+  pokeWebhookDispatcher();
+
+  const delivery = await findDelivery(subscription.id, publicId);
+  res
+    .status(202)
+    .location(
+      `/api/webhook-subscriptions/${subscription.public_id}/deliveries/${publicId}`
+    )
+    .json(serializeDelivery(delivery));
+};
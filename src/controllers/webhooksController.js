@@ -1,202 +1,608 @@
-import crypto from "crypto";
 import { z } from "zod";
 import turso from "../db.js";
+import { recordAuditEvent } from "../utils/audit.js";
+import { salesLedgerStatements } from "../utils/salesLedger.js";
+import { publishWebhookEvent } from "../utils/webhookEvents.js";
+import { toDbTimestamp } from "../utils/time.js";
+import { ValidationError } from "../utils/errors.js";
+import {
+  deleteOtherVariantsStatements,
+  locationGid,
+  setInventoryLevelStatement,
+  upsertVariantStatement,
+} from "../utils/variants.js";
+import { logger } from "../utils/logger.js";
+import { shopifyWebhooks } from "../utils/metrics.js";
+import { resolveShop } from "../utils/shops.js";
+import { MAX_AGE_SECONDS } from "../middleware/shopifyWebhook.js";
 
-const webhookSecret = process.env.SHOPIFY_WEBHOOK_SECRET;
+// Shopify webhook handlers. Requests reach them after `verifyShopifyWebhook`.
+// Order, cancellation and refund topics write the sales ledger (`order_line_items`)
+// and keep products.sales_count in step with it.
+// POST /webhooks/shopify dispatches on the X-Shopify-Topic header; the older
+// POST /webhooks/shopify-sales always treats the payload as orders/create.
+// Each delivery is recorded in `webhook_deliveries` in the same transaction as its
+// changes, so Shopify's retries are acknowledged without being counted twice.
+// Handlers only touch products of the shop in the verified X-Shopify-Shop-Domain:
+// Shopify ids are unique within a shop, not across the shops we serve.
+
+const NOW = "strftime('%Y-%m-%d %H:%M:%f','now')";
+
+// Shopify sends ids as numbers; accept numeric strings too
+const idSchema = z.preprocess(
+  (v) => (typeof v === "string" ? Number(v) : v),
+  z.number().int().positive()
+);
+
+const quantitySchema = z.preprocess(
+  (v) => (typeof v === "string" ? Number(v) : v),
+  z.number().int().nonnegative()
+);
+
+// Shopify sends prices as decimal strings
+const priceSchema = z.preprocess(
+  (v) => (typeof v === "string" ? Number(v) : v),
+  z.number().nonnegative()
+);
 
 // Schema: minimal validation of Shopify order create payload we need
 const lineItemSchema = z
   .object({
+    // line item id, used to match refunds against the order's items
+    id: idSchema.optional(),
     // accept product_id or variant_id (both may come as string or number)
-    product_id: z
-      .preprocess(
-        (v) => (typeof v === "string" ? Number(v) : v),
-        z.number().int().positive()
-      )
-      .optional(),
-    variant_id: z
-      .preprocess(
-        (v) => (typeof v === "string" ? Number(v) : v),
-        z.number().int().positive()
-      )
-      .optional(),
-    quantity: z.preprocess(
-      (v) => (typeof v === "string" ? Number(v) : v),
-      z.number().int().nonnegative()
-    ),
+    product_id: idSchema.optional(),
+    variant_id: idSchema.optional(),
+    quantity: quantitySchema,
+    price: priceSchema.optional(), // unit price, recorded in the sales ledger
   })
   .refine((obj) => Boolean(obj.product_id || obj.variant_id), {
     message: "line item must include product_id or variant_id",
   });
 
+const refundLineItemSchema = z.object({
+  line_item_id: idSchema.optional(),
+  quantity: quantitySchema,
+  line_item: z
+    .object({
+      product_id: idSchema.nullish(),
+      variant_id: idSchema.nullish(),
+      price: priceSchema.optional(),
+    })
+    .optional(),
+});
+
 const orderSchema = z.object({
   id: z.preprocess(
     (v) => (typeof v === "string" ? Number(v) : v),
     z.number().int()
   ),
   line_items: z.array(lineItemSchema).min(1),
+  created_at: z.coerce.date().optional(),
+  cancelled_at: z.coerce.date().nullish(),
+  // refunds already made on the order (present on orders/cancelled)
+  refunds: z
+    .array(
+      z.object({
+        refund_line_items: z.array(refundLineItemSchema).default([]),
+      })
+    )
+    .default([]),
 });
 
-/**
- * Shopify order create webhook handler.
- * Verifies HMAC (x-shopify-hmac-sha256) against raw body, validates payload,
- * then increments products.sales_count by quantity for matching shopify_id.
- */
-export const handleShopifyOrderCreate = async (req, res) => {
-  try {
-    if (!webhookSecret) {
-      console.error("SHOPIFY_WEBHOOK_SECRET missing from env");
-      return res
-        .status(500)
-        .json({ error: "Missing SHOPIFY_WEBHOOK_SECRET in env" });
-    }
+const refundSchema = z.object({
+  id: idSchema,
+  order_id: idSchema,
+  created_at: z.coerce.date().optional(),
+  refund_line_items: z.array(refundLineItemSchema).default([]),
+});
+
+const optionValueSchema = z.string().nullish();
+
+const productVariantSchema = z.object({
+  id: idSchema,
+  title: z.string().nullish(),
+  price: priceSchema.nullish(),
+  sku: z.string().nullish(),
+  position: z.number().int().nullish(),
+  inventory_item_id: idSchema.nullish(),
+  option1: optionValueSchema,
+  option2: optionValueSchema,
+  option3: optionValueSchema,
+});
+
+const productSchema = z.object({
+  id: idSchema,
+  title: z.string().min(1).optional(),
+  images: z.array(z.object({ src: z.string().url() })).optional(),
+  options: z
+    .array(z.object({ name: z.string(), position: z.number().int() }))
+    .optional(),
+  variants: z.array(productVariantSchema).optional(),
+});
+
+const inventoryLevelSchema = z.object({
+  inventory_item_id: idSchema,
+  location_id: idSchema,
+  available: z.number().int().nullable(),
+  updated_at: z.coerce.date().optional(),
+});
+
+const productDeleteSchema = z.object({ id: idSchema });
+
+// Local record of a variant of a products/update payload: option1..3 are the values of
+// the product's options at positions 1..3
+const variantFromProductPayload = (product, v) => {
+  const names = new Map(
+    (product.options ?? []).map((o) => [o.position, o.name])
+  );
+  const options = {};
+  [v.option1, v.option2, v.option3].forEach((value, i) => {
+    if (value != null) options[names.get(i + 1) ?? `Option ${i + 1}`] = value;
+  });
+  return {
+    shopify_variant_id: String(v.id),
+    inventory_item_id: v.inventory_item_id ? String(v.inventory_item_id) : null,
+    title: v.title ?? null,
+    sku: v.sku || null,
+    price: v.price ?? null,
+    options,
+    position: v.position ?? null,
+  };
+};
+
+// prefer product_id, fall back to variant_id
+const lineItemProductId = (li) => String(li.product_id ?? li.variant_id);
 
-    // Prefer req.get for a single string value; Express normalizes header names
-    const header =
-      req.get("x-shopify-hmac-sha256") || req.get("X-Shopify-Hmac-Sha256");
-    if (!header) {
-      console.warn("Missing HMAC header in request", {
-        headersSample: Object.keys(req.headers).slice(0, 10),
+// Quantity refunded per order line item id
+const refundedQuantities = (refunds) => {
+  const refunded = new Map();
+  for (const refund of refunds)
+    for (const rli of refund.refund_line_items)
+      if (rli.line_item_id)
+        refunded.set(
+          rli.line_item_id,
+          (refunded.get(rli.line_item_id) ?? 0) + rli.quantity
+        );
+  return refunded;
+};
+
+// Send product.sold to the subscriptions of the sold products' owners
+const publishProductSales = async (order, shop) => {
+  try {
+    const ids = [...new Set(order.line_items.map(lineItemProductId))];
+    const products = await turso.execute({
+      sql: `SELECT public_id, shopify_id, name, created_by FROM products
+            WHERE deleted_at IS NULL AND shop_id IS ? AND shopify_id IN (${ids.map(() => "?").join(",")})`,
+      args: [shop.id, ...ids],
+    });
+    const byShopifyId = new Map(
+      products.rows.map((p) => [String(p.shopify_id), p])
+    );
+    for (const li of order.line_items) {
+      const product = byShopifyId.get(lineItemProductId(li));
+      if (!product || !li.quantity) continue;
+      await publishWebhookEvent("product.sold", {
+        userId: product.created_by,
+        data: {
+          public_id: product.public_id,
+          shopify_id: String(product.shopify_id),
+          name: product.name,
+          order_id: String(order.id),
+          quantity: li.quantity,
+          unit_price: li.price ?? null,
+          sold_at: (order.created_at ?? new Date()).toISOString(),
+        },
       });
-      return res.status(401).json({ error: "Missing HMAC header" });
     }
+  } catch (err) {
+    logger.error("Failed to publish product sales", { err });
+  }
+};
+
+/**
+ * A topic handler plans its database changes instead of running them, so they are
+ * applied in one transaction together with the delivery record.
+ *
+ * @typedef {object} TopicPlan
+ * @property {{ sql: string; args: any[] }[]} statements
+ * @property {(results: import("@libsql/client").ResultSet[]) => object} response
+ *   response body, from the results of `statements`
+ * @property {() => Promise<void>} [afterCommit]
+ *
+ * @typedef {object} TopicHandler
+ * @property {z.ZodType} schema
+ * @property {(payload: any) => string} [resourceKey] resource that must only be
+ *   applied once per topic (order / refund id), whatever the webhook id
+ * @property {(payload: any, req: import("express").Request, shop: import("../utils/shops.js").Shop) => TopicPlan} plan
+ *   `shop` is the shop the webhook comes from; statements must only match its rows
+ */
 
-    // Try to get raw body (Buffer or string). If middleware didn't provide rawBody,
-    // fall back to a Buffer built from req.body (best-effort).
-    let raw = req.rawBody;
-    if (!raw) {
-      if (typeof req.body === "string") {
-        raw = Buffer.from(req.body, "utf8");
-      } else if (Buffer.isBuffer(req.body)) {
-        raw = req.body;
-      } else if (req.body && typeof req.body === "object") {
-        // fallback: stringify parsed body — may differ from original bytes but often works
-        try {
-          raw = Buffer.from(JSON.stringify(req.body), "utf8");
-        } catch (e) {
-          raw = null;
+/** @type {Record<string, TopicHandler>} */
+const TOPIC_HANDLERS = {
+  // Count the sold quantities
+  "orders/create": {
+    schema: orderSchema,
+    resourceKey: (order) => String(order.id),
+    plan: (order, req, shop) => {
+      const { statements, updates } = salesLedgerStatements(
+        order.line_items.map((li) => ({
+          shopify_id: lineItemProductId(li),
+          quantity: li.quantity,
+          unit_price: li.price,
+          line_item_id: li.id ? String(li.id) : null,
+        })),
+        {
+          kind: "order",
+          orderId: String(order.id),
+          sign: 1,
+          occurredAt: order.created_at,
+          shopId: shop.id,
         }
-      }
-    } else {
-      console.log("Using req.rawBody (length:", raw.length + ")");
-    }
+      );
+      return {
+        statements,
+        response: () => ({
+          message: "Processed order webhook",
+          order_id: order.id,
+          updates,
+        }),
+        afterCommit: () => publishProductSales(order, shop),
+      };
+    },
+  },
 
-    if (!raw || !(raw instanceof Buffer)) {
-      console.error(
-        "Missing raw body for HMAC verification; cannot verify signature",
+  // Take back what was sold, minus what refunds/create already took back
+  "orders/cancelled": {
+    schema: orderSchema,
+    resourceKey: (order) => String(order.id),
+    plan: (order, req, shop) => {
+      const refunded = refundedQuantities(order.refunds);
+      const { statements, updates } = salesLedgerStatements(
+        order.line_items.map((li) => ({
+          shopify_id: lineItemProductId(li),
+          quantity: li.quantity - (li.id ? (refunded.get(li.id) ?? 0) : 0),
+          unit_price: li.price,
+          line_item_id: li.id ? String(li.id) : null,
+        })),
         {
-          rawPresent: !!raw,
-          reqBodyType: typeof req.body,
+          kind: "cancellation",
+          orderId: String(order.id),
+          sign: -1,
+          occurredAt: order.cancelled_at,
+          shopId: shop.id,
         }
       );
-      return res.status(400).json({
-        error: "Missing raw body for HMAC verification",
-        details: {
-          hint: "Ensure your body-parser is configured to capture raw body (use verify option to store raw buffer on req.rawBody).",
-          reqBodyType: typeof req.body,
-        },
-      });
-    }
+      return {
+        statements,
+        response: () => ({
+          message: "Processed order cancellation",
+          order_id: order.id,
+          updates,
+        }),
+      };
+    },
+  },
 
-    // compute HMAC base64
-    const computed = crypto
-      .createHmac("sha256", webhookSecret)
-      .update(raw)
-      .digest("base64");
-
-    // Compare using raw bytes decoded from base64 to avoid encoding/length issues
-    let headerBuf, computedBuf;
-    try {
-      // header from Shopify is base64; decode into bytes
-      headerBuf = Buffer.from(String(header), "base64");
-      computedBuf = Buffer.from(computed, "base64");
-    } catch (e) {
-      console.error(
-        "Failed to decode HMAC header or computed HMAC as base64:",
-        e,
-        { header }
+  "refunds/create": {
+    schema: refundSchema,
+    resourceKey: (refund) => String(refund.id),
+    plan: (refund, req, shop) => {
+      const { statements, updates } = salesLedgerStatements(
+        refund.refund_line_items
+          .filter(
+            (rli) => rli.line_item?.product_id || rli.line_item?.variant_id
+          )
+          .map((rli) => ({
+            shopify_id: lineItemProductId(rli.line_item),
+            quantity: rli.quantity,
+            unit_price: rli.line_item.price,
+            line_item_id: rli.line_item_id ? String(rli.line_item_id) : null,
+          })),
+        {
+          kind: "refund",
+          orderId: String(refund.order_id),
+          sign: -1,
+          occurredAt: refund.created_at,
+          shopId: shop.id,
+        }
       );
-      return res.status(401).json({
-        error: "Invalid HMAC header encoding",
-        details:
-          "Header could not be decoded as base64. Check header value and ensure Shopify is sending x-shopify-hmac-sha256.",
-      });
-    }
+      return {
+        statements,
+        response: () => ({
+          message: "Processed refund",
+          order_id: refund.order_id,
+          refund_id: refund.id,
+          updates,
+        }),
+      };
+    },
+  },
 
-    if (
-      headerBuf.length !== computedBuf.length ||
-      !crypto.timingSafeEqual(headerBuf, computedBuf)
-    ) {
-      console.warn("HMAC signature mismatch", {
-        headerBase64: String(header).slice(0, 64),
-        computedBase64: computed.slice(0, 64),
-        headerLen: headerBuf.length,
-        computedLen: computedBuf.length,
-      });
-      return res.status(401).json({
-        error: "Invalid HMAC signature",
-        details: {
-          hint: "Signature did not match. Common causes: wrong webhook secret, raw body modified by middleware, or header altered.",
-          headerLength: headerBuf.length,
-          computedLength: computedBuf.length,
+  // Keep the local name, images and variants in step with the Shopify admin
+  "products/update": {
+    schema: productSchema,
+    plan: (product, req, shop) => {
+      const shopifyId = String(product.id);
+      const set = [];
+      const args = [];
+      if (product.title) {
+        set.push("name = ?");
+        args.push(product.title);
+      }
+      if (product.images) {
+        set.push("images = ?");
+        args.push(
+          product.images.length
+            ? JSON.stringify(product.images.map((i) => i.src))
+            : null
+        );
+      }
+      if (!set.length && !product.variants)
+        return {
+          statements: [],
+          response: () => ({
+            message: "Nothing to update",
+            shopify_id: shopifyId,
+          }),
+        };
+      // The payload lists every variant: the others were deleted on Shopify
+      const local = {
+        sql: "shopify_id = ? AND shop_id IS ?",
+        args: [shopifyId, shop.id],
+      };
+      const variantStatements = product.variants
+        ? [
+            ...deleteOtherVariantsStatements(
+              local,
+              product.variants.map((v) => String(v.id))
+            ),
+            ...product.variants.map((v) =>
+              upsertVariantStatement(
+                local,
+                variantFromProductPayload(product, v)
+              )
+            ),
+          ]
+        : [];
+      return {
+        statements: [
+          {
+            sql: `UPDATE products SET ${[...set, `updated_at = ${NOW}`].join(", ")} WHERE ${local.sql}`,
+            args: [...args, ...local.args],
+          },
+          ...variantStatements,
+        ],
+        response: ([updated]) => ({
+          message: updated.rowsAffected ? "Product updated" : "Unknown product",
+          shopify_id: shopifyId,
+          ...(product.variants && { variants: product.variants.length }),
+        }),
+      };
+    },
+  },
+
+  // Stock of a variant changed at a location (orders, transfers, admin edits)
+  "inventory_levels/update": {
+    schema: inventoryLevelSchema,
+    plan: (level, req, shop) => ({
+      statements: [
+        setInventoryLevelStatement(
+          {
+            sql: "inventory_item_id = ? AND product_id IN (SELECT id FROM products WHERE shop_id IS ?)",
+            args: [String(level.inventory_item_id), shop.id],
+          },
+          locationGid(level.location_id),
+          level.available,
+          level.updated_at ? toDbTimestamp(level.updated_at) : null
+        ),
+      ],
+      response: ([updated]) => ({
+        message: updated.rowsAffected
+          ? "Inventory level updated"
+          : "Unknown or outdated inventory level",
+        inventory_item_id: String(level.inventory_item_id),
+      }),
+    }),
+  },
+
+  // Deleted in the Shopify admin: soft-delete, as reconciliation does for orphans
+  "products/delete": {
+    schema: productDeleteSchema,
+    plan: (product, req, shop) => ({
+      statements: [
+        {
+          sql: `UPDATE products SET orphaned_at = COALESCE(orphaned_at, ${NOW}), deleted_at = COALESCE(deleted_at, ${NOW}), updated_at = ${NOW}
+                WHERE shopify_id = ? AND shop_id IS ?`,
+          args: [String(product.id), shop.id],
         },
-      });
-    }
+      ],
+      response: ([deleted]) => ({
+        message: deleted.rowsAffected ? "Product deleted" : "Unknown product",
+        shopify_id: String(product.id),
+      }),
+    }),
+  },
 
-    // Parse JSON safely (bodyParser.json already parsed, but validate using the parsed body)
-    const payload = req.body;
-    const parsed = orderSchema.safeParse(payload);
-    if (!parsed.success) {
-      console.error("Payload validation failed:", z.treeifyError(parsed.error));
-      return res.status(400).json({
-        error: "Invalid payload",
-        details: z.treeifyError(parsed.error),
-        hint: "Check that the webhook payload includes order id and line_items with product_id/variant_id and quantity.",
-      });
-    }
+  // The app's access token is revoked: Shopify calls fail until it is reinstalled
+  "app/uninstalled": {
+    schema: z.object({}).passthrough(),
+    // A registered shop is marked uninstalled with the delivery, so its products stop
+    // reaching Shopify (utils/shops.js) until an admin sets a new access token. The
+    // default shop is configured in the environment and can only be reported.
+    plan: (payload, req, shop) => {
+      const shopDomain =
+        req.get("x-shopify-shop-domain") || payload.myshopify_domain || null;
+      return {
+        statements:
+          shop.id != null
+            ? [
+                {
+                  sql: `UPDATE shops SET
+                          uninstalled_at = strftime('%Y-%m-%d %H:%M:%f','now'),
+                          updated_at = strftime('%Y-%m-%d %H:%M:%f','now')
+                        WHERE id = ?`,
+                  args: [shop.id],
+                },
+              ]
+            : [],
+        response: () => ({
+          message: "App uninstall recorded",
+          shop_domain: shopDomain,
+          deactivated: shop.id != null,
+        }),
+        afterCommit: async () => {
+          logger.warn("Shopify app uninstalled", {
+            shop_domain: shopDomain,
+            deactivated: shop.id != null,
+          });
+          await recordAuditEvent(req, {
+            action: "shopify.app_uninstalled",
+            outcome: "success",
+            target_type: "shop",
+            target_id: shopDomain,
+            details: { deactivated: shop.id != null },
+          });
+        },
+      };
+    },
+  },
+};
 
-    const order = parsed.data;
+// Deliveries are remembered a day longer than SHOPIFY_WEBHOOK_MAX_AGE_SECONDS (and at
+// least a week), so a replay is either too old or a known duplicate. Those with a
+// resource_key (orders, cancellations, refunds) are kept for good: X-Shopify-Triggered-At
+// is not signed, so a captured order replayed with a fresh header must still be known.
+const DELIVERY_RETENTION_SECONDS = Math.max(
+  7 * 24 * 60 * 60,
+  MAX_AGE_SECONDS + 24 * 60 * 60
+);
 
-    // For each line item, increment sales_count by quantity where shopify_id matches product_id or variant_id
-    const updates = [];
-    for (const li of order.line_items) {
-      // prefer product_id, fall back to variant_id
-      const idSource = li.product_id ?? li.variant_id;
-      const productIdStr = String(idSource);
-      const qty = li.quantity || 0;
-      if (qty <= 0) continue;
-
-      try {
-        await turso.execute({
-          sql: "UPDATE products SET sales_count = COALESCE(sales_count, 0) + ? WHERE shopify_id = ?",
-          args: [qty, productIdStr],
-        });
-        updates.push({ shopify_id: productIdStr, added: qty });
-      } catch (err) {
-        console.error(
-          "DB update failed for shopify_id:",
-          productIdStr,
-          "error:",
-          err
-        );
-        // continue processing other items but record error
-        updates.push({
-          shopify_id: productIdStr,
-          added: 0,
-          error: err.message,
-        });
-      }
-    }
+const isUniqueViolation = (err) =>
+  /UNIQUE constraint failed/i.test(String(err?.message ?? err));
+
+// Validate the payload for `topic` and apply its handler once per delivery: a delivery
+// already seen (same X-Shopify-Webhook-Id, or the same order / refund for the topic)
+// is acknowledged without being applied again.
+const runTopicHandler = async (topic, req, res) => {
+  const handler = TOPIC_HANDLERS[topic];
+  const parsed = handler.schema.safeParse(req.body);
+  if (!parsed.success) {
+    shopifyWebhooks.inc({ topic, outcome: "invalid_payload" });
+    logger.warn("Invalid webhook payload", {
+      topic,
+      errors: z.treeifyError(parsed.error),
+    });
+    throw new ValidationError("Invalid payload", {
+      code: "invalid_payload",
+      details: { topic, errors: z.treeifyError(parsed.error) },
+    });
+  }
 
+  const webhookId = req.get("x-shopify-webhook-id") || null;
+  const shopDomain = req.get("x-shopify-shop-domain") || "";
+  const resourceKey = handler.resourceKey?.(parsed.data) ?? null;
+  const duplicate = () => {
+    shopifyWebhooks.inc({ topic, outcome: "duplicate" });
     return res.status(200).json({
-      message: "Processed order webhook",
-      order_id: order.id,
-      updates,
+      message: "Duplicate delivery ignored",
+      topic,
+      duplicate: true,
+    });
+  };
+
+  // The signature was checked with this shop's secret (or SHOPIFY_WEBHOOK_SECRET for
+  // the default shop), so the header can be trusted. An unregistered shop has no
+  // products here: acknowledge so Shopify stops retrying.
+  const shop = await resolveShop(shopDomain);
+  if (!shop) {
+    shopifyWebhooks.inc({ topic, outcome: "ignored" });
+    logger.warn("Ignoring Shopify webhook from an unknown shop", {
+      topic,
+      shop_domain: shopDomain,
+      webhook_id: webhookId,
     });
+    return res
+      .status(200)
+      .json({ message: "Unknown shop", topic, shop_domain: shopDomain });
+  }
+
+  const seen = await turso.execute({
+    sql: `SELECT id FROM webhook_deliveries
+          WHERE webhook_id = ? OR (topic = ? AND shop_domain = ? AND resource_key = ?)
+          LIMIT 1`,
+    args: [webhookId, topic, shopDomain, resourceKey],
+  });
+  if (seen.rows.length) return duplicate();
+
+  const plan = handler.plan(parsed.data, req, shop);
+  let results;
+  try {
+    // The delivery record and every change commit (or roll back) together; a
+    // concurrent copy of the same delivery fails on the unique keys.
+    results = await turso.batch(
+      [
+        {
+          sql: `INSERT INTO webhook_deliveries (webhook_id, topic, shop_domain, resource_key, triggered_at)
+                VALUES (?, ?, ?, ?, ?)`,
+          args: [
+            webhookId,
+            topic,
+            shopDomain,
+            resourceKey,
+            req.webhookTriggeredAt ?? null,
+          ],
+        },
+        ...plan.statements,
+      ],
+      "write"
+    );
   } catch (err) {
-    console.error("Webhook processing failed:", err);
+    if (isUniqueViolation(err)) return duplicate();
+    shopifyWebhooks.inc({ topic, outcome: "failed" });
+    throw err;
+  }
+
+  // Forget old deliveries (best effort)
+  turso
+    .execute({
+      sql: `DELETE FROM webhook_deliveries
+            WHERE resource_key IS NULL AND processed_at < strftime('%Y-%m-%d %H:%M:%f','now', ?)`,
+      args: [`-${DELIVERY_RETENTION_SECONDS} seconds`],
+    })
+    .catch((err) =>
+      logger.error("Failed to prune webhook deliveries", { err })
+    );
+
+  shopifyWebhooks.inc({ topic, outcome: "processed" });
+  await plan.afterCommit?.();
+  return res.status(200).json(plan.response(results.slice(1)));
+};
+
+/**
+ * Generic Shopify webhook endpoint: dispatches on X-Shopify-Topic. Topics without
+ * a handler are acknowledged (200) and logged so Shopify does not keep retrying them.
+ */
+export const dispatchShopifyWebhook = async (req, res) => {
+  const topic = req.get("x-shopify-topic") || "";
+  if (!Object.hasOwn(TOPIC_HANDLERS, topic)) {
+    // the topic is not a label here: any value can be sent
+    shopifyWebhooks.inc({ topic: "unhandled", outcome: "ignored" });
+    logger.info("Ignoring Shopify webhook with unhandled topic", {
+      topic,
+      shop_domain: req.get("x-shopify-shop-domain") || null,
+      webhook_id: req.get("x-shopify-webhook-id") || null,
+    });
     return res
-      .status(500)
-      .json({ error: "Webhook processing failed", details: String(err) });
+      .status(200)
+      .json({ message: "Topic not handled", topic: topic || null });
   }
+  return runTopicHandler(topic, req, res);
 };
+
+/**
+ * Shopify order create webhook handler (POST /webhooks/shopify-sales).
+ * Increments products.sales_count by quantity for matching shopify_id.
+ */
+export const handleShopifyOrderCreate = (req, res) =>
+  runTopicHandler("orders/create", req, res);
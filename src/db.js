@@ -1,5 +1,6 @@
 import { createClient } from "@libsql/client";
 import dotenv from "dotenv";
+import { dbQueryDuration } from "./utils/metrics.js";
 
 dotenv.config();
 
@@ -8,4 +9,31 @@ const turso = createClient({
   authToken: process.env.TURSO_AUTH_TOKEN,
 });
 
+// Statement kinds timed separately in db_query_duration_seconds
+const QUERY_KINDS = new Set(["select", "insert", "update", "delete", "with"]);
+const queryKind = (stmt) => {
+  const verb = /^\s*(\w+)/
+    .exec(typeof stmt === "string" ? stmt : (stmt?.sql ?? ""))?.[1]
+    ?.toLowerCase();
+  return QUERY_KINDS.has(verb) ? verb : "other";
+};
+
+// Time every execute / batch for /metrics
+const timed = (method, kindOf) => {
+  const run = turso[method].bind(turso);
+  turso[method] = async (...args) => {
+    const done = dbQueryDuration.startTimer({ kind: kindOf(...args) });
+    try {
+      const result = await run(...args);
+      done({ outcome: "ok" });
+      return result;
+    } catch (err) {
+      done({ outcome: "error" });
+      throw err;
+    }
+  };
+};
+timed("execute", queryKind);
+timed("batch", () => "batch");
+
 export default turso;
@@ -1,35 +1,20 @@
-import express from "express";
-import bodyParser from "body-parser";
 import dotenv from "dotenv";
-import authRoutes from "./routes/auth.js";
-import userRoutes from "./routes/users.js";
-import productRoutes from "./routes/products.js";
-import apiKeysRoutes from "./routes/apiKeys.js";
+import app from "./app.js";
+import { startProductImportWorker } from "./jobs/productImportWorker.js";
+import { startWebhookDispatcher } from "./jobs/webhookDispatcher.js";
+import { startMediaPoller } from "./jobs/mediaPoller.js";
+import { logger } from "./utils/logger.js";
 
 dotenv.config();
 
-const app = express();
-
-// Capture raw body buffer for HMAC verification (used by Shopify webhook)
-app.use(
-  bodyParser.json({
-    verify: (req, res, buf) => {
-      req.rawBody = buf; // store Buffer for signature verification
-    },
-  })
-);
-
-// Health check
-app.get("/health", (req, res) => res.json({ test: "hello world" }));
-
-// Routes
-app.use("/api", authRoutes);
-app.use("/api", userRoutes);
-app.use("/api", productRoutes);
-app.use("/api", apiKeysRoutes);
-
 // Start server
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () =>
-  console.log(`Server running on port ${PORT} (http://localhost:${PORT})`)
-);
+app.listen(PORT, () => {
+  logger.info("Server running", { port: Number(PORT) });
+  // Picks up queued imports, including those interrupted by a restart
+  startProductImportWorker();
+  // Sends outgoing webhooks, including retries due while the server was down
+  startWebhookDispatcher();
+  // Follows images Shopify is still processing, including those added before a restart
+  startMediaPoller();
+});
@@ -0,0 +1,206 @@
+import turso from "../db.js";
+import { shopById } from "../utils/shops.js";
+import {
+  MEDIA_FIELDS,
+  mediaStatus,
+  refreshProductImagesStatement,
+} from "../utils/productMedia.js";
+import { logger } from "../utils/logger.js";
+
+// Background poller following product images through Shopify's processing.
+//
+// 'processing' rows of product_media are due at next_check_at. Due rows are claimed
+// with a lease, like import items, and looked up on their product's shop in one
+// `nodes` query per shop. READY images get their CDN URL and FAILED ones Shopify's
+// error; the others are checked again with exponential backoff until
+// MEDIA_POLL_MAX_CHECKS, after which they are failed. products.images is rebuilt for
+// every product whose images changed. The state lives in the database, so images
+// still processing when the server stops are picked up after a restart.
+
+const envInt = (name, fallback) => {
+  const v = Number(process.env[name]);
+  return Number.isFinite(v) && v > 0 ? v : fallback;
+};
+
+const POLL_INTERVAL_MS = envInt("MEDIA_POLL_INTERVAL_MS", 5000);
+const BATCH_SIZE = envInt("MEDIA_POLL_BATCH_SIZE", 50);
+const MAX_CHECKS = envInt("MEDIA_POLL_MAX_CHECKS", 20);
+const BACKOFF_BASE_SECONDS = envInt("MEDIA_POLL_BACKOFF_BASE_SECONDS", 5);
+const BACKOFF_MAX_SECONDS = envInt("MEDIA_POLL_BACKOFF_MAX_SECONDS", 300);
+// Staged uploads never attached to their product are forgotten after this long
+const STAGED_UPLOAD_TTL_HOURS = envInt("MEDIA_STAGED_UPLOAD_TTL_HOURS", 24);
+const LEASE_SECONDS = 120;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const log = logger.child({ component: "media_poller" });
+
+const NOW = "strftime('%Y-%m-%d %H:%M:%f','now')";
+
+// Seconds before check number `checks` + 1
+const backoffSeconds = (checks) =>
+  Math.min(
+    BACKOFF_BASE_SECONDS * 2 ** Math.max(checks - 1, 0),
+    BACKOFF_MAX_SECONDS
+  );
+
+const claimMedia = async (n) => {
+  const claimed = await turso.execute({
+    sql: `UPDATE product_media SET locked_until = strftime('%Y-%m-%d %H:%M:%f','now', ?)
+          WHERE id IN (
+            SELECT id FROM product_media
+            WHERE status = 'processing' AND next_check_at <= ${NOW}
+              AND (locked_until IS NULL OR locked_until < ${NOW})
+            ORDER BY next_check_at
+            LIMIT ?)
+          RETURNING id`,
+    args: [`+${LEASE_SECONDS} seconds`, n],
+  });
+  if (!claimed.rows.length) return [];
+
+  const media = await turso.execute({
+    sql: `SELECT m.id, m.shopify_media_id, m.product_id, m.checks, p.shop_id
+          FROM product_media m JOIN products p ON p.id = m.product_id
+          WHERE m.id IN (SELECT value FROM json_each(?))`,
+    args: [JSON.stringify(claimed.rows.map((r) => r.id))],
+  });
+  return media.rows;
+};
+
+// Statement recording what Shopify says about one claimed row (node null: unknown)
+const resultStatement = (row, node) => {
+  const status = node ? mediaStatus(node) : "failed";
+  const checks = row.checks + 1;
+  if (status === "processing" && checks < MAX_CHECKS)
+    return {
+      sql: `UPDATE product_media SET checks = ?, locked_until = NULL,
+              next_check_at = strftime('%Y-%m-%d %H:%M:%f','now', ?), updated_at = ${NOW}
+            WHERE id = ?`,
+      args: [checks, `+${backoffSeconds(checks)} seconds`, row.id],
+    };
+
+  let error = null;
+  if (!node) error = "Image no longer exists on Shopify";
+  else if (status === "processing")
+    error = `Still processing after ${checks} checks`;
+  else if (status === "failed")
+    error =
+      (node.mediaErrors ?? []).map((e) => e.message).join("; ") ||
+      "Shopify could not process the image";
+  return {
+    sql: `UPDATE product_media SET status = ?, url = COALESCE(?, url), error = ?, checks = ?,
+            locked_until = NULL, next_check_at = NULL, updated_at = ${NOW}
+          WHERE id = ?`,
+    args: [
+      status === "ready" ? "ready" : "failed",
+      node?.image?.url ?? null,
+      error,
+      checks,
+      row.id,
+    ],
+  };
+};
+
+// Look up the claimed rows of one shop and record the answers
+const checkShopMedia = async (shopId, rows) => {
+  let nodes;
+  try {
+    const { client } = await shopById(shopId);
+    const data = await client.request(
+      `query mediaStatus($ids: [ID!]!) { nodes(ids: $ids) { ${MEDIA_FIELDS} } }`,
+      { ids: rows.map((r) => r.shopify_media_id) }
+    );
+    nodes = new Map(
+      (data?.nodes ?? []).filter((n) => n?.id).map((n) => [n.id, n])
+    );
+  } catch (err) {
+    // Shopify unreachable: try again later without counting a check
+    log.error("Failed to check product media on Shopify", { err });
+    await turso.execute({
+      sql: `UPDATE product_media SET locked_until = NULL,
+              next_check_at = strftime('%Y-%m-%d %H:%M:%f','now', ?)
+            WHERE id IN (SELECT value FROM json_each(?))`,
+      args: [
+        `+${BACKOFF_MAX_SECONDS} seconds`,
+        JSON.stringify(rows.map((r) => r.id)),
+      ],
+    });
+    return;
+  }
+
+  const productIds = [...new Set(rows.map((r) => r.product_id))];
+  await turso.batch(
+    [
+      ...rows.map((row) =>
+        resultStatement(row, nodes.get(row.shopify_media_id) ?? null)
+      ),
+      ...productIds.map(refreshProductImagesStatement),
+    ],
+    "write"
+  );
+};
+
+// Forget staged uploads that were never attached
+const pruneStagedUploads = () =>
+  turso
+    .execute({
+      sql: `DELETE FROM product_media
+            WHERE status = 'staged' AND created_at < strftime('%Y-%m-%d %H:%M:%f','now', ?)`,
+      args: [`-${STAGED_UPLOAD_TTL_HOURS} hours`],
+    })
+    .catch((err) => log.error("Failed to prune staged uploads", { err }));
+
+let poller = null;
+
+/**
+ * Start polling Shopify for images still being processed. Safe to call once per
+ * process; rows are leased, so several processes can share one database.
+ *
+ * @param {{ pollIntervalMs?: number; batchSize?: number }} [options]
+ */
+export const startMediaPoller = ({
+  pollIntervalMs = POLL_INTERVAL_MS,
+  batchSize = BATCH_SIZE,
+} = {}) => {
+  if (poller) return poller;
+  let polling = false;
+
+  const poll = async () => {
+    if (polling) return;
+    polling = true;
+    try {
+      const rows = await claimMedia(batchSize);
+      const byShop = new Map();
+      for (const row of rows) {
+        if (!byShop.has(row.shop_id)) byShop.set(row.shop_id, []);
+        byShop.get(row.shop_id).push(row);
+      }
+      for (const [shopId, shopRows] of byShop)
+        await checkShopMedia(shopId, shopRows);
+    } catch (err) {
+      log.error("Media poll failed", { err });
+    } finally {
+      polling = false;
+    }
+  };
+
+  const timer = setInterval(poll, pollIntervalMs);
+  timer.unref();
+  const pruneTimer = setInterval(pruneStagedUploads, PRUNE_INTERVAL_MS);
+  pruneTimer.unref();
+  poll();
+
+  poller = {
+    poke: poll,
+    stop: () => {
+      clearInterval(timer);
+      clearInterval(pruneTimer);
+      poller = null;
+    },
+  };
+  return poller;
+};
+
+// Check now instead of at the next poll (e.g. right after images were added)
+export const pokeMediaPoller = () => {
+  poller?.poke();
+};
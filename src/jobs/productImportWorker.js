@@ -0,0 +1,178 @@
+import turso from "../db.js";
+import {
+  createSingleProduct,
+  findShopifyProductByTag,
+  adoptShopifyProduct,
+  failureResult,
+} from "../utils/products.js";
+import { resolveShop } from "../utils/shops.js";
+import { logger } from "../utils/logger.js";
+
+// Background worker for bulk product imports (jobs of type 'product_import').
+//
+// Items are claimed from job_items with a lease and processed with bounded concurrency.
+// Items whose lease ran out (the process died mid-item) are claimed again; so are
+// failed items put back by "retry failed". Every Shopify product an item creates is
+// tagged with the item's tag, and a repeated attempt first looks for a product with
+// that tag and adopts it instead of creating a second one.
+
+const envInt = (name, fallback) => {
+  const v = Number(process.env[name]);
+  return Number.isFinite(v) && v > 0 ? v : fallback;
+};
+
+const IMPORT_CONCURRENCY = envInt("IMPORT_CONCURRENCY", 4);
+const POLL_INTERVAL_MS = envInt("IMPORT_POLL_INTERVAL_MS", 1000);
+const ITEM_LEASE_SECONDS = envInt("IMPORT_ITEM_LEASE_SECONDS", 300);
+
+const log = logger.child({ component: "import_worker" });
+
+const NOW = "strftime('%Y-%m-%d %H:%M:%f','now')";
+
+/**
+ * Shopify tag marking the product created by one import item.
+ *
+ * @param {string} jobPublicId
+ * @param {number} index
+ */
+export const importItemTag = (jobPublicId, index) =>
+  `import:${jobPublicId}:${index}`;
+
+// Lease up to `n` items: pending items of active jobs, and items whose lease expired
+// (including those of jobs cancelled meanwhile, which are only reconciled).
+const claimItems = async (n) => {
+  const claimed = await turso.execute({
+    sql: `UPDATE job_items SET status = 'processing', attempts = attempts + 1,
+            locked_until = strftime('%Y-%m-%d %H:%M:%f','now', ?), updated_at = ${NOW}
+          WHERE id IN (
+            SELECT i.id FROM job_items i JOIN jobs j ON j.id = i.job_id
+            WHERE j.type = 'product_import'
+              AND ((i.status = 'pending' AND j.status IN ('queued', 'running'))
+                OR (i.status = 'processing' AND i.locked_until < ${NOW}))
+            ORDER BY i.job_id, i.item_index
+            LIMIT ?)
+          RETURNING id`,
+    args: [`+${ITEM_LEASE_SECONDS} seconds`, n],
+  });
+  if (!claimed.rows.length) return [];
+
+  const ids = claimed.rows.map((r) => r.id);
+  const placeholders = ids.map(() => "?").join(",");
+  const [, items] = await turso.batch(
+    [
+      {
+        sql: `UPDATE jobs SET status = 'running', started_at = COALESCE(started_at, ${NOW})
+              WHERE status = 'queued' AND id IN (SELECT job_id FROM job_items WHERE id IN (${placeholders}))`,
+        args: ids,
+      },
+      {
+        sql: `SELECT i.id, i.job_id, i.item_index, i.payload, i.attempts,
+                     j.public_id AS job_public_id, j.created_by, j.status AS job_status
+              FROM job_items i JOIN jobs j ON j.id = i.job_id
+              WHERE i.id IN (${placeholders})`,
+        args: ids,
+      },
+    ],
+    "write"
+  );
+  return items.rows;
+};
+
+const processItem = async (item) => {
+  const tag = importItemTag(item.job_public_id, item.item_index);
+  let status;
+  let result;
+  try {
+    const payload = JSON.parse(item.payload);
+    // An earlier attempt may have created the product before it was interrupted (an
+    // unknown shop fails in createSingleProduct below)
+    const shop = item.attempts > 1 ? await resolveShop(payload?.shop) : null;
+    const previous = shop ? await findShopifyProductByTag(tag, shop) : null;
+    if (previous) {
+      result = await adoptShopifyProduct(previous, item.created_by, shop);
+    } else if (item.job_status === "cancelled") {
+      status = "cancelled";
+    } else {
+      result = await createSingleProduct(payload, item.created_by, {
+        tags: [tag],
+      });
+    }
+  } catch (e) {
+    result = failureResult(e);
+  }
+  status ??= result.success ? "succeeded" : "failed";
+
+  await turso.batch(
+    [
+      {
+        sql: `UPDATE job_items SET status = ?, result = ?, locked_until = NULL, updated_at = ${NOW} WHERE id = ?`,
+        args: [status, result ? JSON.stringify(result) : null, item.id],
+      },
+      {
+        sql: `UPDATE jobs SET status = 'completed', finished_at = ${NOW}
+              WHERE id = ? AND status = 'running'
+                AND NOT EXISTS (SELECT 1 FROM job_items WHERE job_id = ? AND status IN ('pending', 'processing'))`,
+        args: [item.job_id, item.job_id],
+      },
+    ],
+    "write"
+  );
+};
+
+let worker = null;
+
+/**
+ * Start polling for import items. Safe to call once per process; items are leased,
+ * so several processes can share one database.
+ *
+ * @param {{ concurrency?: number; pollIntervalMs?: number }} [options]
+ */
+export const startProductImportWorker = ({
+  concurrency = IMPORT_CONCURRENCY,
+  pollIntervalMs = POLL_INTERVAL_MS,
+} = {}) => {
+  if (worker) return worker;
+  let inFlight = 0;
+  let polling = false;
+
+  const poll = async () => {
+    if (polling) return;
+    polling = true;
+    try {
+      const free = concurrency - inFlight;
+      if (free <= 0) return;
+      const items = await claimItems(free);
+      for (const item of items) {
+        inFlight += 1;
+        processItem(item)
+          .catch((err) => log.error("Failed to process import item", { err }))
+          .finally(() => {
+            inFlight -= 1;
+            poll();
+          });
+      }
+    } catch (err) {
+      log.error("Import worker poll failed", { err });
+    } finally {
+      polling = false;
+    }
+  };
+
+  const timer = setInterval(poll, pollIntervalMs);
+  timer.unref();
+  poll();
+
+  worker = {
+    poke: poll,
+    stop: () => {
+      clearInterval(timer);
+      worker = null;
+    },
+  };
+  return worker;
+};
+
+// Check for work now instead of at the next poll (e.g. right after enqueueing a job)
+export const pokeProductImportWorker = () => {
+  worker?.poke();
+};
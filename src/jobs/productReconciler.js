@@ -0,0 +1,233 @@
+import turso from "../db.js";
+import { listShops } from "../utils/shops.js";
+
+// Reconciliation of local `products` rows with the products on Shopify.
+//
+// Every product of every shop is listed first (nothing is written if that fails part
+// way), then the local rows of each shop are compared with that shop in batches:
+// - a different Shopify title renames the local product;
+// - images are replaced by the Shopify media URLs once all media are processed, and
+//   backfilled when the local row has none (the media poller gave up);
+// - rows whose product no longer exists on Shopify are orphans: flagged
+//   (`orphaned_at`) or soft-deleted (`deleted_at`, hidden from the API);
+// - orphans found on Shopify again are restored.
+// Shopify products without a local row are only counted; they may belong to other apps.
+
+const SHOPIFY_PAGE_SIZE = 50;
+const LOCAL_BATCH_SIZE = 200;
+// Changes listed in the report; the summary always counts all of them
+const MAX_REPORTED_CHANGES = 1000;
+
+const NOW = "strftime('%Y-%m-%d %H:%M:%f','now')";
+
+const PRODUCTS_PAGE_QUERY = `query reconcileProducts($first: Int!, $after: String) {
+  products(first: $first, after: $after) {
+    pageInfo { hasNextPage endCursor }
+    edges { node { id title media(first: 10) { edges { node { ... on MediaImage { id image { url } } } } } } }
+  }
+}`;
+
+// shopify_id -> { title, images (ready URLs), pendingMedia }
+const listShopifyProducts = async (client) => {
+  const products = new Map();
+  let after = null;
+  do {
+    const data = await client.request(PRODUCTS_PAGE_QUERY, {
+      first: SHOPIFY_PAGE_SIZE,
+      after,
+    });
+    const page = data?.products;
+    for (const { node } of page?.edges ?? []) {
+      const media = (node.media?.edges ?? []).map((e) => e?.node);
+      products.set(String(node.id).split("/").pop(), {
+        title: node.title,
+        images: media.map((m) => m?.image?.url).filter(Boolean),
+        pendingMedia: media.filter((m) => m?.id && !m.image?.url).length,
+      });
+    }
+    after = page?.pageInfo?.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (after);
+  return products;
+};
+
+const sameList = (a, b) =>
+  a.length === b.length && a.every((v, i) => v === b[i]);
+
+// Changes for one local row, as report entries plus the SQL applying them
+const diffProduct = (row, remote, orphanAction) => {
+  const base = { public_id: row.public_id, shopify_id: row.shopify_id };
+
+  if (!remote) {
+    if (orphanAction === "soft_delete" && !row.deleted_at)
+      return {
+        changes: [{ ...base, action: "soft_delete", name: row.name }],
+        statements: [
+          {
+            sql: `UPDATE products SET orphaned_at = COALESCE(orphaned_at, ${NOW}), deleted_at = ${NOW}, updated_at = ${NOW} WHERE id = ?`,
+            args: [row.id],
+          },
+        ],
+      };
+    if (!row.orphaned_at)
+      return {
+        changes: [{ ...base, action: "flag_orphan", name: row.name }],
+        statements: [
+          {
+            sql: `UPDATE products SET orphaned_at = ${NOW}, updated_at = ${NOW} WHERE id = ?`,
+            args: [row.id],
+          },
+        ],
+      };
+    return { changes: [], statements: [] };
+  }
+
+  const changes = [];
+  const set = [];
+  const args = [];
+
+  if (row.orphaned_at || row.deleted_at) {
+    changes.push({ ...base, action: "restore" });
+    set.push("orphaned_at = NULL", "deleted_at = NULL");
+  }
+  if (remote.title !== row.name) {
+    changes.push({
+      ...base,
+      action: "rename",
+      from: row.name,
+      to: remote.title,
+    });
+    set.push("name = ?");
+    args.push(remote.title);
+  }
+
+  const local = row.images ? JSON.parse(row.images) : [];
+  // While Shopify is still processing media, only fill in rows that have no images yet
+  const imagesChanged =
+    remote.pendingMedia === 0
+      ? !sameList(local, remote.images)
+      : local.length === 0 && remote.images.length > 0;
+  if (imagesChanged) {
+    changes.push({
+      ...base,
+      action: local.length === 0 ? "backfill_images" : "update_images",
+      from: local,
+      to: remote.images,
+    });
+    set.push("images = ?");
+    args.push(remote.images.length ? JSON.stringify(remote.images) : null);
+  }
+
+  if (!set.length) return { changes, statements: [] };
+  return {
+    changes,
+    statements: [
+      {
+        sql: `UPDATE products SET ${set.join(", ")}, updated_at = ${NOW} WHERE id = ?`,
+        args: [...args, row.id],
+      },
+    ],
+  };
+};
+
+/**
+ * @typedef {object} ReconcileReport
+ * @property {boolean} dry_run
+ * @property {"flag" | "soft_delete"} orphan_action
+ * @property {number} shopify_products
+ * @property {number} local_products
+ * @property {{ domain: string; shopify_products: number; local_products: number }[]} shops
+ * @property {Record<string, number>} summary changes by action, plus `unchanged` and `untracked`
+ * @property {object[]} changes first MAX_REPORTED_CHANGES changes
+ * @property {boolean} truncated
+ * @property {string} started_at
+ * @property {string} finished_at
+ */
+
+/**
+ * Compare local products with their shops on Shopify and apply (or, in a dry run, only
+ * report) the differences. Products of shops that cannot be reached (the default shop
+ * without SHOPIFY_API_KEY) are left alone.
+ *
+ * @param {{ dryRun?: boolean; orphanAction?: "flag" | "soft_delete" }} [options]
+ * @returns {Promise<ReconcileReport>}
+ */
+export const reconcileProducts = async ({
+  dryRun = false,
+  orphanAction = "flag",
+} = {}) => {
+  const startedAt = new Date().toISOString();
+  const shops = [];
+  for (const shop of await listShops())
+    shops.push({ shop, remote: await listShopifyProducts(shop.client) });
+
+  const summary = {
+    rename: 0,
+    update_images: 0,
+    backfill_images: 0,
+    flag_orphan: 0,
+    soft_delete: 0,
+    restore: 0,
+    unchanged: 0,
+    untracked: 0,
+  };
+  const changes = [];
+  let changeCount = 0;
+  const shopReports = [];
+
+  for (const { shop, remote } of shops) {
+    const seen = new Set();
+    let localCount = 0;
+
+    let lastId = 0;
+    for (;;) {
+      const batch = await turso.execute({
+        sql: `SELECT id, public_id, shopify_id, name, images, orphaned_at, deleted_at
+              FROM products WHERE shop_id IS ? AND id > ? ORDER BY id LIMIT ?`,
+        args: [shop.id, lastId, LOCAL_BATCH_SIZE],
+      });
+      if (!batch.rows.length) break;
+      lastId = batch.rows[batch.rows.length - 1].id;
+      localCount += batch.rows.length;
+
+      const statements = [];
+      for (const row of batch.rows) {
+        seen.add(String(row.shopify_id));
+        const diff = diffProduct(
+          row,
+          remote.get(String(row.shopify_id)),
+          orphanAction
+        );
+        if (!diff.changes.length) summary.unchanged += 1;
+        for (const change of diff.changes) {
+          summary[change.action] += 1;
+          changeCount += 1;
+          if (changes.length < MAX_REPORTED_CHANGES)
+            changes.push({ ...change, shop: shop.domain });
+        }
+        statements.push(...diff.statements);
+      }
+      if (!dryRun && statements.length) await turso.batch(statements, "write");
+    }
+
+    for (const shopifyId of remote.keys())
+      if (!seen.has(shopifyId)) summary.untracked += 1;
+    shopReports.push({
+      domain: shop.domain,
+      shopify_products: remote.size,
+      local_products: localCount,
+    });
+  }
+
+  return {
+    dry_run: dryRun,
+    orphan_action: orphanAction,
+    shopify_products: shopReports.reduce((n, s) => n + s.shopify_products, 0),
+    local_products: shopReports.reduce((n, s) => n + s.local_products, 0),
+    shops: shopReports,
+    summary,
+    changes,
+    truncated: changeCount > changes.length,
+    started_at: startedAt,
+    finished_at: new Date().toISOString(),
+  };
+};
@@ -0,0 +1,277 @@
+import crypto from "crypto";
+import http from "http";
+import https from "https";
+import turso from "../db.js";
+import { decryptSecret } from "../utils/secretBox.js";
+import { checkWebhookUrl, publicLookup } from "../utils/webhookUrls.js";
+import { logger } from "../utils/logger.js";
+import { outgoingWebhookDeliveries } from "../utils/metrics.js";
+
+// Background dispatcher for outgoing webhooks (webhook_subscription_deliveries).
+//
+// Due deliveries are claimed with a lease, like import items, and POSTed to the
+// subscription URL. The body is signed the way Shopify signs the webhooks we receive:
+// X-Webhook-Hmac-Sha256 is the base64 HMAC-SHA256 of the raw body with the
+// subscription secret. Any 2xx answer is a success; anything else (including
+// redirects, which are not followed, and timeouts) is retried with exponential
+// backoff until OUTGOING_WEBHOOK_MAX_ATTEMPTS, after which the delivery is failed.
+// Deliveries of paused subscriptions wait until the subscription is active again.
+
+const envInt = (name, fallback) => {
+  const v = Number(process.env[name]);
+  return Number.isFinite(v) && v > 0 ? v : fallback;
+};
+
+const CONCURRENCY = envInt("OUTGOING_WEBHOOK_CONCURRENCY", 4);
+const POLL_INTERVAL_MS = envInt("OUTGOING_WEBHOOK_POLL_INTERVAL_MS", 1000);
+const TIMEOUT_MS = envInt("OUTGOING_WEBHOOK_TIMEOUT_MS", 10000);
+const MAX_ATTEMPTS = envInt("OUTGOING_WEBHOOK_MAX_ATTEMPTS", 8);
+const BACKOFF_BASE_SECONDS = envInt(
+  "OUTGOING_WEBHOOK_BACKOFF_BASE_SECONDS",
+  30
+);
+const BACKOFF_MAX_SECONDS = envInt(
+  "OUTGOING_WEBHOOK_BACKOFF_MAX_SECONDS",
+  3600
+);
+const RETENTION_DAYS = envInt("OUTGOING_WEBHOOK_RETENTION_DAYS", 30);
+// Well above TIMEOUT_MS: only a dispatcher that died mid-delivery lets it expire
+const LEASE_SECONDS = Math.ceil(TIMEOUT_MS / 1000) + 60;
+// Stored start of the receiver's response, for the delivery log
+const MAX_RESPONSE_CHARS = 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const log = logger.child({ component: "webhook_dispatcher" });
+
+const NOW = "strftime('%Y-%m-%d %H:%M:%f','now')";
+
+/**
+ * Signature header value for `body`.
+ *
+ * @param {string} secret
+ * @param {string} body
+ */
+export const signWebhookPayload = (secret, body) =>
+  crypto.createHmac("sha256", secret).update(body, "utf8").digest("base64");
+
+// Seconds to wait after failed attempt number `attempts` (1-based), +/- 10% jitter so
+// deliveries failing together do not all come back at once
+const backoffSeconds = (attempts) => {
+  const delay = Math.min(
+    BACKOFF_BASE_SECONDS * 2 ** (attempts - 1),
+    BACKOFF_MAX_SECONDS
+  );
+  return Math.round(delay * (0.9 + Math.random() * 0.2));
+};
+
+const claimDeliveries = async (n) => {
+  const claimed = await turso.execute({
+    sql: `UPDATE webhook_subscription_deliveries SET status = 'delivering', attempts = attempts + 1,
+            locked_until = strftime('%Y-%m-%d %H:%M:%f','now', ?), updated_at = ${NOW}
+          WHERE id IN (
+            SELECT d.id FROM webhook_subscription_deliveries d
+            JOIN webhook_subscriptions s ON s.id = d.subscription_id
+            WHERE s.active = 1
+              AND ((d.status = 'pending' AND d.next_attempt_at <= ${NOW})
+                OR (d.status = 'delivering' AND d.locked_until < ${NOW}))
+            ORDER BY d.next_attempt_at
+            LIMIT ?)
+          RETURNING id`,
+    args: [`+${LEASE_SECONDS} seconds`, n],
+  });
+  if (!claimed.rows.length) return [];
+
+  const ids = claimed.rows.map((r) => r.id);
+  const deliveries = await turso.execute({
+    sql: `SELECT d.id, d.public_id, d.event_id, d.event_type, d.payload, d.attempts,
+                 s.url, s.secret
+          FROM webhook_subscription_deliveries d
+          JOIN webhook_subscriptions s ON s.id = d.subscription_id
+          WHERE d.id IN (${ids.map(() => "?").join(",")})`,
+    args: ids,
+  });
+  return deliveries.rows;
+};
+
+// POST `body` to `url`; resolves to { status, text } with the start of the response.
+// The socket connects through publicLookup, to the very address that was checked, so
+// a host cannot pass the check and then resolve to an internal address (DNS rebinding).
+const post = (url, headers, body) =>
+  new Promise((resolve, reject) => {
+    const { request } = url.startsWith("https:") ? https : http;
+    const req = request(
+      url,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: publicLookup,
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+      },
+      (res) => {
+        let text = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => {
+          if (text.length < MAX_RESPONSE_CHARS) text += chunk;
+        });
+        res.on("end", () => resolve({ status: res.statusCode, text }));
+        res.on("error", reject);
+      }
+    );
+    req.on("error", reject);
+    req.end(body);
+  });
+
+// POST one delivery; resolves to { statusCode, response } or { error }
+const send = async (delivery) => {
+  const refused = await checkWebhookUrl(delivery.url);
+  if (refused) return { error: `URL ${refused}` };
+
+  try {
+    // Redirects are not followed
+    const res = await post(
+      delivery.url,
+      {
+        "Content-Type": "application/json",
+        "X-Webhook-Id": delivery.event_id,
+        "X-Webhook-Delivery-Id": delivery.public_id,
+        "X-Webhook-Event": delivery.event_type,
+        "X-Webhook-Triggered-At": JSON.parse(delivery.payload).created_at,
+        "X-Webhook-Hmac-Sha256": signWebhookPayload(
+          decryptSecret(delivery.secret),
+          delivery.payload
+        ),
+      },
+      delivery.payload
+    );
+    const ok = res.status >= 200 && res.status < 300;
+    return {
+      statusCode: res.status,
+      response: res.text.slice(0, MAX_RESPONSE_CHARS),
+      ...(!ok && { error: `HTTP ${res.status}` }),
+    };
+  } catch (e) {
+    if (e.name === "AbortError")
+      return { error: `Timed out after ${TIMEOUT_MS} ms` };
+    if (e.code === "ERR_NON_PUBLIC_ADDRESS")
+      return { error: `URL ${e.message}` };
+    return { error: String(e) };
+  }
+};
+
+const processDelivery = async (delivery) => {
+  const result = await send(delivery);
+  const common = [
+    result.statusCode ?? null,
+    result.error ?? null,
+    result.response ?? null,
+  ];
+
+  if (!result.error) {
+    outgoingWebhookDeliveries.inc({
+      event: delivery.event_type,
+      outcome: "succeeded",
+    });
+    await turso.execute({
+      sql: `UPDATE webhook_subscription_deliveries SET status = 'succeeded', last_status_code = ?,
+              last_error = ?, last_response = ?, locked_until = NULL, delivered_at = ${NOW}, updated_at = ${NOW}
+            WHERE id = ?`,
+      args: [...common, delivery.id],
+    });
+    return;
+  }
+
+  const giveUp = delivery.attempts >= MAX_ATTEMPTS;
+  outgoingWebhookDeliveries.inc({
+    event: delivery.event_type,
+    outcome: giveUp ? "failed" : "retrying",
+  });
+  await turso.execute({
+    sql: `UPDATE webhook_subscription_deliveries SET status = ?, last_status_code = ?,
+            last_error = ?, last_response = ?, locked_until = NULL,
+            next_attempt_at = CASE WHEN ? THEN NULL ELSE strftime('%Y-%m-%d %H:%M:%f','now', ?) END,
+            updated_at = ${NOW}
+          WHERE id = ?`,
+    args: [
+      giveUp ? "failed" : "pending",
+      ...common,
+      giveUp ? 1 : 0,
+      `+${backoffSeconds(delivery.attempts)} seconds`,
+      delivery.id,
+    ],
+  });
+};
+
+// Forget finished deliveries after RETENTION_DAYS
+const pruneDeliveries = () =>
+  turso
+    .execute({
+      sql: `DELETE FROM webhook_subscription_deliveries
+            WHERE status IN ('succeeded', 'failed') AND updated_at < strftime('%Y-%m-%d %H:%M:%f','now', ?)`,
+      args: [`-${RETENTION_DAYS} days`],
+    })
+    .catch((err) =>
+      log.error("Failed to prune webhook subscription deliveries", { err })
+    );
+
+let dispatcher = null;
+
+/**
+ * Start polling for due deliveries. Safe to call once per process; deliveries are
+ * leased, so several processes can share one database.
+ *
+ * @param {{ concurrency?: number; pollIntervalMs?: number }} [options]
+ */
+export const startWebhookDispatcher = ({
+  concurrency = CONCURRENCY,
+  pollIntervalMs = POLL_INTERVAL_MS,
+} = {}) => {
+  if (dispatcher) return dispatcher;
+  let inFlight = 0;
+  let polling = false;
+
+  const poll = async () => {
+    if (polling) return;
+    polling = true;
+    try {
+      const free = concurrency - inFlight;
+      if (free <= 0) return;
+      const deliveries = await claimDeliveries(free);
+      for (const delivery of deliveries) {
+        inFlight += 1;
+        processDelivery(delivery)
+          .catch((err) =>
+            log.error("Failed to process webhook delivery", { err })
+          )
+          .finally(() => {
+            inFlight -= 1;
+            poll();
+          });
+      }
+    } catch (err) {
+      log.error("Webhook dispatcher poll failed", { err });
+    } finally {
+      polling = false;
+    }
+  };
+
+  const timer = setInterval(poll, pollIntervalMs);
+  timer.unref();
+  const pruneTimer = setInterval(pruneDeliveries, PRUNE_INTERVAL_MS);
+  pruneTimer.unref();
+  poll();
+
+  dispatcher = {
+    poke: poll,
+    stop: () => {
+      clearInterval(timer);
+      clearInterval(pruneTimer);
+      dispatcher = null;
+    },
+  };
+  return dispatcher;
+};
+
+// Check for due deliveries now instead of at the next poll (e.g. right after publishing)
+export const pokeWebhookDispatcher = () => {
+  dispatcher?.poke();
+};
@@ -0,0 +1,66 @@
+import { logger } from "../utils/logger.js";
+import { httpRequestDuration, httpRequests } from "../utils/metrics.js";
+
+// One `request` log line per request once its response is sent (or the client went
+// away): method, route, status, latency and who made it. The query string is left
+// out, it may carry filters with personal data. The same figures feed the
+// http_requests_total and http_request_duration_seconds metrics.
+
+const log = logger.child({ component: "http" });
+
+// Who made the request, once auth has run
+const principalOf = (req) => {
+  if (!req.user) return null;
+  if (req.user.is_api_key)
+    return { type: "api_key", public_id: req.user.api_key_public_id };
+  return { type: "user", public_id: req.user.public_id };
+};
+
+export const accessLog = (req, res, next) => {
+  const start = process.hrtime.bigint();
+  // req.route is relative to its router, and req.baseUrl is reset once an error
+  // leaves the router: note the full pattern when the router sets req.route
+  let route;
+  let routePattern = null;
+  Object.defineProperty(req, "route", {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (r) => {
+      route = r;
+      routePattern = `${req.baseUrl}${r.path}`;
+    },
+  });
+  let logged = false;
+  const done = () => {
+    if (logged) return;
+    logged = true;
+    const status = res.writableFinished ? res.statusCode : null;
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    const fields = {
+      method: req.method,
+      // the matched route pattern (e.g. /api/products/:public_id), null if none
+      route: routePattern,
+      path: req.originalUrl.split("?")[0],
+      status,
+      duration_ms: seconds * 1000,
+      principal: principalOf(req),
+      ip: req.ip,
+      ...(status === null && { aborted: true }),
+    };
+    if (status === null || status >= 500) log.warn("request", fields);
+    else log.info("request", fields);
+
+    // unmatched paths share one series: they are arbitrary client input
+    const labels = {
+      method: req.method,
+      route: routePattern ?? "unmatched",
+      status: status ?? "aborted",
+    };
+    httpRequests.inc(labels);
+    httpRequestDuration.observe(labels, seconds);
+  };
+  res.on("finish", done);
+  res.on("close", done);
+  next();
+};
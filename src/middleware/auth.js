@@ -1,12 +1,18 @@
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
 dotenv.config();
 import turso from "../db.js";
 import { z } from "zod";
-import crypto from "crypto";
+import { findApiKey } from "../utils/apiKeys.js";
+import { apiQuota } from "../utils/rateLimit.js";
+import { apiKeyLimits } from "../utils/apiKeyUsage.js";
+import { parseScopes, requestScopeViolation } from "../utils/apiKeyScopes.js";
+import { AuthError, ForbiddenError, NotFoundError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
 
 /**
- * @typedef {{ public_id: string; username: string; role_id?: number; token_version?: number }} TokenPayload
+ * @typedef {{ public_id: string; username: string; role_id?: number; token_version?: number; session_id?: string }} TokenPayload
  */
 
 const tokenSchema = z.object({
@@ -14,102 +20,146 @@ const tokenSchema = z.object({
   username: z.string(),
   role_id: z.number().int().optional(),
   token_version: z.number().int().optional(),
+  session_id: z.string().optional(),
 });
 
 export const auth = async (req, res, next) => {
   const apiKeyHeader = req.headers["x-api-key"] || req.headers["X-API-KEY"];
   if (apiKeyHeader) {
-    try {
-      const provided = String(apiKeyHeader).trim();
-      const keyHash = crypto
-        .createHash("sha256")
-        .update(provided)
-        .digest("hex");
-      const result = await turso.execute({
-        sql: "SELECT id, public_id, owner_user_id, name, permissions, disabled FROM api_keys WHERE key_hash = ? LIMIT 1",
-        args: [keyHash],
-      });
-      const row = result.rows[0];
-      if (!row || row.disabled) {
-        return res.status(403).json({ error: "Invalid API key" });
-      }
-      req.user = {
-        id: row.owner_user_id,
-        // Do not embed internal numeric api_key id into any value that may be exposed to clients.
-        username: `api_key:${row.public_id ?? row.id}`,
-        is_api_key: true,
-        api_key_id: row.id,
-        api_key_name: row.name,
-        permissions: row.permissions ? JSON.parse(row.permissions) : [],
-      };
-      return next();
-    } catch (err) {
-      return res
-        .status(403)
-        .json({ error: "Invalid API key", details: err.message });
-    }
+    const provided = String(apiKeyHeader).trim();
+    const { row } = await findApiKey(provided);
+    if (!row || row.disabled)
+      throw new ForbiddenError("Invalid API key", { code: "invalid_api_key" });
+    if (row.expired)
+      throw new ForbiddenError("API key expired", { code: "api_key_expired" });
+
+    // IP and method scopes apply to every route; product scopes are checked in roles.js
+    const scopes = parseScopes(row.scopes);
+    const violation = requestScopeViolation(scopes, req);
+    if (violation)
+      throw new ForbiddenError(
+        violation === "ip_not_allowed"
+          ? "Forbidden: API key cannot be used from this IP address"
+          : "Forbidden: API key is read-only",
+        { code: violation }
+      );
+
+    // Track last use; skip the write when the key was seen from the same IP within the last minute
+    turso
+      .execute({
+        sql: `UPDATE api_keys SET last_used_at = strftime('%Y-%m-%d %H:%M:%f','now'), last_used_ip = ?
+              WHERE id = ? AND (last_used_at IS NULL OR last_used_ip IS NOT ?
+                OR last_used_at < strftime('%Y-%m-%d %H:%M:%f','now','-60 seconds'))`,
+        args: [req.ip ?? null, row.id, req.ip ?? null],
+      })
+      .catch((err) =>
+        logger.error("Failed to update api key last use", { err })
+      );
+
+    req.user = {
+      id: row.owner_user_id,
+      // Do not embed internal numeric api_key id into any value that may be exposed to clients.
+      username: `api_key:${row.public_id ?? row.id}`,
+      is_api_key: true,
+      api_key_id: row.id,
+      api_key_public_id: row.public_id,
+      api_key_name: row.name,
+      permissions: row.permissions ? JSON.parse(row.permissions) : [],
+      rate_limit: row.rate_limit ?? null,
+      monthly_quota: row.monthly_quota ?? null,
+      expires_at: row.expires_at ?? null,
+      scopes,
+    };
+    return apiKeyLimits(req, res, () => apiQuota(req, res, next));
   }
 
   const header = req.headers.authorization;
-  if (!header) return res.status(401).json({ error: "Missing token" });
+  if (!header) throw new AuthError("Missing token", { code: "missing_token" });
 
   const token = header.split(" ")[1];
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const parsed = tokenSchema.safeParse(decoded);
-    if (!parsed.success) {
-      return res.status(403).json({
-        error: "Invalid token payload",
-        details: z.treeifyError(parsed.error),
-      });
-    }
-
-    // Resolve internal user id from public_id stored in token
-    const publicId = parsed.data.public_id;
-    const result = await turso.execute({
-      sql: "SELECT id, token_version, role_id, username FROM users WHERE public_id = ? LIMIT 1",
-      args: [publicId],
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    throw new ForbiddenError("Invalid or expired token", {
+      code:
+        err instanceof jwt.TokenExpiredError
+          ? "token_expired"
+          : "invalid_token",
+    });
+  }
+  const parsed = tokenSchema.safeParse(decoded);
+  if (!parsed.success)
+    throw new ForbiddenError("Invalid token payload", {
+      code: "invalid_token",
+      details: z.treeifyError(parsed.error),
     });
 
-    if (!result.rows[0]) {
-      return res.status(404).json({ error: "User not found" });
-    }
+  // Resolve internal user id from public_id stored in token, along with the
+  // session the token was issued for (tokens from before sessions have none).
+  const publicId = parsed.data.public_id;
+  const sessionId = parsed.data.session_id ?? null;
+  const result = await turso.execute({
+    sql: `SELECT u.id, u.token_version, u.role_id, u.username, s.id AS session_row_id, s.revoked_at AS session_revoked_at
+          FROM users u
+          LEFT JOIN sessions s ON s.public_id = ? AND s.user_id = u.id
+          WHERE u.public_id = ? LIMIT 1`,
+    args: [sessionId, publicId],
+  });
 
-    // Check token version
-    if (
-      (result.rows[0].token_version ?? null) !==
-      (parsed.data.token_version ?? null)
-    ) {
-      return res.status(403).json({ error: "Token invalidated" });
-    }
+  if (!result.rows[0])
+    throw new NotFoundError("User not found", { code: "user_not_found" });
 
-    // Build req.user with internal id for server-side logic
-    req.user = {
-      id: result.rows[0].id,
-      public_id: publicId,
-      username: result.rows[0].username,
-      role_id: result.rows[0].role_id,
-      token_version: result.rows[0].token_version,
-    };
+  // Check token version
+  if (
+    (result.rows[0].token_version ?? null) !==
+    (parsed.data.token_version ?? null)
+  )
+    throw new ForbiddenError("Token invalidated", {
+      code: "token_invalidated",
+    });
+
+  // Check session is still active
+  if (
+    sessionId &&
+    (!result.rows[0].session_row_id || result.rows[0].session_revoked_at)
+  )
+    throw new ForbiddenError("Session revoked", { code: "session_revoked" });
+
+  // Build req.user with internal id for server-side logic
+  req.user = {
+    id: result.rows[0].id,
+    public_id: publicId,
+    username: result.rows[0].username,
+    role_id: result.rows[0].role_id,
+    token_version: result.rows[0].token_version,
+    session_id: sessionId,
+  };
+
+  return apiQuota(req, res, next);
+};
 
-    next();
-  } catch (error) {
-    // z.treeifyError expects a ZodError-like object with an `issues` array.
-    // Avoid calling it on JWT or other errors which don't have `issues`.
-    let details;
-    if (error && Array.isArray(error.issues)) {
-      try {
-        details = z.treeifyError(error);
-      } catch (e) {
-        details = String(error.message ?? error);
-      }
-    } else {
-      details = String(error?.message ?? error);
-    }
-
-    res.status(403).json({
-      error: "Invalid or expired token",
-      details,
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest();
+
+/**
+ * Guard for GET /metrics: `Authorization: Bearer <METRICS_TOKEN>`. Without a
+ * METRICS_TOKEN the endpoint is disabled.
+ */
+export const requireMetricsToken = (req, res, next) => {
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected)
+    throw new NotFoundError("Metrics are disabled", {
+      code: "metrics_disabled",
     });
-  }
+  const [scheme, token] = (req.get("authorization") || "").split(" ");
+  // compare digests: equal lengths, and no timing hint about the token
+  if (
+    scheme !== "Bearer" ||
+    !token ||
+    !crypto.timingSafeEqual(sha256(token), sha256(expected))
+  )
+    throw new AuthError("Invalid metrics token", {
+      code: "invalid_metrics_token",
+    });
+  next();
 };
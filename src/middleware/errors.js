@@ -0,0 +1,41 @@
+import { STATUS_CODES } from "http";
+import { NotFoundError, publicError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+import { authFailures } from "../utils/metrics.js";
+
+// Central error handling: every error thrown by (or passed to `next` from) a route ends
+// up here and is answered as application/problem+json (see utils/errors.js). 5xx
+// errors are logged with the request id; their internals never reach the client.
+
+// Requests no route matched
+export const notFound = (req) => {
+  throw new NotFoundError(`Cannot ${req.method} ${req.path}`, {
+    code: "route_not_found",
+  });
+};
+
+// Must be registered after every route
+export const errorHandler = (err, req, res, next) => {
+  // Too late for an error response; Express closes the connection
+  if (res.headersSent) return next(err);
+
+  const { status, ...problem } = publicError(err);
+  if (status === 401 || status === 403)
+    authFailures.inc({ reason: problem.code });
+  if (status >= 500)
+    logger.error("Request failed", {
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      err,
+    });
+  res
+    .status(status)
+    .type("application/problem+json")
+    .json({
+      type: "about:blank",
+      title: STATUS_CODES[status] ?? "Error",
+      status,
+      ...problem,
+      request_id: req.id,
+    });
+};
@@ -0,0 +1,201 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+dotenv.config();
+import turso from "../db.js";
+import { hashToken } from "../utils/tokens.js";
+import { ConflictError, ValidationError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+
+// `Idempotency-Key` support for mutating endpoints.
+//
+// The first request with a key claims a row in `idempotency_keys` for (principal, key)
+// and its response is stored there; retries with the same key and the same request get
+// that response replayed instead of running the handler again. The principal is the
+// API key, the user, or the client IP on unauthenticated routes, so keys never collide
+// across callers.
+//
+// - Reusing a key with a different request (method, path or body) is a 409.
+// - A retry arriving while the first request is still running is a 409 as well.
+// - 5xx responses are not stored: the key is released so the client can retry.
+// - Stored responses can contain secrets (new API keys), so they are encrypted with a
+//   key derived from the raw Idempotency-Key, which is itself only stored hashed.
+
+const envInt = (name, fallback) => {
+  const v = Number(process.env[name]);
+  return Number.isFinite(v) && v > 0 ? v : fallback;
+};
+
+const TTL_HOURS = envInt("IDEMPOTENCY_TTL_HOURS", 24);
+// How long a request may hold its key before a retry can take it over (e.g. after a crash)
+const LOCK_SECONDS = envInt("IDEMPOTENCY_LOCK_SECONDS", 300);
+const MAX_KEY_LENGTH = 255;
+
+const NOW = "strftime('%Y-%m-%d %H:%M:%f','now')";
+
+const principalOf = (req) => {
+  if (req.user?.is_api_key) return `api_key:${req.user.api_key_id}`;
+  if (req.user) return `user:${req.user.id}`;
+  return `ip:${req.ip}`;
+};
+
+const requestHash = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify([req.method, req.baseUrl + req.path, req.body ?? null])
+    )
+    .digest("hex");
+
+const cipherKey = (rawKey, principal) =>
+  Buffer.from(
+    crypto.hkdfSync(
+      "sha256",
+      rawKey,
+      process.env.JWT_SECRET ?? "",
+      principal,
+      32
+    )
+  );
+
+const encrypt = (value, key) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([
+    cipher.update(JSON.stringify(value), "utf8"),
+    cipher.final(),
+  ]);
+  return [iv, cipher.getAuthTag(), data]
+    .map((b) => b.toString("base64"))
+    .join(".");
+};
+
+const decrypt = (stored, key) => {
+  const [iv, tag, data] = stored
+    .split(".")
+    .map((s) => Buffer.from(s, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+  decipher.setAuthTag(tag);
+  return JSON.parse(
+    Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8")
+  );
+};
+
+/**
+ * Route middleware honouring the `Idempotency-Key` header. Mount it after `auth` (when
+ * the route has it) so the key is scoped to the caller, and before the handler.
+ * Requests without the header are passed through untouched.
+ */
+export const idempotency = async (req, res, next) => {
+  const rawKey = req.get("Idempotency-Key");
+  if (rawKey === undefined) return next();
+  if (!rawKey || rawKey.length > MAX_KEY_LENGTH)
+    throw new ValidationError(
+      `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`,
+      { code: "invalid_idempotency_key" }
+    );
+
+  const principal = principalOf(req);
+  const keyHash = hashToken(rawKey);
+  const hash = requestHash(req);
+
+  const [, claimed] = await turso.batch(
+    [
+      // expired entries (including abandoned in-progress ones) no longer count
+      {
+        sql: `DELETE FROM idempotency_keys WHERE expires_at <= ${NOW}`,
+        args: [],
+      },
+      {
+        sql: `INSERT INTO idempotency_keys (principal, key_hash, request_hash, expires_at)
+              VALUES (?, ?, ?, strftime('%Y-%m-%d %H:%M:%f','now', ?))
+              ON CONFLICT (principal, key_hash) DO NOTHING`,
+        args: [principal, keyHash, hash, `+${LOCK_SECONDS} seconds`],
+      },
+    ],
+    "write"
+  );
+
+  if (claimed.rowsAffected === 0) {
+    const existing = await turso.execute({
+      sql: "SELECT request_hash, status_code, response FROM idempotency_keys WHERE principal = ? AND key_hash = ? LIMIT 1",
+      args: [principal, keyHash],
+    });
+    const row = existing.rows[0];
+    if (!row)
+      throw new ConflictError("Idempotency-Key was just released; retry", {
+        code: "idempotency_key_released",
+      });
+    if (row.request_hash !== hash)
+      throw new ConflictError(
+        "Idempotency-Key was already used for a different request",
+        { code: "idempotency_key_reused" }
+      );
+    if (row.status_code === null)
+      throw new ConflictError(
+        "A request with this Idempotency-Key is still in progress",
+        { code: "idempotency_key_in_progress" }
+      );
+
+    const stored = decrypt(row.response, cipherKey(rawKey, principal));
+    if (stored.location) res.location(stored.location);
+    // error responses are application/problem+json
+    if (stored.type) res.type(stored.type);
+    return res
+      .status(row.status_code)
+      .set("Idempotent-Replayed", "true")
+      .json(stored.body);
+  }
+
+  const release = () =>
+    turso
+      .execute({
+        sql: "DELETE FROM idempotency_keys WHERE principal = ? AND key_hash = ? AND status_code IS NULL",
+        args: [principal, keyHash],
+      })
+      .catch((err) =>
+        logger.error("Failed to release idempotency key", { err })
+      );
+
+  // Store the response before it is sent, so a retry can never miss it
+  let settled = false;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    settled = true;
+    res.json = json;
+    const save =
+      res.statusCode >= 500
+        ? release()
+        : turso
+            .execute({
+              sql: `UPDATE idempotency_keys SET status_code = ?, response = ?,
+                      expires_at = strftime('%Y-%m-%d %H:%M:%f','now', ?)
+                    WHERE principal = ? AND key_hash = ?`,
+              args: [
+                res.statusCode,
+                encrypt(
+                  {
+                    body,
+                    location: res.get("Location") ?? null,
+                    type: res.get("Content-Type") ?? null,
+                  },
+                  cipherKey(rawKey, principal)
+                ),
+                `+${TTL_HOURS} hours`,
+                principal,
+                keyHash,
+              ],
+            })
+            .catch((err) =>
+              logger.error("Failed to store idempotent response", { err })
+            );
+    save.finally(() => json(body));
+    return res;
+  };
+  // The handler answered without res.json (e.g. an unhandled error). A client that
+  // disconnects early keeps the key locked: its handler is likely still running.
+  res.on("finish", () => {
+    if (!settled) release();
+  });
+
+  return next();
+};
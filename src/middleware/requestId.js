@@ -0,0 +1,20 @@
+import crypto from "crypto";
+import { requestContext } from "../utils/logger.js";
+
+// Id of each request, echoed in the X-Request-Id response header and in error
+// responses so a client report can be matched with the server log. A well-formed id
+// sent by the client (or a proxy in front of us) is kept. The rest of the request
+// runs in a `requestContext` holding the id, so every log line it writes (and every
+// Shopify call it makes) carries it.
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+export const requestId = (req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.id =
+    incoming && REQUEST_ID_PATTERN.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  requestContext.run({ requestId: req.id }, next);
+};
@@ -1,4 +1,10 @@
 import turso from "../db.js";
+import { AuthError, ForbiddenError } from "../utils/errors.js";
+import { getUserRolePermissions } from "../utils/permissions.js";
+import {
+  productScopeCondition,
+  productInScope,
+} from "../utils/apiKeyScopes.js";
 
 /**
  * @typedef {{ id:number; username:string }} ReqUser
@@ -6,7 +12,7 @@ import turso from "../db.js";
 
 export const requireRole = (allowedRoles) => {
   return async (req, res, next) => {
-    if (!req.user) return res.status(401).json({ error: "Unauthorized" });
+    if (!req.user) throw new AuthError("Unauthorized");
 
     // If this is an API key, evaluate permissions from req.user.permissions
     if (req.user.is_api_key) {
@@ -28,23 +34,22 @@ export const requireRole = (allowedRoles) => {
         }
       }
 
-      return res
-        .status(403)
-        .json({ error: "Forbidden: insufficient permissions (api key)" });
+      throw new ForbiddenError(
+        "Forbidden: insufficient permissions (api key)",
+        {
+          code: "insufficient_permissions",
+        }
+      );
     }
 
-    const result = await turso.execute({
-      sql: "SELECT r.*, r.name AS role_name FROM roles r JOIN users u ON u.role_id = r.id WHERE u.id = ?",
-      args: [req.user.id],
-    });
-    const rolePermissions = result.rows[0];
+    const rolePermissions = await getUserRolePermissions(req.user.id);
 
     if (
       !rolePermissions ||
       (rolePermissions.role_name &&
         rolePermissions.role_name.toLowerCase() === "ban")
     ) {
-      return res.status(403).json({ error: "Forbidden" });
+      throw new ForbiddenError();
     }
 
     for (const reqPerm of allowedRoles) {
@@ -57,22 +62,77 @@ export const requireRole = (allowedRoles) => {
         continue;
       }
 
-      const col = `can_${reqPerm}`;
-      const val = rolePermissions[col];
-
-      // accept numeric 1, string "1", "TRUE", boolean true
-      if (
-        val === 1 ||
-        val === "1" ||
-        val === true ||
-        String(val).toUpperCase() === "TRUE"
-      ) {
+      // permission names are granted to roles through role_permissions
+      if (rolePermissions.permissions.includes(reqPerm)) {
         return next();
       }
     }
 
-    return res
-      .status(403)
-      .json({ error: "Forbidden: insufficient permissions" });
+    throw new ForbiddenError("Forbidden: insufficient permissions", {
+      code: "insufficient_permissions",
+    });
+  };
+};
+
+/**
+ * Whether the requester holds any of `permissions`, for checks that depend on the
+ * resource (e.g. acting on someone else's product) and so cannot be done by `requireRole`.
+ *
+ * @param {import("express").Request} req
+ * @param {string[]} permissions
+ * @returns {Promise<boolean>}
+ */
+export const hasPermission = async (req, permissions) => {
+  if (req.user.is_api_key) {
+    const perms = Array.isArray(req.user.permissions)
+      ? req.user.permissions
+      : [];
+    return perms.includes("all") || permissions.some((p) => perms.includes(p));
+  }
+  const rolePermissions = await getUserRolePermissions(req.user.id);
+  if (!rolePermissions || rolePermissions.role_name?.toLowerCase() === "ban")
+    return false;
+  return permissions.some((p) => rolePermissions.permissions.includes(p));
+};
+
+/**
+ * Enforce an API key's product scope. Runs after `auth` (and `requireRole`).
+ *   "list":   sets `req.productScope` ({ sql, args }) for the controller's WHERE clause
+ *   "item":   the product in `req.params.public_id` must be in scope
+ *   "create": keys limited to a list of products cannot create new ones
+ * Requests made with a user token are never restricted here.
+ *
+ * @param {"list" | "item" | "create"} mode
+ */
+export const requireProductScope = (mode) => {
+  return async (req, res, next) => {
+    const scopes = req.user?.is_api_key ? req.user.scopes : null;
+    req.productScope = productScopeCondition(scopes, req.user?.id);
+    if (!scopes?.products) return next();
+
+    if (mode === "create") {
+      if (Array.isArray(scopes.products))
+        throw new ForbiddenError(
+          "Forbidden: API key is limited to specific products",
+          { code: "product_not_allowed" }
+        );
+      return next();
+    }
+
+    if (mode === "item") {
+      const result = await turso.execute({
+        sql: "SELECT public_id, created_by FROM products WHERE public_id = ? AND deleted_at IS NULL LIMIT 1",
+        args: [req.params.public_id],
+      });
+      const product = result.rows[0];
+      // missing products fall through to the controller's 404
+      if (product && !productInScope(scopes, req.user.id, product))
+        throw new ForbiddenError(
+          "Forbidden: product is outside the API key's scope",
+          { code: "product_not_allowed" }
+        );
+    }
+
+    return next();
   };
 };
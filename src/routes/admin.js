@@ -0,0 +1,95 @@
+import express from "express";
+import { z } from "zod";
+import { ValidationError } from "../utils/errors.js";
+import { auth } from "../middleware/auth.js";
+import { requireRole } from "../middleware/roles.js";
+import {
+  reconcile,
+  registerShop,
+  getShops,
+  updateShop,
+  deleteShop,
+} from "../controllers/adminController.js";
+
+const router = express.Router();
+
+const reconcileSchema = z.object({
+  dry_run: z.boolean().default(false),
+  orphan_action: z.enum(["flag", "soft_delete"]).default("flag"),
+});
+
+// Sync local products with Shopify and return the diff report (admin only).
+// Body: { dry_run?: boolean, orphan_action?: "flag" | "soft_delete" }
+router.post(
+  "/admin/reconcile",
+  auth,
+  requireRole(["role:admin"]),
+  (req, res, next) => {
+    const parsed = reconcileSchema.safeParse(req.body ?? {});
+    if (!parsed.success) throw new ValidationError(parsed.error);
+    req.body = parsed.data;
+    return reconcile(req, res, next);
+  }
+);
+
+const shopDomain = z.string().regex(/^[a-z0-9][a-z0-9-]*\.myshopify\.com$/i, {
+  message: "domain must look like my-store.myshopify.com",
+});
+const locationId = z.string().regex(/^gid:\/\/shopify\/Location\/\d+$/, {
+  message:
+    "location_id must be a Shopify Location GID like gid://shopify/Location/12345",
+});
+
+const registerShopSchema = z.object({
+  domain: shopDomain,
+  access_token: z.string().min(1),
+  webhook_secret: z.string().min(1),
+  location_id: locationId.optional(),
+});
+
+const updateShopSchema = z
+  .object({
+    access_token: z.string().min(1).optional(),
+    webhook_secret: z.string().min(1).optional(),
+    location_id: locationId.nullable().optional(),
+  })
+  .refine((obj) => Object.keys(obj).length > 0, {
+    message:
+      "Provide at least one of access_token, webhook_secret or location_id",
+  });
+
+const validateBody = (schema) => (req, res, next) => {
+  const parsed = schema.safeParse(req.body ?? {});
+  if (!parsed.success) throw new ValidationError(parsed.error);
+  req.body = parsed.data;
+  return next();
+};
+
+// Shopify stores besides the default one (admin only). Tokens and secrets are stored
+// encrypted and never returned.
+// Body: { domain, access_token, webhook_secret, location_id? }
+router.post(
+  "/admin/shops",
+  auth,
+  requireRole(["role:admin"]),
+  validateBody(registerShopSchema),
+  registerShop
+);
+router.get("/admin/shops", auth, requireRole(["role:admin"]), getShops);
+// Body: { access_token?, webhook_secret?, location_id? }
+router.patch(
+  "/admin/shops/:domain",
+  auth,
+  requireRole(["role:admin"]),
+  validateBody(updateShopSchema),
+  updateShop
+);
+// Only shops without products can be removed
+router.delete(
+  "/admin/shops/:domain",
+  auth,
+  requireRole(["role:admin"]),
+  deleteShop
+);
+
+export default router;
@@ -0,0 +1,56 @@
+import express from "express";
+import { z } from "zod";
+import { auth } from "../middleware/auth.js";
+import { requireRole, requireProductScope } from "../middleware/roles.js";
+import { validateListQuery } from "../utils/listQuery.js";
+import { getSalesAnalytics } from "../controllers/analyticsController.js";
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// At most ~5 years of daily buckets in one response
+const MAX_RANGE_MS = 5 * 366 * DAY_MS;
+
+// No sales are older than this
+const MIN_DATE = new Date("2000-01-01T00:00:00Z");
+
+const dateSchema = z.coerce
+  .date()
+  .min(MIN_DATE, { message: "Dates before 2000-01-01 are not supported" });
+
+// The range is checked once defaulted, so a lone `from` or `to` is bounded too
+const salesQuerySchema = z
+  .object({
+    from: dateSchema.optional(), // default: 30 days before `to`
+    to: dateSchema.optional(), // default: now
+    interval: z.enum(["day", "week", "month"]).default("day"),
+  })
+  .transform((q) => {
+    const to = q.to ?? new Date();
+    return {
+      ...q,
+      to,
+      from: q.from ?? new Date(to.getTime() - 30 * DAY_MS),
+    };
+  })
+  .refine((q) => q.from < q.to, {
+    message: "`from` must be before `to`",
+    path: ["from"],
+  })
+  .refine((q) => q.to - q.from <= MAX_RANGE_MS, {
+    message: "Range is too long",
+    path: ["from"],
+  });
+
+// Sales of your products over time, from the sales ledger
+router.get(
+  "/analytics/sales",
+  auth,
+  requireRole(["get_my_products"]),
+  requireProductScope("list"),
+  validateListQuery(salesQuerySchema),
+  getSalesAnalytics
+);
+
+export default router;
@@ -1,20 +1,64 @@
 import express from "express";
 import { auth } from "../middleware/auth.js";
 import { requireRole } from "../middleware/roles.js";
+import { idempotency } from "../middleware/idempotency.js";
 import {
   createApiKeys,
   listApiKeys,
   deleteApiKeys,
+  getApiKeyUsage,
+  updateApiKey,
+  rotateApiKey,
+  revokeLeakedApiKey,
 } from "../controllers/apiKeysController.js";
+import { ipLimit } from "../utils/rateLimit.js";
 
 const router = express.Router();
 
-// Admin-only: create one or many API keys (each item has name + optional permissions array)
-router.post("/api-keys", auth, requireRole(["create_api_keys"]), createApiKeys);
+// Admin-only: create one or many API keys (each item has name + optional permissions array).
+// Honours Idempotency-Key.
+router.post(
+  "/api-keys",
+  auth,
+  requireRole(["create_api_keys"]),
+  idempotency,
+  createApiKeys
+);
 
 // Admin-only: list API keys created by the logged-in admin
 router.get("/api-keys", auth, requireRole(["read_api_keys"]), listApiKeys);
 
+// Public: disable a leaked key. Body: { key: "<raw key>" }
+router.post(
+  "/api-keys/revoke-leaked",
+  ipLimit({ name: "revoke_leaked", windowMs: 60 * 1000, limit: 10 }),
+  revokeLeakedApiKey
+);
+
+// Usage counters and limits of one of your keys
+router.get(
+  "/api-keys/:public_id/usage",
+  auth,
+  requireRole(["read_api_keys"]),
+  getApiKeyUsage
+);
+
+// Rename, disable/enable or narrow the permissions of one of your keys
+router.patch(
+  "/api-keys/:public_id",
+  auth,
+  requireRole(["update_api_keys"]),
+  updateApiKey
+);
+
+// Issue a new secret; body: { grace_period_seconds? } during which the old secret still works
+router.post(
+  "/api-keys/:public_id/rotate",
+  auth,
+  requireRole(["update_api_keys"]),
+  rotateApiKey
+);
+
 // Admin-only: delete one-or-many api keys (body: { public_ids: ["pub_abc","pub_def"] })
 router.delete(
   "/api-keys",
@@ -0,0 +1,28 @@
+import express from "express";
+import { z } from "zod";
+import { ValidationError } from "../utils/errors.js";
+import { auth } from "../middleware/auth.js";
+import { requireRole } from "../middleware/roles.js";
+import { getAuditEvents } from "../controllers/auditController.js";
+
+const router = express.Router();
+
+const auditQuerySchema = z.object({
+  actor: z.string().min(1).optional(),
+  action: z.string().min(1).optional(),
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+  cursor: z.string().min(1).optional(),
+  limit: z.coerce.number().int().min(1).max(200).default(50),
+});
+
+// Query the audit log (admin only).
+// Filters: actor (public_id), action (exact or "family.*"), from/to (ISO dates), cursor, limit.
+router.get("/audit", auth, requireRole(["role:admin"]), (req, res, next) => {
+  const parsed = auditQuerySchema.safeParse(req.query);
+  if (!parsed.success) throw new ValidationError(parsed.error);
+  req.validatedQuery = parsed.data;
+  return getAuditEvents(req, res, next);
+});
+
+export default router;
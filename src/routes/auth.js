@@ -1,7 +1,13 @@
 import express from "express";
 import { z } from "zod";
+import { ValidationError } from "../utils/errors.js";
 import { limitLoginAttempts } from "../utils/rateLimit.js";
-import { register, login } from "../controllers/authController.js";
+import { idempotency } from "../middleware/idempotency.js";
+import {
+  register,
+  login,
+  refreshToken,
+} from "../controllers/authController.js";
 
 const router = express.Router();
 
@@ -17,11 +23,14 @@ const loginSchema = z.object({
   password: z.string().min(1),
 });
 
-// Register user
-router.post("/register", (req, res, next) => {
+const refreshSchema = z.object({
+  refresh_token: z.string().min(1),
+});
+
+// Register user (honours Idempotency-Key)
+router.post("/register", idempotency, (req, res, next) => {
   const parsed = registerSchema.safeParse(req.body);
-  if (!parsed.success)
-    return res.status(400).json({ error: z.treeifyError(parsed.error) });
+  if (!parsed.success) throw new ValidationError(parsed.error);
   req.body = parsed.data;
   return register(req, res, next);
 });
@@ -29,10 +38,17 @@ router.post("/register", (req, res, next) => {
 // Login user (with rate limit)
 router.post("/login", limitLoginAttempts, (req, res, next) => {
   const parsed = loginSchema.safeParse(req.body);
-  if (!parsed.success)
-    return res.status(400).json({ error: z.treeifyError(parsed.error) });
+  if (!parsed.success) throw new ValidationError(parsed.error);
   req.body = parsed.data;
   return login(req, res, next);
 });
 
+// Rotate refresh token: returns a new access token + refresh token pair
+router.post("/token/refresh", (req, res, next) => {
+  const parsed = refreshSchema.safeParse(req.body);
+  if (!parsed.success) throw new ValidationError(parsed.error);
+  req.body = parsed.data;
+  return refreshToken(req, res, next);
+});
+
 export default router;
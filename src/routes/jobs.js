@@ -0,0 +1,26 @@
+import express from "express";
+import { auth } from "../middleware/auth.js";
+import { requireRole } from "../middleware/roles.js";
+import {
+  getJob,
+  cancelJob,
+  retryFailedJobItems,
+} from "../controllers/jobsController.js";
+
+const router = express.Router();
+
+// Progress and per-item results of one of your jobs
+router.get("/jobs/:id", auth, getJob);
+
+// Cancel the pending items of one of your jobs
+router.post("/jobs/:id/cancel", auth, cancelJob);
+
+// Re-queue the failed items of one of your import jobs (requires post_products)
+router.post(
+  "/jobs/:id/retry-failed",
+  auth,
+  requireRole(["post_products"]),
+  retryFailedJobItems
+);
+
+export default router;
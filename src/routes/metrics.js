@@ -0,0 +1,12 @@
+import express from "express";
+import { requireMetricsToken } from "../middleware/auth.js";
+import { renderMetrics } from "../utils/metrics.js";
+
+const router = express.Router();
+
+// Prometheus scrape endpoint (text exposition format), see utils/metrics.js
+router.get("/metrics", requireMetricsToken, (req, res) => {
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
+export default router;
@@ -1,18 +1,57 @@
 import express from "express";
+import { z } from "zod";
 import { auth } from "../middleware/auth.js";
-import { requireRole } from "../middleware/roles.js";
+import { requireRole, requireProductScope } from "../middleware/roles.js";
+import { idempotency } from "../middleware/idempotency.js";
 import {
   createProduct,
   getMyProducts,
   getProducts,
   getMyBestsellers,
+  getProduct,
+  updateProduct,
+  deleteProduct,
+  parseProductImport,
+  exportProducts,
 } from "../controllers/productsController.js";
-import { handleShopifyOrderCreate } from "../controllers/webhooksController.js";
+import {
+  listVariants,
+  createVariants,
+  updateVariants,
+  adjustInventory,
+} from "../controllers/variantsController.js";
+import {
+  listMedia,
+  createMediaUploads,
+  updateMedia,
+} from "../controllers/mediaController.js";
+import { createProductImportJob } from "../controllers/jobsController.js";
+import { IMPORT_CONTENT_TYPES } from "../utils/productFiles.js";
+import { paginationSchema, validateListQuery } from "../utils/listQuery.js";
+import {
+  handleShopifyOrderCreate,
+  dispatchShopifyWebhook,
+} from "../controllers/webhooksController.js";
+import { verifyShopifyWebhook } from "../middleware/shopifyWebhook.js";
 
 const router = express.Router();
 
+// Query string of the product listings: limit, cursor, sort (name, created_at or
+// sales_count; "-" prefix for descending) and filters
+const listProductsSchema = paginationSchema(
+  ["name", "created_at", "sales_count"],
+  "-created_at"
+).extend({
+  name: z.string().min(1).optional(), // substring
+  created_by: z.string().min(1).optional(), // user public_id
+  created_from: z.coerce.date().optional(),
+  created_to: z.coerce.date().optional(),
+  min_sales: z.coerce.number().int().nonnegative().optional(),
+  shop: z.string().min(1).optional(), // shop domain
+});
+
 // Create product (Shopify + local record).
-// If the request includes images, require the additional permission `can_upload_media`.
+// If the request includes images, require the additional permission `upload_media`.
 const requireUploadIfImages = (req, res, next) => {
   // If body is an array of products, require upload permission when any item contains images.
   if (Array.isArray(req.body)) {
@@ -28,40 +67,211 @@ const requireUploadIfImages = (req, res, next) => {
     Array.isArray(req.body.images) &&
     req.body.images.length > 0
   ) {
-    // `requireRole` expects permission names like 'upload_media' -> role column `can_upload_media`
+    // `requireRole` expects permission names like 'upload_media' granted via role_permissions
     return requireRole(["upload_media"])(req, res, next);
   }
   return next();
 };
 
+// Adding images to an existing product (POST /products/:public_id/media) needs
+// upload_media as well, like creating a product with images.
+const requireUploadIfAddingMedia = (req, res, next) => {
+  if (Array.isArray(req.body?.add) && req.body.add.length > 0)
+    return requireRole(["upload_media"])(req, res, next);
+  return next();
+};
+
+// Create one product or an array of them. Honours Idempotency-Key, like the bulk and
+// import routes below.
 router.post(
   "/products",
   auth,
   requireRole(["post_products"]),
+  requireProductScope("create"),
+  idempotency,
   requireUploadIfImages,
   createProduct
 );
 
-// Get products created by the logged-in user (requires can_get_my_products)
+// Enqueue a bulk import (array of products) as a background job; poll GET /jobs/:id
+router.post(
+  "/products/bulk",
+  auth,
+  requireRole(["post_products"]),
+  requireProductScope("create"),
+  idempotency,
+  requireUploadIfImages,
+  createProductImportJob
+);
+
+// Import a CSV or JSON lines file of products as a bulk import job. Rows are validated
+// first; any invalid row rejects the whole file with line-numbered errors.
+router.post(
+  "/products/import",
+  auth,
+  requireRole(["post_products"]),
+  requireProductScope("create"),
+  express.text({
+    type: Object.keys(IMPORT_CONTENT_TYPES),
+    limit: process.env.IMPORT_FILE_LIMIT || "5mb",
+  }),
+  idempotency,
+  parseProductImport,
+  requireUploadIfImages,
+  createProductImportJob
+);
+
+// Download your products as CSV (default) or JSON lines
+router.get(
+  "/products/export",
+  auth,
+  requireRole(["get_my_products"]),
+  requireProductScope("list"),
+  validateListQuery(
+    z.object({ format: z.enum(["csv", "ndjson"]).default("csv") })
+  ),
+  exportProducts
+);
+
+// Get products created by the logged-in user (requires get_my_products)
 router.get(
   "/my-products",
   auth,
   requireRole(["get_my_products"]),
+  requireProductScope("list"),
+  validateListQuery(listProductsSchema),
   getMyProducts
 );
 
-// Premium users: get your products sorted by sales_count desc
+// Premium users: get your products sorted by sales, all time or over ?period=
 router.get(
   "/my-bestsellers",
   auth,
   requireRole(["get_bestsellers"]),
+  requireProductScope("list"),
+  validateListQuery(
+    z.object({
+      // sales over the last <n> days, weeks or months; omitted = all time
+      period: z
+        .string()
+        .regex(/^[1-9]\d{0,3}[dwm]$/, "Use e.g. 7d, 4w or 12m")
+        .optional(),
+    })
+  ),
   getMyBestsellers
 );
 
-// Get all products (requires can_get_products)
-router.get("/products", auth, requireRole(["get_products"]), getProducts);
+// Get all products (requires get_products); scoped API keys only see their products
+router.get(
+  "/products",
+  auth,
+  requireRole(["get_products"]),
+  requireProductScope("list"),
+  validateListQuery(listProductsSchema),
+  getProducts
+);
+
+// Single product by public_id. Creators can read, update and delete their own products;
+// other users' products need get_products (read) or manage_all_products.
+router.get(
+  "/products/:public_id",
+  auth,
+  requireRole(["get_products", "get_my_products", "manage_all_products"]),
+  requireProductScope("item"),
+  getProduct
+);
+router.patch(
+  "/products/:public_id",
+  auth,
+  requireRole(["post_products", "manage_all_products"]),
+  requireProductScope("item"),
+  updateProduct
+);
+router.delete(
+  "/products/:public_id",
+  auth,
+  requireRole(["post_products", "manage_all_products"]),
+  requireProductScope("item"),
+  deleteProduct
+);
+
+// Variants of a product: options, price, SKU and stock per location. Same permissions
+// as the product itself (read as GET, change as PATCH /products/:public_id).
+router.get(
+  "/products/:public_id/variants",
+  auth,
+  requireRole(["get_products", "get_my_products", "manage_all_products"]),
+  requireProductScope("item"),
+  listVariants
+);
+// Add variants; body: one variant or an array. Honours Idempotency-Key.
+router.post(
+  "/products/:public_id/variants",
+  auth,
+  requireRole(["post_products", "manage_all_products"]),
+  requireProductScope("item"),
+  idempotency,
+  createVariants
+);
+// Change options / price / sku of variants; body: { id, ... } or an array of them
+router.patch(
+  "/products/:public_id/variants",
+  auth,
+  requireRole(["post_products", "manage_all_products"]),
+  requireProductScope("item"),
+  updateVariants
+);
+// Adjust ({ variant_id, delta }) or set ({ variant_id, available }) stock at a location.
+// Honours Idempotency-Key, so a retried adjustment is not applied twice.
+router.post(
+  "/products/:public_id/inventory",
+  auth,
+  requireRole(["post_products", "manage_all_products"]),
+  requireProductScope("item"),
+  idempotency,
+  adjustInventory
+);
 
-// Shopify webhook for new orders: public endpoint, verifies HMAC & updates sales_count
-router.post("/webhooks/shopify-sales", handleShopifyOrderCreate);
+// Images of a product with their processing status
+router.get(
+  "/products/:public_id/media",
+  auth,
+  requireRole(["get_products", "get_my_products", "manage_all_products"]),
+  requireProductScope("item"),
+  listMedia
+);
+// Add (by URL or staged upload), remove, re-caption and reorder images. Honours
+// Idempotency-Key.
+router.post(
+  "/products/:public_id/media",
+  auth,
+  requireRole(["post_products", "manage_all_products"]),
+  requireProductScope("item"),
+  idempotency,
+  requireUploadIfAddingMedia,
+  updateMedia
+);
+// Staged upload targets: upload the files straight to Shopify, then add them by
+// upload_id with POST /products/:public_id/media
+router.post(
+  "/products/:public_id/media/uploads",
+  auth,
+  requireRole(["post_products", "manage_all_products"]),
+  requireRole(["upload_media"]),
+  requireProductScope("item"),
+  idempotency,
+  createMediaUploads
+);
+
+// Shopify webhooks: public endpoints, verified by HMAC.
+// Generic endpoint dispatching on X-Shopify-Topic (orders, refunds, products, app/uninstalled)
+router.post("/webhooks/shopify", verifyShopifyWebhook, dispatchShopifyWebhook);
+
+// Older orders/create-only endpoint: updates sales_count
+router.post(
+  "/webhooks/shopify-sales",
+  verifyShopifyWebhook,
+  handleShopifyOrderCreate
+);
 
 export default router;
@@ -0,0 +1,101 @@
+import express from "express";
+import { z } from "zod";
+import { ValidationError } from "../utils/errors.js";
+import { auth } from "../middleware/auth.js";
+import { requireRole } from "../middleware/roles.js";
+import {
+  listRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  grantRolePermission,
+  revokeRolePermission,
+  listPermissions,
+  createPermission,
+} from "../controllers/rolesController.js";
+
+const router = express.Router();
+
+// Permission names are checked by `requireRole`; "all" is reserved for API keys.
+const permissionName = z
+  .string()
+  .regex(/^[a-z][a-z0-9_]*$/, {
+    message: "permission names are lowercase snake_case",
+  })
+  .refine((v) => v !== "all", { message: '"all" is reserved' });
+
+// Caps on API key limits members of the role may grant; null means uncapped
+const limitCap = z.number().int().nonnegative().nullable();
+
+const createRoleSchema = z.object({
+  name: z.string().min(1),
+  description: z.string().optional(),
+  permissions: z.array(permissionName).optional(),
+  max_api_key_rate_limit: limitCap.optional(),
+  max_api_key_monthly_quota: limitCap.optional(),
+});
+
+const updateRoleSchema = z
+  .object({
+    name: z.string().min(1).optional(),
+    description: z.string().optional(),
+    permissions: z.array(permissionName).optional(),
+    max_api_key_rate_limit: limitCap.optional(),
+    max_api_key_monthly_quota: limitCap.optional(),
+  })
+  .refine((obj) => Object.keys(obj).length > 0, {
+    message: "Provide at least one field to update",
+  });
+
+const createPermissionSchema = z.object({
+  name: permissionName,
+  description: z.string().optional(),
+  is_default: z.boolean().optional(),
+});
+
+const validate = (schema, handler) => (req, res, next) => {
+  const parsed = schema.safeParse(req.body);
+  if (!parsed.success) throw new ValidationError(parsed.error);
+  req.body = parsed.data;
+  return handler(req, res, next);
+};
+
+const adminOnly = [auth, requireRole(["role:admin"])];
+
+// List roles with their permissions (admin only)
+router.get("/roles", ...adminOnly, listRoles);
+
+// Create a role (admin only)
+router.post("/roles", ...adminOnly, validate(createRoleSchema, createRole));
+
+// Rename a role, change its description or replace its permissions (admin only)
+router.patch(
+  "/roles/:name",
+  ...adminOnly,
+  validate(updateRoleSchema, updateRole)
+);
+
+// Delete a role no user is assigned to (admin only)
+router.delete("/roles/:name", ...adminOnly, deleteRole);
+
+// Grant / revoke a single permission on a role (admin only)
+router.put(
+  "/roles/:name/permissions/:permission",
+  ...adminOnly,
+  grantRolePermission
+);
+router.delete(
+  "/roles/:name/permissions/:permission",
+  ...adminOnly,
+  revokeRolePermission
+);
+
+// List / register permissions (admin only)
+router.get("/permissions", ...adminOnly, listPermissions);
+router.post(
+  "/permissions",
+  ...adminOnly,
+  validate(createPermissionSchema, createPermission)
+);
+
+export default router;
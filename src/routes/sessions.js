@@ -0,0 +1,31 @@
+import express from "express";
+import { auth } from "../middleware/auth.js";
+import { ForbiddenError } from "../utils/errors.js";
+import {
+  listSessions,
+  deleteSession,
+  deleteSessions,
+} from "../controllers/sessionsController.js";
+
+const router = express.Router();
+
+// Sessions belong to user accounts; API keys have no sessions to manage.
+const requireUserAccount = (req, res, next) => {
+  if (req.user?.is_api_key)
+    throw new ForbiddenError(
+      "Forbidden: sessions are not available to api keys",
+      { code: "api_key_not_allowed" }
+    );
+  return next();
+};
+
+// List my active sessions
+router.get("/sessions", auth, requireUserAccount, listSessions);
+
+// Revoke all my sessions (logout everywhere)
+router.delete("/sessions", auth, requireUserAccount, deleteSessions);
+
+// Revoke one of my sessions
+router.delete("/sessions/:public_id", auth, requireUserAccount, deleteSession);
+
+export default router;
@@ -1,7 +1,9 @@
 import express from "express";
 import { z } from "zod";
+import { ValidationError } from "../utils/errors.js";
 import { auth } from "../middleware/auth.js";
 import { requireRole } from "../middleware/roles.js";
+import { paginationSchema, validateListQuery } from "../utils/listQuery.js";
 import {
   getMyUser,
   getUsers,
@@ -15,6 +17,16 @@ const changePasswordSchema = z.object({
   password: z.string().min(6),
 });
 
+const listUsersSchema = paginationSchema(
+  ["username", "created_at"],
+  "created_at"
+).extend({
+  name: z.string().min(1).optional(), // username substring
+  role: z.string().min(1).optional(),
+  created_from: z.coerce.date().optional(),
+  created_to: z.coerce.date().optional(),
+});
+
 const changeRoleSchema = z.object({
   userPublicId: z.string().min(1),
   newRole: z.string().min(1),
@@ -23,14 +35,19 @@ const changeRoleSchema = z.object({
 // Get my user info
 router.get("/my-user", auth, requireRole(["get_my_user"]), getMyUser);
 
-// Get all users (admin only)
-router.get("/users", auth, requireRole(["get_users"]), getUsers);
+// List users (admin only), paginated; see listUsersSchema for filters and sorts
+router.get(
+  "/users",
+  auth,
+  requireRole(["get_users"]),
+  validateListQuery(listUsersSchema),
+  getUsers
+);
 
 // Change password and expire JWT immediately
 router.post("/change-password", auth, (req, res, next) => {
   const parsed = changePasswordSchema.safeParse(req.body);
-  if (!parsed.success)
-    return res.status(400).json({ error: z.treeifyError(parsed.error) });
+  if (!parsed.success) throw new ValidationError(parsed.error);
   req.body = parsed.data;
   return changePassword(req, res, next);
 });
@@ -42,8 +59,7 @@ router.post(
   requireRole(["role:admin"]),
   (req, res, next) => {
     const parsed = changeRoleSchema.safeParse(req.body);
-    if (!parsed.success)
-      return res.status(400).json({ error: z.treeifyError(parsed.error) });
+    if (!parsed.success) throw new ValidationError(parsed.error);
     req.body = parsed.data;
     return changeRole(req, res, next);
   }
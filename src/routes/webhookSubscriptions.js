@@ -0,0 +1,92 @@
+import express from "express";
+import { z } from "zod";
+import { auth } from "../middleware/auth.js";
+import { requireRole } from "../middleware/roles.js";
+import { idempotency } from "../middleware/idempotency.js";
+import {
+  createWebhookSubscription,
+  listWebhookSubscriptions,
+  getWebhookSubscription,
+  updateWebhookSubscription,
+  deleteWebhookSubscription,
+  listWebhookDeliveries,
+  getWebhookDelivery,
+  redeliverWebhook,
+} from "../controllers/webhookSubscriptionsController.js";
+import { paginationSchema, validateListQuery } from "../utils/listQuery.js";
+
+const router = express.Router();
+
+const listDeliveriesSchema = paginationSchema(
+  ["created_at"],
+  "-created_at"
+).extend({
+  status: z.enum(["pending", "delivering", "succeeded", "failed"]).optional(),
+  event_type: z.string().min(1).optional(),
+});
+
+// Register an endpoint for outgoing webhooks; body: { url, events, description? }.
+// The response holds the signing secret (shown once). Honours Idempotency-Key.
+router.post(
+  "/webhook-subscriptions",
+  auth,
+  requireRole(["manage_webhook_subscriptions"]),
+  idempotency,
+  createWebhookSubscription
+);
+
+// Your subscriptions
+router.get(
+  "/webhook-subscriptions",
+  auth,
+  requireRole(["manage_webhook_subscriptions"]),
+  listWebhookSubscriptions
+);
+
+router.get(
+  "/webhook-subscriptions/:id",
+  auth,
+  requireRole(["manage_webhook_subscriptions"]),
+  getWebhookSubscription
+);
+
+// Change url / events / description, or pause and resume with { active }
+router.patch(
+  "/webhook-subscriptions/:id",
+  auth,
+  requireRole(["manage_webhook_subscriptions"]),
+  updateWebhookSubscription
+);
+
+router.delete(
+  "/webhook-subscriptions/:id",
+  auth,
+  requireRole(["manage_webhook_subscriptions"]),
+  deleteWebhookSubscription
+);
+
+// Delivery log, newest first; filters: status, event_type
+router.get(
+  "/webhook-subscriptions/:id/deliveries",
+  auth,
+  requireRole(["manage_webhook_subscriptions"]),
+  validateListQuery(listDeliveriesSchema),
+  listWebhookDeliveries
+);
+
+router.get(
+  "/webhook-subscriptions/:id/deliveries/:delivery_id",
+  auth,
+  requireRole(["manage_webhook_subscriptions"]),
+  getWebhookDelivery
+);
+
+// Queue the delivery's event again
+router.post(
+  "/webhook-subscriptions/:id/deliveries/:delivery_id/redeliver",
+  auth,
+  requireRole(["manage_webhook_subscriptions"]),
+  redeliverWebhook
+);
+
+export default router;
@@ -0,0 +1,146 @@
+import { z } from "zod";
+import { parseCidr, ipInRanges, cidrWithin } from "./cidr.js";
+
+// Scopes narrow what an API key can reach on top of its permission names:
+//   products:  "own" (products created by the key's owner) or a list of product public_ids
+//   ip_ranges: CIDR ranges the key may be used from
+//   read_only: only GET / HEAD / OPTIONS requests
+// Stored as JSON in api_keys.scopes; NULL means unrestricted.
+
+/**
+ * @typedef {{ products?: "own" | string[]; ip_ranges?: string[]; read_only?: boolean }} ApiKeyScopes
+ */
+
+export const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+const cidr = z.string().refine((v) => parseCidr(v) !== null, {
+  message: "must be an IP address or CIDR range, e.g. 203.0.113.0/24",
+});
+
+export const scopesSchema = z
+  .object({
+    products: z
+      .union([z.literal("own"), z.array(z.string().min(1)).min(1).max(500)])
+      .optional(),
+    ip_ranges: z.array(cidr).min(1).max(50).optional(),
+    read_only: z.boolean().optional(),
+  })
+  .strict();
+
+/**
+ * Parse the stored scopes column. Returns null for unrestricted keys.
+ *
+ * @param {string | null} json
+ * @returns {ApiKeyScopes | null}
+ */
+export const parseScopes = (json) => {
+  if (!json) return null;
+  const scopes = JSON.parse(json);
+  return Object.keys(scopes).length > 0 ? scopes : null;
+};
+
+/**
+ * Scopes for a key created by another (possibly scoped) API key. The new key inherits
+ * every restriction of its creator it does not narrow further; widening is refused.
+ *
+ * @param {ApiKeyScopes | undefined} requested
+ * @param {ApiKeyScopes | null} creator
+ * @returns {{ scopes: ApiKeyScopes } | { error: string; invalid: object }}
+ */
+export const narrowScopes = (requested = {}, creator) => {
+  const scopes = { ...requested };
+  if (!creator) return { scopes };
+
+  if (creator.read_only) {
+    if (requested.read_only === false)
+      return {
+        error: "Forbidden: key must stay read-only",
+        invalid: { read_only: false },
+      };
+    scopes.read_only = true;
+  }
+
+  if (creator.ip_ranges) {
+    const wider = (requested.ip_ranges ?? []).filter(
+      (r) => !cidrWithin(r, creator.ip_ranges)
+    );
+    if (wider.length > 0)
+      return {
+        error: "Forbidden: IP ranges must lie within your own",
+        invalid: { ip_ranges: wider },
+      };
+    scopes.ip_ranges = requested.ip_ranges ?? creator.ip_ranges;
+  }
+
+  if (creator.products === "own") {
+    if (requested.products && requested.products !== "own")
+      return {
+        error: 'Forbidden: product scope must stay "own"',
+        invalid: { products: requested.products },
+      };
+    scopes.products = "own";
+  } else if (Array.isArray(creator.products)) {
+    const requestedProducts = requested.products ?? creator.products;
+    const outside =
+      requestedProducts === "own"
+        ? ["own"]
+        : requestedProducts.filter((p) => !creator.products.includes(p));
+    if (outside.length > 0)
+      return {
+        error: "Forbidden: products must be a subset of your own scope",
+        invalid: { products: outside },
+      };
+    scopes.products = requestedProducts;
+  }
+
+  return { scopes };
+};
+
+/**
+ * Why a request falls outside the key's IP / method scopes, or null when allowed.
+ *
+ * @param {ApiKeyScopes | null} scopes
+ * @param {{ ip?: string; method: string }} req
+ * @returns {"ip_not_allowed" | "read_only" | null}
+ */
+export const requestScopeViolation = (scopes, req) => {
+  if (!scopes) return null;
+  if (scopes.ip_ranges && !ipInRanges(req.ip, scopes.ip_ranges))
+    return "ip_not_allowed";
+  if (scopes.read_only && !SAFE_METHODS.includes(req.method))
+    return "read_only";
+  return null;
+};
+
+/**
+ * SQL condition limiting products (aliased `alias`) to a key's product scope.
+ *
+ * @param {ApiKeyScopes | null} scopes
+ * @param {number} ownerId internal id of the key's owner
+ * @param {string} [alias]
+ * @returns {{ sql: string; args: any[] }}
+ */
+export const productScopeCondition = (scopes, ownerId, alias = "p") => {
+  if (scopes?.products === "own")
+    return { sql: `${alias}.created_by = ?`, args: [ownerId] };
+  if (Array.isArray(scopes?.products))
+    return {
+      sql: `${alias}.public_id IN (${scopes.products.map(() => "?").join(",")})`,
+      args: scopes.products,
+    };
+  return { sql: "1 = 1", args: [] };
+};
+
+/**
+ * Whether a product row ({ public_id, created_by }) is within a key's product scope.
+ *
+ * @param {ApiKeyScopes | null} scopes
+ * @param {number} ownerId
+ * @param {{ public_id: string; created_by: number | null }} product
+ */
+export const productInScope = (scopes, ownerId, product) => {
+  if (scopes?.products === "own") return product.created_by === ownerId;
+  if (Array.isArray(scopes?.products))
+    return scopes.products.includes(product.public_id);
+  return true;
+};
@@ -0,0 +1,98 @@
+import turso from "../db.js";
+import {
+  rateLimitStore,
+  rateLimitUnavailable,
+  setRateLimitHeaders,
+  slidingCount,
+} from "./rateLimit.js";
+import { RateLimitError } from "./errors.js";
+import { logger } from "./logger.js";
+
+// Per-API-key limits: a requests-per-minute rate limit (sliding window in the shared
+// rate limit store) and a monthly quota counted in `api_key_usage`.
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * UTC calendar month of a date, e.g. "2025-10", and the instant it ends.
+ *
+ * @param {Date} [date]
+ * @returns {{ period: string; resetsAt: Date }}
+ */
+export const usagePeriod = (date = new Date()) => {
+  const y = date.getUTCFullYear();
+  const m = date.getUTCMonth();
+  return {
+    period: `${y}-${String(m + 1).padStart(2, "0")}`,
+    resetsAt: new Date(Date.UTC(y, m + 1, 1)),
+  };
+};
+
+/**
+ * Enforce the authenticated API key's own `rate_limit` and `monthly_quota`.
+ * Keys without a `rate_limit` fall back to the general `apiQuota`.
+ * Requests rejected by the per-minute limit do not count against the monthly quota.
+ */
+export const apiKeyLimits = async (req, res, next) => {
+  const {
+    api_key_id: keyId,
+    rate_limit: rateLimit,
+    monthly_quota: quota,
+  } = req.user;
+  const now = Date.now();
+
+  try {
+    if (rateLimit != null) {
+      const counts = await rateLimitStore.increment(
+        `api_key_rpm:${keyId}`,
+        MINUTE_MS
+      );
+      const used = slidingCount(counts, MINUTE_MS, now);
+      const info = {
+        limit: rateLimit,
+        remaining: Math.floor(rateLimit - used),
+        resetMs: counts.windowStart + MINUTE_MS - now,
+      };
+      if (info.remaining < 0) {
+        setRateLimitHeaders(res, { ...info, retryAfterMs: info.resetMs });
+        throw new RateLimitError("API key rate limit exceeded", {
+          details: { reset_at: new Date(now + info.resetMs).toISOString() },
+        });
+      }
+      setRateLimitHeaders(res, info);
+    }
+
+    const { period, resetsAt } = usagePeriod(new Date(now));
+    // Only count the request when it fits in the quota: the conditional upsert
+    // returns no row once the limit is reached.
+    const counted = await turso.execute({
+      sql: `INSERT INTO api_key_usage (api_key_id, period, request_count, last_request_at)
+            VALUES (?, ?, 1, strftime('%Y-%m-%d %H:%M:%f','now'))
+            ON CONFLICT (api_key_id, period) DO UPDATE SET
+              request_count = request_count + 1,
+              last_request_at = excluded.last_request_at
+            WHERE ? IS NULL OR request_count < ?
+            RETURNING request_count`,
+      args: [keyId, period, quota ?? null, quota ?? null],
+    });
+    if (
+      quota != null &&
+      (!counted.rows[0] || Number(counted.rows[0].request_count) > quota)
+    ) {
+      res.set(
+        "Retry-After",
+        String(Math.ceil((resetsAt.getTime() - now) / 1000))
+      );
+      throw new RateLimitError("API key monthly quota exceeded", {
+        code: "monthly_quota_exceeded",
+        details: { monthly_quota: quota, reset_at: resetsAt.toISOString() },
+      });
+    }
+  } catch (err) {
+    if (err instanceof RateLimitError) throw err;
+    logger.error("API key limit check failed", { err });
+    throw rateLimitUnavailable();
+  }
+
+  next();
+};
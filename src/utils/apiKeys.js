@@ -0,0 +1,154 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+import turso from "../db.js";
+
+dotenv.config();
+
+// API key format: sak_<env>_<id>_<secret>_<crc>
+//   env    - "live" or "test" (API_KEY_ENVIRONMENT), so a key is only accepted where it belongs
+//   id     - hex part of the key's public_id, used for an indexed lookup
+//   secret - 32 random bytes, hex
+//   crc    - CRC32 of everything before it, 8 hex chars, so typos and truncated keys
+//            are rejected without a database lookup
+// The fixed prefix also lets secret scanners recognize leaked keys.
+// Keys issued before this format are bare 64-char hex strings ("legacy").
+
+export const API_KEY_ENVIRONMENT =
+  process.env.API_KEY_ENVIRONMENT === "test" ? "test" : "live";
+
+const KEY_PATTERN =
+  /^sak_(live|test)_([0-9a-f]{16})_([0-9a-f]{64})_([0-9a-f]{8})$/;
+const LEGACY_PATTERN = /^[0-9a-f]{64}$/;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32Hex = (str) => {
+  let crc = 0xffffffff;
+  for (const byte of Buffer.from(str, "utf8"))
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return ((crc ^ 0xffffffff) >>> 0).toString(16).padStart(8, "0");
+};
+
+/**
+ * sha256 hex digest stored in api_keys.key_hash.
+ *
+ * @param {string} raw
+ * @returns {string}
+ */
+export const hashApiKey = (raw) =>
+  crypto.createHash("sha256").update(raw).digest("hex");
+
+/**
+ * Create a new raw key for the api key with this public_id ("api_key_<hex>").
+ *
+ * @param {string} publicId
+ * @returns {{ raw: string; hash: string; prefix: string }} prefix is the non-secret part shown in listings
+ */
+export const generateApiKey = (publicId) => {
+  const lookupId = String(publicId).split("_").pop();
+  const prefix = `sak_${API_KEY_ENVIRONMENT}_${lookupId}`;
+  const body = `${prefix}_${crypto.randomBytes(32).toString("hex")}`;
+  const raw = `${body}_${crc32Hex(body)}`;
+  return { raw, hash: hashApiKey(raw), prefix };
+};
+
+/**
+ * Classify a presented key without touching the database.
+ *
+ * @param {string} raw
+ * @returns {{ format: "sak"; environment: string; publicId: string } | { format: "legacy" } | { format: "invalid"; reason: string }}
+ */
+export const parseApiKey = (raw) => {
+  const match = KEY_PATTERN.exec(raw);
+  if (match) {
+    const [, environment, lookupId, , crc] = match;
+    if (crc32Hex(raw.slice(0, raw.length - 9)) !== crc)
+      return { format: "invalid", reason: "bad_checksum" };
+    return { format: "sak", environment, publicId: `api_key_${lookupId}` };
+  }
+  if (LEGACY_PATTERN.test(raw)) return { format: "legacy" };
+  return { format: "invalid", reason: "malformed" };
+};
+
+/**
+ * Whether bare hex keys are still accepted. They are until LEGACY_API_KEYS_UNTIL
+ * (an ISO date) has passed; unset means the migration window is still open.
+ *
+ * @returns {boolean}
+ */
+export const legacyKeysAllowed = () => {
+  const until = process.env.LEGACY_API_KEYS_UNTIL;
+  if (!until) return true;
+  const t = Date.parse(until);
+  return Number.isNaN(t) || Date.now() < t;
+};
+
+/**
+ * Constant-time comparison of two hex digests.
+ *
+ * @param {string | null | undefined} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export const hashesEqual = (a, b) => {
+  if (!a) return false;
+  const ab = Buffer.from(String(a), "hex");
+  const bb = Buffer.from(b, "hex");
+  return ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+};
+
+const KEY_COLUMNS = `id, public_id, owner_user_id, name, permissions, scopes, disabled, rate_limit, monthly_quota, expires_at,
+  key_hash, previous_key_hash, revoked_at,
+  previous_key_expires_at > strftime('%Y-%m-%d %H:%M:%f','now') AS previous_live,
+  expires_at IS NOT NULL AND expires_at <= strftime('%Y-%m-%d %H:%M:%f','now') AS expired`;
+
+/**
+ * Find the api_keys row a raw key belongs to. Malformed keys, keys with a bad
+ * checksum or from another environment are rejected before any query.
+ * A key replaced by a rotation still matches while its grace period lasts
+ * (`matched: "previous"`). A revoked key never matches (`reason: "revoked"`).
+ *
+ * @param {string} raw
+ * @returns {Promise<{ row: Record<string, any>; matched: "current" | "previous" } | { row: null; reason: string }>}
+ */
+export const findApiKey = async (raw) => {
+  const parsed = parseApiKey(raw);
+  const hash = hashApiKey(raw);
+
+  if (parsed.format === "invalid") return { row: null, reason: parsed.reason };
+
+  if (parsed.format === "sak") {
+    if (parsed.environment !== API_KEY_ENVIRONMENT)
+      return { row: null, reason: "wrong_environment" };
+    // Indexed lookup by the embedded id, then a constant-time hash comparison
+    const result = await turso.execute({
+      sql: `SELECT ${KEY_COLUMNS} FROM api_keys WHERE public_id = ? LIMIT 1`,
+      args: [parsed.publicId],
+    });
+    const row = result.rows[0];
+    if (row?.revoked_at && hashesEqual(row.key_hash, hash))
+      return { row: null, reason: "revoked" };
+    if (row && hashesEqual(row.key_hash, hash))
+      return { row, matched: "current" };
+    if (row && row.previous_live && hashesEqual(row.previous_key_hash, hash))
+      return { row, matched: "previous" };
+    return { row: null, reason: "unknown_key" };
+  }
+
+  if (!legacyKeysAllowed()) return { row: null, reason: "legacy_format" };
+  const result = await turso.execute({
+    sql: `SELECT ${KEY_COLUMNS} FROM api_keys
+          WHERE key_hash = ?
+             OR (previous_key_hash = ? AND previous_key_expires_at > strftime('%Y-%m-%d %H:%M:%f','now'))
+          LIMIT 1`,
+    args: [hash, hash],
+  });
+  const row = result.rows[0];
+  if (!row) return { row: null, reason: "unknown_key" };
+  if (row.revoked_at) return { row: null, reason: "revoked" };
+  return { row, matched: row.key_hash === hash ? "current" : "previous" };
+};
@@ -0,0 +1,48 @@
+import turso from "../db.js";
+import { logger } from "./logger.js";
+
+/**
+ * Describe who is making a request, by public id.
+ *
+ * @param {import("express").Request} req
+ * @returns {{ actor_type: "user" | "api_key" | "anonymous"; actor_id: string | null }}
+ */
+export const describeActor = (req) => {
+  if (req.user?.is_api_key)
+    return { actor_type: "api_key", actor_id: req.user.api_key_public_id };
+  if (req.user?.public_id)
+    return { actor_type: "user", actor_id: req.user.public_id };
+  return { actor_type: "anonymous", actor_id: null };
+};
+
+/**
+ * Persist an audit event for the current request. Auditing must never break the
+ * action being audited, so failures are logged and swallowed.
+ *
+ * @param {import("express").Request} req
+ * @param {{ action: string; outcome: "success" | "failure" | "denied"; target_type?: string; target_id?: string | null; details?: object }} event
+ */
+export const recordAuditEvent = async (req, event) => {
+  const actor = describeActor(req);
+  try {
+    await turso.execute({
+      sql: `INSERT INTO audit_events (actor_type, actor_id, action, target_type, target_id, ip, outcome, details)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      args: [
+        actor.actor_type,
+        actor.actor_id,
+        event.action,
+        event.target_type ?? null,
+        event.target_id ?? null,
+        req.ip ?? null,
+        event.outcome,
+        event.details ? JSON.stringify(event.details) : null,
+      ],
+    });
+  } catch (err) {
+    logger.error("Failed to record audit event", {
+      action: event.action,
+      err,
+    });
+  }
+};
@@ -0,0 +1,110 @@
+import net from "net";
+
+// Minimal CIDR helpers for API key IP scopes. Addresses are compared as BigInts;
+// IPv4 addresses (and IPv4-mapped IPv6 such as ::ffff:10.0.0.1, or ::ffff:a00:1 as
+// URL parsing writes it) use the IPv4 space.
+
+const ipv4ToBigInt = (ip) =>
+  ip.split(".").reduce((acc, part) => (acc << 8n) + BigInt(Number(part)), 0n);
+
+const ipv6ToBigInt = (ip) => {
+  let addr = ip;
+  // embedded IPv4 tail, e.g. 64:ff9b::10.0.0.1
+  const v4Tail = addr.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (v4Tail) {
+    const v4 = ipv4ToBigInt(v4Tail[1]);
+    addr =
+      addr.slice(0, -v4Tail[1].length) +
+      `${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+  }
+  const [head, tail] = addr.split("::");
+  const headParts = head ? head.split(":") : [];
+  const tailParts = tail !== undefined && tail !== "" ? tail.split(":") : [];
+  const missing = 8 - headParts.length - tailParts.length;
+  const parts = [
+    ...headParts,
+    ...Array(tail !== undefined ? missing : 0).fill("0"),
+    ...tailParts,
+  ];
+  return parts.reduce((acc, p) => (acc << 16n) + BigInt(parseInt(p, 16)), 0n);
+};
+
+/**
+ * Normalize an address to { version, value }, unwrapping IPv4-mapped IPv6.
+ *
+ * @param {string} ip
+ * @returns {{ version: 4 | 6; value: bigint } | null}
+ */
+const parseIp = (ip) => {
+  const addr = String(ip ?? "").replace(/%.*$/, "");
+  const version = net.isIP(addr);
+  if (version === 4) return { version: 4, value: ipv4ToBigInt(addr) };
+  if (version !== 6) return null;
+  const value = ipv6ToBigInt(addr);
+  // ::ffff:0:0/96, in whichever notation
+  if (value >> 32n === 0xffffn)
+    return { version: 4, value: value & 0xffffffffn };
+  return { version: 6, value };
+};
+
+/**
+ * Parse "10.0.0.0/8", "2001:db8::/32" or a bare address (treated as /32 or /128).
+ *
+ * @param {string} cidr
+ * @returns {{ version: 4 | 6; network: bigint; prefix: number } | null}
+ */
+export const parseCidr = (cidr) => {
+  // the prefix, when there is a "/", must be digits: Number("") would be a /0
+  const match = /^([^/]+)(?:\/(\d{1,3}))?$/.exec(String(cidr));
+  if (!match) return null;
+  const ip = parseIp(match[1]);
+  if (!ip) return null;
+  const bits = ip.version === 4 ? 32 : 128;
+  const prefix = match[2] === undefined ? bits : Number(match[2]);
+  if (prefix > bits) return null;
+  const mask = ((1n << BigInt(prefix)) - 1n) << BigInt(bits - prefix);
+  return { version: ip.version, network: ip.value & mask, prefix };
+};
+
+const inRange = (version, value, range) => {
+  if (version !== range.version) return false;
+  const bits = version === 4 ? 32 : 128;
+  const mask =
+    ((1n << BigInt(range.prefix)) - 1n) << BigInt(bits - range.prefix);
+  return (value & mask) === range.network;
+};
+
+/**
+ * Whether `ip` falls inside any of the CIDR ranges.
+ *
+ * @param {string} ip
+ * @param {string[]} cidrs
+ * @returns {boolean}
+ */
+export const ipInRanges = (ip, cidrs) => {
+  const parsed = parseIp(ip);
+  if (!parsed) return false;
+  return cidrs
+    .map(parseCidr)
+    .some((range) => range && inRange(parsed.version, parsed.value, range));
+};
+
+/**
+ * Whether range `inner` lies entirely inside one of `outer`.
+ *
+ * @param {string} inner
+ * @param {string[]} outer
+ * @returns {boolean}
+ */
+export const cidrWithin = (inner, outer) => {
+  const range = parseCidr(inner);
+  if (!range) return false;
+  return outer
+    .map(parseCidr)
+    .some(
+      (o) =>
+        o &&
+        o.prefix <= range.prefix &&
+        inRange(range.version, range.network, o)
+    );
+};
@@ -0,0 +1,140 @@
+import { STATUS_CODES } from "http";
+import { z } from "zod";
+
+// Errors the API answers with. Throw one from a route handler or middleware (or pass it
+// to `next`) and the error middleware (middleware/errors.js) sends it as an RFC 7807
+// `application/problem+json` response:
+//
+//   { type, title, status, detail, code, request_id, details? }
+//
+// `code` is stable and machine-readable; `detail` is meant for people and may change.
+// `details` carries structured context (field errors, unknown ids...) and is only sent
+// for 4xx responses. Anything that is not an HttpError is answered with a generic 500
+// and only logged. `publicError` gives the same view of an error for places that
+// report failures in a response body instead (per-item results of bulk requests).
+
+export class HttpError extends Error {
+  /**
+   * @param {number} status
+   * @param {string} code
+   * @param {string} message sent as `detail`
+   * @param {{ details?: any; cause?: unknown; expose?: boolean }} [options]
+   *   `expose: false` hides the message from the client (it is still logged)
+   */
+  constructor(status, code, message, { details, cause, expose = true } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.expose = expose;
+  }
+}
+
+// The request is malformed. `error` is a message or the ZodError of a failed safeParse.
+export class ValidationError extends HttpError {
+  /**
+   * @param {string | z.ZodError} error
+   * @param {{ code?: string; details?: any }} [options]
+   */
+  constructor(error, { code = "validation_failed", details } = {}) {
+    const fromZod = error instanceof z.ZodError;
+    super(400, code, fromZod ? "Request validation failed" : error, {
+      details: fromZod ? z.treeifyError(error) : details,
+    });
+  }
+}
+
+// Missing or unusable credentials
+export class AuthError extends HttpError {
+  constructor(message, { code = "unauthorized", details } = {}) {
+    super(401, code, message, { details });
+  }
+}
+
+// Valid credentials, but not allowed to do this
+export class ForbiddenError extends HttpError {
+  constructor(message = "Forbidden", { code = "forbidden", details } = {}) {
+    super(403, code, message, { details });
+  }
+}
+
+export class NotFoundError extends HttpError {
+  constructor(message, { code = "not_found", details } = {}) {
+    super(404, code, message, { details });
+  }
+}
+
+// The request clashes with the current state (duplicates, resources in use...)
+export class ConflictError extends HttpError {
+  constructor(message, { code = "conflict", details } = {}) {
+    super(409, code, message, { details });
+  }
+}
+
+export class RateLimitError extends HttpError {
+  constructor(message, { code = "rate_limited", details } = {}) {
+    super(429, code, message, { details });
+  }
+}
+
+// A service we depend on failed or rejected the request (Shopify errors extend this)
+export class UpstreamError extends HttpError {
+  /**
+   * @param {string} message
+   * @param {{ status?: number; code?: string; details?: any; cause?: unknown; expose?: boolean }} [options]
+   */
+  constructor(
+    message,
+    { status = 502, code = "upstream_error", details, cause, expose } = {}
+  ) {
+    super(status, code, message, { details, cause, expose });
+  }
+}
+
+// body-parser rejects bodies with http-errors carrying one of these types
+const BODY_ERROR_CODES = {
+  "entity.parse.failed": "invalid_json",
+  "entity.too.large": "payload_too_large",
+  "encoding.unsupported": "unsupported_encoding",
+  "charset.unsupported": "unsupported_charset",
+};
+
+/**
+ * `err` as an HttpError: ZodErrors are validation errors, client errors raised by
+ * Express middleware (body-parser) keep their status, anything else is an internal
+ * error whose message is not shown.
+ *
+ * @param {unknown} err
+ * @returns {HttpError}
+ */
+export const asHttpError = (err) => {
+  if (err instanceof HttpError) return err;
+  if (err instanceof z.ZodError) return new ValidationError(err);
+  if (err?.expose && err.status >= 400 && err.status < 500)
+    return new HttpError(
+      err.status,
+      BODY_ERROR_CODES[err.type] ?? "bad_request",
+      err.message
+    );
+  return new HttpError(500, "internal_error", "Internal server error", {
+    cause: err,
+    expose: false,
+  });
+};
+
+/**
+ * What a client may see of `err`.
+ *
+ * @param {unknown} err
+ * @returns {{ status: number; code: string; detail: string; details?: any }}
+ */
+export const publicError = (err) => {
+  const e = asHttpError(err);
+  return {
+    status: e.status,
+    code: e.code,
+    detail: e.expose ? e.message : STATUS_CODES[e.status],
+    ...(e.details !== undefined && e.status < 500 && { details: e.details }),
+  };
+};
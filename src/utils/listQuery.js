@@ -0,0 +1,137 @@
+import { z } from "zod";
+import { ValidationError } from "./errors.js";
+
+// Shared keyset pagination for list endpoints.
+//
+// A list is sorted by one field (ascending, or descending with a "-" prefix) with the
+// row id as tie-breaker. `next_cursor` encodes the sort field and the last row's
+// (sort value, id), so the next page continues right after it even when rows are
+// inserted meanwhile. A cursor is only valid with the sort it was issued for.
+
+/**
+ * Query-string schema for `limit`, `cursor` and `sort`; extend it with endpoint filters.
+ *
+ * @param {string[]} sortFields e.g. ["name", "created_at"]
+ * @param {string} defaultSort e.g. "-created_at"
+ */
+export const paginationSchema = (sortFields, defaultSort) =>
+  z.object({
+    limit: z.coerce.number().int().min(1).max(200).default(50),
+    cursor: z.string().min(1).optional(),
+    sort: z
+      .enum([...sortFields, ...sortFields.map((f) => `-${f}`)])
+      .default(defaultSort),
+  });
+
+/**
+ * Route middleware validating `req.query` into `req.validatedQuery`
+ * (Express 5 does not allow replacing `req.query`).
+ *
+ * @param {z.ZodType} schema
+ */
+export const validateListQuery = (schema) => (req, res, next) => {
+  const parsed = schema.safeParse(req.query);
+  if (!parsed.success) throw new ValidationError(parsed.error);
+  req.validatedQuery = parsed.data;
+  return next();
+};
+
+const encodeCursor = (sort, value, id) =>
+  Buffer.from(JSON.stringify({ s: sort, v: value, id })).toString("base64url");
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const c = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (c.s !== sort || !Number.isInteger(c.id) || c.v === undefined)
+      return null;
+    return c;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * @typedef {{ sql: string; args: any[] }} Condition
+ *
+ * @typedef {object} ListQuerySpec
+ * @property {string} columns selected columns, e.g. "p.public_id, p.name"
+ * @property {string} from FROM clause without the keyword, joins included
+ * @property {(Condition | null | undefined)[]} [conditions] ANDed; empty entries are skipped
+ * @property {Record<string, string>} sortColumns sort field -> SQL expression (never NULL)
+ * @property {string} idColumn unique integer tie-breaker, e.g. "p.id"
+ * @property {string} sort e.g. "name" or "-created_at"
+ * @property {string} [cursor] `next_cursor` of the previous page
+ * @property {number} limit
+ */
+
+/**
+ * Build the page query. Fetches one extra row, which `toPage` uses to decide
+ * whether there is a next page. Throws a ValidationError for a cursor that is not
+ * valid with `sort`.
+ *
+ * @param {ListQuerySpec} spec
+ * @returns {{ sql: string; args: any[] }}
+ */
+export const buildListQuery = ({
+  columns,
+  from,
+  conditions = [],
+  sortColumns,
+  idColumn,
+  sort,
+  cursor,
+  limit,
+}) => {
+  const desc = sort.startsWith("-");
+  const sortExpr = sortColumns[desc ? sort.slice(1) : sort];
+  const where = conditions.filter(Boolean);
+
+  if (cursor) {
+    const c = decodeCursor(cursor, sort);
+    if (!c)
+      throw new ValidationError("Invalid cursor", { code: "invalid_cursor" });
+    const op = desc ? "<" : ">";
+    where.push({
+      sql: `(${sortExpr} ${op} ? OR (${sortExpr} = ? AND ${idColumn} ${op} ?))`,
+      args: [c.v, c.v, c.id],
+    });
+  }
+
+  const dir = desc ? "DESC" : "ASC";
+  return {
+    sql: `SELECT ${columns}, ${sortExpr} AS cursor_value, ${idColumn} AS cursor_id
+          FROM ${from}
+          ${where.length ? `WHERE ${where.map((w) => w.sql).join(" AND ")}` : ""}
+          ORDER BY ${sortExpr} ${dir}, ${idColumn} ${dir}
+          LIMIT ?`,
+    args: [...where.flatMap((w) => w.args), limit + 1],
+  };
+};
+
+/**
+ * Trim the extra row fetched by `buildListQuery` and compute `next_cursor`.
+ *
+ * @param {any[]} rows
+ * @param {{ sort: string; limit: number }} query
+ * @returns {{ rows: any[]; next_cursor: string | null }}
+ */
+export const toPage = (rows, { sort, limit }) => {
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    rows: page,
+    next_cursor:
+      rows.length > limit
+        ? encodeCursor(sort, last.cursor_value, Number(last.cursor_id))
+        : null,
+  };
+};
+
+/**
+ * `%term%` for a LIKE substring match (use with ESCAPE '\'), with wildcards in
+ * `term` matched literally.
+ *
+ * @param {string} term
+ */
+export const likeSubstring = (term) =>
+  `%${term.replace(/[\\%_]/g, (ch) => `\\${ch}`)}%`;
@@ -0,0 +1,130 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+// Structured logging: one JSON object per line on stdout,
+//
+//   { time, level, msg, request_id?, ...fields }
+//
+// - LOG_LEVEL (debug, info, warn, error; default info) sets the lowest level written.
+// - Lines written while a request is handled carry its id (see middleware/requestId.js),
+//   however deep in the call stack they are logged: the id lives in `requestContext`.
+// - Secrets never reach the log: fields named like passwords, tokens, API keys,
+//   authorization / cookie headers, secrets or HMACs are replaced, and API keys,
+//   bearer tokens and JWTs are masked inside any string.
+// - Pass errors as the `err` field; they are written with their name, message, code,
+//   status, stack and cause.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL =
+  LEVELS[String(process.env.LOG_LEVEL).toLowerCase()] ?? LEVELS.info;
+
+const REDACTED = "[REDACTED]";
+const SECRET_KEY =
+  /pass(word)?|secret|authorization|cookie|hmac|(^|[-_])(api[-_]?key|token|access[-_]?token|refresh[-_]?token)$/i;
+const SECRET_VALUES = [
+  // keep the public prefix of API keys (sak_<env>_<id>), drop the secret part
+  [
+    /\b(sak_(?:live|test)_[0-9a-f]{16})_[0-9a-f]{64}_[0-9a-f]{8}\b/g,
+    `$1_${REDACTED}`,
+  ],
+  [/\bBearer\s+[^\s"',]+/gi, `Bearer ${REDACTED}`],
+  [/\beyJ[\w-]*\.eyJ[\w-]*\.[\w-]*/g, REDACTED],
+];
+const MAX_DEPTH = 8;
+
+/**
+ * Context of the request being handled, shared by everything it calls.
+ *
+ * @type {AsyncLocalStorage<{ requestId: string }>}
+ */
+export const requestContext = new AsyncLocalStorage();
+
+// Id of the request being handled, if any
+export const currentRequestId = () => requestContext.getStore()?.requestId;
+
+const redactString = (s) =>
+  SECRET_VALUES.reduce((out, [pattern, mask]) => out.replace(pattern, mask), s);
+
+const serializeError = (err, seen, depth) => ({
+  name: err.name,
+  message: redactString(String(err.message)),
+  ...(err.code !== undefined && { code: err.code }),
+  ...(err.status !== undefined && { status: err.status }),
+  ...(err.details !== undefined && {
+    details: redact(err.details, seen, depth + 1),
+  }),
+  stack: err.stack && redactString(err.stack),
+  ...(err.cause !== undefined && { cause: redact(err.cause, seen, depth + 1) }),
+});
+
+// Copy of `value` that is safe to log and to serialize
+const redact = (value, seen = new WeakSet(), depth = 0) => {
+  if (typeof value === "string") return redactString(value);
+  if (typeof value === "bigint") return String(value);
+  if (value === null || typeof value !== "object") return value;
+  if (seen.has(value)) return "[Circular]";
+  if (depth >= MAX_DEPTH) return "[Truncated]";
+  seen.add(value);
+  try {
+    if (value instanceof Error) return serializeError(value, seen, depth);
+    if (Array.isArray(value))
+      return value.map((v) => redact(v, seen, depth + 1));
+    if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+    if (value instanceof Date) return value.toISOString();
+    const out = {};
+    for (const [k, v] of Object.entries(value))
+      out[k] = SECRET_KEY.test(k) ? REDACTED : redact(v, seen, depth + 1);
+    return out;
+  } finally {
+    seen.delete(value);
+  }
+};
+
+const write = (level, bindings, msg, fields) => {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  const requestId = currentRequestId();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(requestId && { request_id: requestId }),
+    ...redact({ ...bindings, ...fields }),
+  };
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (err) {
+    line = JSON.stringify({
+      time: entry.time,
+      level,
+      msg,
+      log_error: String(err),
+    });
+  }
+  process.stdout.write(line + "\n");
+};
+
+/**
+ * @typedef {{
+ *   debug: (msg: string, fields?: object) => void;
+ *   info: (msg: string, fields?: object) => void;
+ *   warn: (msg: string, fields?: object) => void;
+ *   error: (msg: string, fields?: object) => void;
+ *   child: (bindings: object) => Logger;
+ * }} Logger
+ */
+
+/**
+ * A logger adding `bindings` (e.g. `{ component: "media_poller" }`) to every line.
+ *
+ * @param {object} [bindings]
+ * @returns {Logger}
+ */
+const createLogger = (bindings = {}) => ({
+  debug: (msg, fields) => write("debug", bindings, msg, fields),
+  info: (msg, fields) => write("info", bindings, msg, fields),
+  warn: (msg, fields) => write("warn", bindings, msg, fields),
+  error: (msg, fields) => write("error", bindings, msg, fields),
+  child: (more) => createLogger({ ...bindings, ...more }),
+});
+
+export const logger = createLogger();
@@ -0,0 +1,203 @@
+// Prometheus metrics, served in the text exposition format by GET /metrics.
+//
+// Counters and histograms live in this process only (like the memory rate limit store)
+// and start from zero on restart, which Prometheus handles. Label values must come
+// from small, known sets (route patterns, error codes, operation names): never put
+// ids, paths or user input in a label.
+
+// Seconds; covers fast DB reads up to slow Shopify mutations
+const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+/** @type {Map<string, { render: () => string[] }>} */
+const registry = new Map();
+
+const escapeLabel = (v) =>
+  String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+const labelText = (labels) => {
+  const parts = Object.entries(labels).map(
+    ([k, v]) => `${k}="${escapeLabel(v)}"`
+  );
+  return parts.length ? `{${parts.join(",")}}` : "";
+};
+
+// Series key of `labels`, with every label of the metric in a fixed order
+const seriesKey = (labelNames, labels) =>
+  JSON.stringify(labelNames.map((n) => String(labels?.[n] ?? "")));
+
+const seriesLabels = (labelNames, key) =>
+  Object.fromEntries(JSON.parse(key).map((v, i) => [labelNames[i], v]));
+
+const register = (name, help, type, render) => {
+  if (registry.has(name)) throw new Error(`Metric ${name} already registered`);
+  registry.set(name, {
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} ${type}`,
+      ...render(),
+    ],
+  });
+};
+
+/**
+ * @param {string} name
+ * @param {string} help
+ * @param {string[]} [labelNames]
+ */
+export const counter = (name, help, labelNames = []) => {
+  const values = new Map();
+  register(name, help, "counter", () =>
+    [...values].map(
+      ([key, v]) => `${name}${labelText(seriesLabels(labelNames, key))} ${v}`
+    )
+  );
+  return {
+    /** @param {Record<string, string | number>} [labels] */
+    inc: (labels, n = 1) => {
+      const key = seriesKey(labelNames, labels);
+      values.set(key, (values.get(key) ?? 0) + n);
+    },
+  };
+};
+
+/**
+ * @param {string} name
+ * @param {string} help
+ * @param {string[]} [labelNames]
+ * @param {number[]} [buckets] upper bounds, ascending
+ */
+export const histogram = (
+  name,
+  help,
+  labelNames = [],
+  buckets = DEFAULT_BUCKETS
+) => {
+  const series = new Map(); // key -> { counts, sum, count }
+  register(name, help, "histogram", () =>
+    [...series].flatMap(([key, s]) => {
+      const labels = seriesLabels(labelNames, key);
+      let cumulative = 0;
+      return [
+        ...buckets.map((le, i) => {
+          cumulative += s.counts[i];
+          return `${name}_bucket${labelText({ ...labels, le })} ${cumulative}`;
+        }),
+        `${name}_bucket${labelText({ ...labels, le: "+Inf" })} ${s.count}`,
+        `${name}_sum${labelText(labels)} ${s.sum}`,
+        `${name}_count${labelText(labels)} ${s.count}`,
+      ];
+    })
+  );
+
+  const observe = (labels, seconds) => {
+    const key = seriesKey(labelNames, labels);
+    let s = series.get(key);
+    if (!s) {
+      s = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+      series.set(key, s);
+    }
+    const i = buckets.findIndex((le) => seconds <= le);
+    if (i >= 0) s.counts[i] += 1;
+    s.sum += seconds;
+    s.count += 1;
+  };
+  return {
+    /** @param {Record<string, string | number>} labels */
+    observe,
+    // Start a timer; calling the result observes the seconds elapsed, with `labels`
+    // merged over those given here
+    startTimer: (labels = {}) => {
+      const start = process.hrtime.bigint();
+      return (more = {}) =>
+        observe(
+          { ...labels, ...more },
+          Number(process.hrtime.bigint() - start) / 1e9
+        );
+    },
+  };
+};
+
+/**
+ * A gauge read when metrics are scraped.
+ *
+ * @param {string} name
+ * @param {string} help
+ * @param {() => number} collect
+ */
+export const gauge = (name, help, collect) =>
+  register(name, help, "gauge", () => [`${name} ${collect()}`]);
+
+// All metrics in the Prometheus text format
+export const renderMetrics = () =>
+  [...registry.values()].flatMap((m) => m.render()).join("\n") + "\n";
+
+// Metrics of the API. They are defined here so /metrics lists them all, even before
+// anything was recorded.
+
+export const httpRequests = counter(
+  "http_requests_total",
+  "HTTP requests by route pattern and status",
+  ["method", "route", "status"]
+);
+export const httpRequestDuration = histogram(
+  "http_request_duration_seconds",
+  "HTTP request latency by route pattern and status",
+  ["method", "route", "status"]
+);
+export const authFailures = counter(
+  "auth_failures_total",
+  "Requests refused with 401 or 403, by error code (invalid_token, token_invalidated, invalid_api_key, insufficient_permissions...)",
+  ["reason"]
+);
+export const shopifyRequestDuration = histogram(
+  "shopify_request_duration_seconds",
+  "Latency of Shopify Admin API calls (each attempt) by operation and HTTP status",
+  ["operation", "status"]
+);
+export const shopifyThrottles = counter(
+  "shopify_throttled_total",
+  "Shopify calls answered with 429 or THROTTLED",
+  ["operation"]
+);
+export const shopifyErrors = counter(
+  "shopify_errors_total",
+  "Failed Shopify calls by operation and error code",
+  ["operation", "code"]
+);
+export const shopifyWebhooks = counter(
+  "shopify_webhooks_total",
+  'Verified Shopify webhook deliveries by topic ("unhandled" for topics without a handler) and outcome (processed, duplicate, ignored, invalid_payload, failed)',
+  ["topic", "outcome"]
+);
+export const shopifyWebhookRejections = counter(
+  "shopify_webhook_rejections_total",
+  "Shopify webhook deliveries rejected before processing (bad HMAC, stale)",
+  ["reason"]
+);
+export const outgoingWebhookDeliveries = counter(
+  "outgoing_webhook_deliveries_total",
+  "Delivery attempts of outgoing webhooks by outcome (succeeded, retrying, failed)",
+  ["event", "outcome"]
+);
+export const dbQueryDuration = histogram(
+  "db_query_duration_seconds",
+  "Database calls by kind (select, insert, update, delete, batch...) and outcome",
+  ["kind", "outcome"]
+);
+
+const startedAt = Date.now();
+gauge("process_start_time_seconds", "Start time of the process", () =>
+  Math.floor(startedAt / 1000)
+);
+gauge(
+  "process_resident_memory_bytes",
+  "Resident memory size",
+  () => process.memoryUsage().rss
+);
+gauge(
+  "nodejs_heap_used_bytes",
+  "V8 heap in use",
+  () => process.memoryUsage().heapUsed
+);
@@ -0,0 +1,71 @@
+import turso from "../db.js";
+
+// Helpers to read the role -> permissions model (roles, permissions, role_permissions).
+
+/**
+ * Resolve a user's role, the permission names granted to it and the role's caps on
+ * API key limits. Returns null when the user (or its role) does not exist.
+ *
+ * @param {number} userId internal user id
+ * @returns {Promise<{ role_id: number; role_name: string; permissions: string[]; max_api_key_rate_limit: number | null; max_api_key_monthly_quota: number | null } | null>}
+ */
+export const getUserRolePermissions = async (userId) => {
+  const result = await turso.execute({
+    sql: `SELECT r.id AS role_id, r.name AS role_name, r.max_api_key_rate_limit, r.max_api_key_monthly_quota,
+                 p.name AS permission
+          FROM users u
+          JOIN roles r ON r.id = u.role_id
+          LEFT JOIN role_permissions rp ON rp.role_id = r.id
+          LEFT JOIN permissions p ON p.id = rp.permission_id
+          WHERE u.id = ?`,
+    args: [userId],
+  });
+  if (!result.rows.length) return null;
+
+  return {
+    role_id: result.rows[0].role_id,
+    role_name: result.rows[0].role_name,
+    permissions: result.rows.map((r) => r.permission).filter(Boolean),
+    max_api_key_rate_limit: result.rows[0].max_api_key_rate_limit ?? null,
+    max_api_key_monthly_quota: result.rows[0].max_api_key_monthly_quota ?? null,
+  };
+};
+
+/**
+ * Permission names granted to a role.
+ *
+ * @param {number} roleId
+ * @returns {Promise<string[]>}
+ */
+export const getRolePermissionNames = async (roleId) => {
+  const result = await turso.execute({
+    sql: `SELECT p.name FROM role_permissions rp
+          JOIN permissions p ON p.id = rp.permission_id
+          WHERE rp.role_id = ?
+          ORDER BY p.name`,
+    args: [roleId],
+  });
+  return result.rows.map((r) => r.name);
+};
+
+/**
+ * Every permission name known to the system.
+ *
+ * @returns {Promise<string[]>}
+ */
+export const getAllPermissionNames = async () => {
+  const result = await turso.execute(
+    "SELECT name FROM permissions ORDER BY name"
+  );
+  return result.rows.map((r) => r.name);
+};
+
+/**
+ * SQL expression (0/1) telling whether the role in column `roleIdColumn` grants `permission`.
+ * Used where a single query needs a permission check alongside other columns.
+ *
+ * @param {string} roleIdColumn e.g. "u.role_id"
+ * @returns {string} SQL fragment taking the permission name as one positional argument
+ */
+export const rolePermissionExistsSql = (roleIdColumn) =>
+  `EXISTS (SELECT 1 FROM role_permissions rp JOIN permissions p ON p.id = rp.permission_id WHERE rp.role_id = ${roleIdColumn} AND p.name = ?)`;
@@ -0,0 +1,193 @@
+import { z } from "zod";
+import { productSchema } from "./products.js";
+
+// CSV and NDJSON (JSON lines) formats for product import / export.
+//
+// CSV import needs a header row; columns are name, price, quantity, locationId (or
+// location_id), shop and images, with several image URLs separated by IMAGE_DELIMITER.
+// Every row is validated with `productSchema` and errors carry the file's line number.
+
+export const IMAGE_DELIMITER = "|";
+
+const CSV_COLUMNS = {
+  name: "name",
+  price: "price",
+  quantity: "quantity",
+  locationid: "locationId",
+  location_id: "locationId",
+  images: "images",
+  shop: "shop",
+};
+
+// Upload content types accepted by the import
+export const IMPORT_CONTENT_TYPES = {
+  "text/csv": "csv",
+  "application/x-ndjson": "ndjson",
+  "application/jsonl": "ndjson",
+  "application/x-jsonlines": "ndjson",
+};
+
+/**
+ * Split CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF) into records,
+ * each with the line number it starts on.
+ *
+ * @param {string} text
+ * @returns {{ line: number; fields: string[] }[]}
+ */
+export const parseCsv = (text) => {
+  const records = [];
+  let fields = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    fields.push(field);
+    // skip blank lines
+    if (fields.length > 1 || fields[0] !== "")
+      records.push({ line: recordLine, fields });
+    fields = [];
+    field = "";
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === "\n") line++;
+        field += ch;
+      }
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      fields.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || fields.length > 0) endRecord();
+  return records;
+};
+
+/**
+ * @typedef {{ line: number; errors: any }} LineError
+ * @typedef {{ products: object[]; errors: LineError[] }} ParsedProducts
+ */
+
+const validateRow = (line, raw, products, errors) => {
+  const parsed = productSchema.safeParse(raw);
+  if (parsed.success) products.push(raw);
+  else errors.push({ line, errors: z.treeifyError(parsed.error) });
+};
+
+/**
+ * Parse and validate a product CSV.
+ *
+ * @param {string} text
+ * @returns {ParsedProducts}
+ */
+export const parseProductCsv = (text) => {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ""));
+  if (!header) return { products: [], errors: [] };
+
+  const columns = header.fields.map((h) => CSV_COLUMNS[h.trim().toLowerCase()]);
+  const unknown = header.fields.filter((h, i) => !columns[i]);
+  if (unknown.length)
+    return {
+      products: [],
+      errors: [
+        {
+          line: header.line,
+          errors: {
+            errors: [`Unknown column(s): ${unknown.join(", ")}`],
+          },
+        },
+      ],
+    };
+
+  const products = [];
+  const errors = [];
+  for (const { line, fields } of rows) {
+    const raw = {};
+    columns.forEach((col, i) => {
+      const value = (fields[i] ?? "").trim();
+      if (value === "") return;
+      raw[col] =
+        col === "images"
+          ? value
+              .split(IMAGE_DELIMITER)
+              .map((s) => s.trim())
+              .filter(Boolean)
+          : value;
+    });
+    validateRow(line, raw, products, errors);
+  }
+  return { products, errors };
+};
+
+/**
+ * Parse and validate an upload by format ("csv" or "ndjson").
+ *
+ * @param {string} text
+ * @param {"csv" | "ndjson"} format
+ * @returns {ParsedProducts}
+ */
+export const parseProductFile = (text, format) =>
+  format === "csv" ? parseProductCsv(text) : parseProductNdjson(text);
+
+/**
+ * Parse and validate newline-delimited JSON, one product object per line.
+ *
+ * @param {string} text
+ * @returns {ParsedProducts}
+ */
+export const parseProductNdjson = (text) => {
+  const products = [];
+  const errors = [];
+  text.split(/\r?\n/).forEach((content, i) => {
+    if (!content.trim()) return;
+    let raw;
+    try {
+      raw = JSON.parse(content);
+    } catch (err) {
+      errors.push({
+        line: i + 1,
+        errors: { errors: [`Invalid JSON: ${err.message}`] },
+      });
+      return;
+    }
+    validateRow(i + 1, raw, products, errors);
+  });
+  return { products, errors };
+};
+
+// Cells starting with these are evaluated as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * One CSV line (with trailing CRLF). Values are quoted when needed, and text cells
+ * that a spreadsheet would run as a formula are prefixed with a single quote.
+ *
+ * @param {(string | number | null | undefined)[]} values
+ */
+export const toCsvLine = (values) =>
+  values
+    .map((v) => {
+      if (v == null) return "";
+      if (typeof v === "number") return String(v);
+      const s = FORMULA_PREFIX.test(v) ? `'${v}` : v;
+      return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    })
+    .join(",") + "\r\n";
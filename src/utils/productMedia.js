@@ -0,0 +1,149 @@
+import turso from "../db.js";
+import generatePublicIds from "./generatePublicIds.js";
+import { productGid } from "./shopify.js";
+
+// Product images (`product_media`), shared by product creation, the media endpoints
+// and the media poller. Shopify processes new images asynchronously: a row stays
+// 'processing' until the poller sees the image READY (or FAILED) on Shopify, and
+// products.images is rebuilt from the ready rows whenever they change.
+
+const NOW = "strftime('%Y-%m-%d %H:%M:%f','now')";
+
+// Shopify fields of an image
+export const MEDIA_FIELDS =
+  "... on MediaImage { id alt status image { url width height } mediaErrors { code message } }";
+
+/**
+ * Local status of a MediaImage node.
+ *
+ * @returns {"processing" | "ready" | "failed"}
+ */
+export const mediaStatus = (node) => {
+  if (node.status === "FAILED") return "failed";
+  if (node.status === "READY" && node.image?.url) return "ready";
+  // the product mutations do not always return a status; a URL means it is usable
+  if (!node.status && node.image?.url) return "ready";
+  return "processing";
+};
+
+const mediaError = (node) =>
+  node.status === "FAILED"
+    ? (node.mediaErrors ?? []).map((e) => e.message).join("; ") ||
+      "Shopify could not process the image"
+    : null;
+
+/**
+ * Insert or refresh the image `node` of the product matching `product` ({ sql, args }
+ * on `products`). Processing images are due for the poller right away.
+ *
+ * @param {{ sql: string; args: any[] }} product
+ * @param {object} node MediaImage with MEDIA_FIELDS
+ * @param {{ position: number; source?: string | null; publicId?: string }} options
+ *   `publicId` keeps the id of the staged upload the image was made from
+ */
+export const upsertMediaStatement = (
+  product,
+  node,
+  { position, source = null, publicId = generatePublicIds("media") }
+) => {
+  const status = mediaStatus(node);
+  return {
+    sql: `INSERT INTO product_media (public_id, product_id, shopify_media_id, source, url, alt, position, status, error, next_check_at)
+          SELECT ?, id, ?, ?, ?, ?, ?, ?, ?, CASE WHEN ? = 'processing' THEN ${NOW} END
+          FROM products WHERE ${product.sql}
+          ON CONFLICT(shopify_media_id) DO UPDATE SET
+            url = COALESCE(excluded.url, url), alt = excluded.alt, position = excluded.position,
+            status = excluded.status, error = excluded.error,
+            next_check_at = CASE WHEN excluded.status = 'processing' THEN COALESCE(next_check_at, excluded.next_check_at) END,
+            updated_at = ${NOW}`,
+    args: [
+      publicId,
+      node.id,
+      source,
+      node.image?.url ?? null,
+      node.alt || null,
+      position,
+      status,
+      mediaError(node),
+      status,
+      ...product.args,
+    ],
+  };
+};
+
+/**
+ * Rebuild products.images of product `productId` from its ready images, in order.
+ *
+ * @param {number} productId
+ */
+export const refreshProductImagesStatement = (productId) => ({
+  sql: `UPDATE products SET images = (
+          SELECT NULLIF(json_group_array(url), '[]') FROM (
+            SELECT url FROM product_media
+            WHERE product_id = ? AND status = 'ready' AND url IS NOT NULL
+            ORDER BY position, id)),
+          updated_at = ${NOW}
+        WHERE id = ?`,
+  args: [productId, productId],
+});
+
+/**
+ * Bring the local images of a product in line with Shopify: record images added in the
+ * Shopify admin (or before `product_media` existed), forget deleted ones and take
+ * Shopify's order and alt texts. Staged uploads are left alone.
+ *
+ * @param {{ request: Function }} client the product's shop client
+ * @param {{ id: number; shopify_id: string }} product
+ */
+export const syncProductMedia = async (client, product) => {
+  const data = await client.request(
+    `query productMedia($id: ID!) { product(id: $id) { media(first: 250) { nodes { ${MEDIA_FIELDS} } } } }`,
+    { id: productGid(product.shopify_id) }
+  );
+  if (!data?.product) return;
+  // other media types (videos, 3D models) come back without MediaImage fields
+  const nodes = data.product.media.nodes.filter((n) => n?.id);
+  const local = { sql: "id = ?", args: [product.id] };
+  await turso.batch(
+    [
+      {
+        sql: `DELETE FROM product_media WHERE product_id = ? AND shopify_media_id IS NOT NULL
+                AND shopify_media_id NOT IN (SELECT value FROM json_each(?))`,
+        args: [product.id, JSON.stringify(nodes.map((n) => n.id))],
+      },
+      ...nodes.map((node, position) =>
+        upsertMediaStatement(local, node, { position })
+      ),
+      refreshProductImagesStatement(product.id),
+    ],
+    "write"
+  );
+};
+
+const serializeMedia = (m) => ({
+  public_id: m.public_id,
+  status: m.status,
+  url: m.url,
+  alt: m.alt,
+  position: m.position,
+  source: m.source,
+  filename: m.filename,
+  error: m.error,
+  created_at: m.created_at,
+  updated_at: m.updated_at,
+});
+
+/**
+ * Images of a product in display order, then staged uploads.
+ *
+ * @param {number} productId
+ */
+export const listProductMedia = async (productId) => {
+  const result = await turso.execute({
+    sql: `SELECT public_id, status, url, alt, position, source, filename, error, created_at, updated_at
+          FROM product_media WHERE product_id = ?
+          ORDER BY status = 'staged', position, id`,
+    args: [productId],
+  });
+  return result.rows.map(serializeMedia);
+};
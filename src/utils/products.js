@@ -0,0 +1,287 @@
+import turso from "../db.js";
+import dotenv from "dotenv";
+import { z } from "zod";
+import generatePublicIds from "./generatePublicIds.js";
+import { ValidationError, publicError } from "./errors.js";
+import { DEFAULT_SHOP, resolveShop } from "./shops.js";
+import { publishWebhookEvent } from "./webhookEvents.js";
+import {
+  MEDIA_FIELDS,
+  mediaStatus,
+  upsertMediaStatement,
+} from "./productMedia.js";
+import { pokeMediaPoller } from "../jobs/mediaPoller.js";
+import {
+  createShopifyVariants,
+  fromShopifyVariant,
+  locationIdSchema,
+  priceSchema,
+  productOptionsInput,
+  setInventoryLevelStatement,
+  toShopifyVariantInput,
+  upsertVariantStatement,
+  variantListSchema,
+} from "./variants.js";
+import { logger } from "./logger.js";
+dotenv.config();
+
+// Product creation shared by the products controller and the bulk import worker.
+
+export const productSchema = z
+  .object({
+    name: z.string().min(1),
+    // price of the single "Default" variant; required unless `variants` are given
+    price: priceSchema.optional(),
+    images: z.array(z.string().url()).optional(),
+    // optional starting stock of the "Default" variant (defaults to 1).
+    // Accept numeric or string values.
+    quantity: z.preprocess(
+      (v) => (typeof v === "string" ? Number(v) : v),
+      z.number().int().min(1).optional()
+    ),
+    // optional locationId (Shopify GID) to set inventory at. If omitted, defaults to
+    // the shop's default location.
+    locationId: locationIdSchema.optional(),
+    // several variants, each with its option values, price, SKU and stock
+    variants: variantListSchema.optional(),
+    // domain of a registered shop (see utils/shops.js); omitted = the default shop
+    shop: z.string().min(1).optional(),
+  })
+  .refine((p) => p.price != null || p.variants, {
+    message: "price is required unless variants are given",
+    path: ["price"],
+  })
+  .refine((p) => !(p.variants && (p.price != null || p.quantity != null)), {
+    message: "Give price and quantity per variant when variants are given",
+    path: ["variants"],
+  });
+
+// Shopify fields returned for created / looked-up products
+const PRODUCT_FIELDS = `id title media(first: 250) { edges { node { ${MEDIA_FIELDS} } } }`;
+
+// Insert the local record of a Shopify product of `shopId` owned by `ownerId`, with its
+// images, the variants created with it and their starting stock; returns its public_id.
+// `imageSources` are the URLs the images were created from, in order.
+const recordProduct = async (
+  shopifyProduct,
+  ownerId,
+  shopId,
+  { variants = [], imageSources = [] } = {}
+) => {
+  const gid = shopifyProduct.id || "";
+  const shopifyId = String(gid).split("/").pop();
+  const mediaNodes = (shopifyProduct.media?.edges || [])
+    .map((e) => e?.node)
+    .filter((n) => n?.id);
+  const returnedImages = mediaNodes
+    .filter((n) => mediaStatus(n) === "ready")
+    .map((n) => n.image.url);
+  const publicId = generatePublicIds("product");
+  const imagesJson = returnedImages.length
+    ? JSON.stringify(returnedImages)
+    : null;
+  const product = { sql: "public_id = ?", args: [publicId] };
+  await turso.batch(
+    [
+      {
+        sql: "INSERT INTO products (public_id, shopify_id, name, created_by, images, shop_id) VALUES (?, ?, ?, ?, ?, ?)",
+        args: [
+          publicId,
+          shopifyId,
+          shopifyProduct.title,
+          ownerId,
+          imagesJson,
+          shopId,
+        ],
+      },
+      ...mediaNodes.map((node, position) =>
+        upsertMediaStatement(product, node, {
+          position,
+          source: imageSources[position] ?? null,
+        })
+      ),
+      ...variants.flatMap(({ record, stock }) => [
+        upsertVariantStatement(product, record),
+        ...(stock
+          ? [
+              setInventoryLevelStatement(
+                {
+                  sql: "shopify_variant_id = ?",
+                  args: [record.shopify_variant_id],
+                },
+                stock.locationId,
+                stock.quantity
+              ),
+            ]
+          : []),
+      ]),
+    ],
+    "write"
+  );
+  // Shopify is usually still processing new images
+  if (mediaNodes.some((n) => mediaStatus(n) === "processing"))
+    pokeMediaPoller();
+  await publishWebhookEvent("product.created", {
+    userId: ownerId,
+    data: {
+      public_id: publicId,
+      shopify_id: shopifyId,
+      name: shopifyProduct.title,
+      images: returnedImages,
+    },
+  });
+  return publicId;
+};
+
+/**
+ * Create a single product on Shopify and record it in the database; resolves to the
+ * per-item `results` shape. Invalid input throws a ValidationError and Shopify
+ * failures a ShopifyError (see `failureResult` for reporting them per item).
+ *
+ * @param {unknown} productData validated with `productSchema`
+ * @param {number} ownerId internal id of the user the product belongs to
+ * @param {{ tags?: string[] }} [options] extra Shopify tags (used to find the product again)
+ */
+export const createSingleProduct = async (
+  productData,
+  ownerId,
+  { tags } = {}
+) => {
+  const parsed = productSchema.safeParse(productData);
+  if (!parsed.success) throw new ValidationError(parsed.error);
+
+  const shop = await resolveShop(parsed.data.shop);
+  if (!shop)
+    throw new ValidationError("Unknown shop", {
+      code: "unknown_shop",
+      details: { shop: parsed.data.shop },
+    });
+  const { client } = shop;
+
+  const { name, price } = parsed.data;
+  const locationId = parsed.data.locationId || shop.locationId;
+  // Without `variants`: a single "Default" variant with the product's price and stock
+  const variants = parsed.data.variants ?? [
+    {
+      options: { Title: "Default" },
+      price,
+      quantity: parsed.data.quantity != null ? Number(parsed.data.quantity) : 1,
+    },
+  ];
+
+  const productVar = { title: name };
+  if (tags && tags.length) productVar.tags = tags;
+  if (parsed.data.variants)
+    productVar.productOptions = productOptionsInput(variants);
+
+  let mediaInput = null;
+  if (Array.isArray(parsed.data.images) && parsed.data.images.length > 0) {
+    mediaInput = parsed.data.images.map((src) => ({
+      mediaContentType: "IMAGE",
+      originalSource: src,
+    }));
+  }
+
+  const createProductMutation = `mutation productCreate($product: ProductCreateInput!, $media: [CreateMediaInput!]) {\n    productCreate(product: $product, media: $media) {\n      product { ${PRODUCT_FIELDS} }\n      userErrors { field message code }\n    }\n  }`;
+
+  const { product: shopifyProduct } = await client.mutate(
+    createProductMutation,
+    { product: productVar, media: mediaInput },
+    "productCreate"
+  );
+
+  // Variants that fail are left out (the product keeps the variant Shopify made)
+  let createdVariants = [];
+  try {
+    createdVariants = await createShopifyVariants(
+      client,
+      shopifyProduct.id,
+      variants.map((v) => toShopifyVariantInput(v, locationId)),
+      { replaceStandalone: Boolean(parsed.data.variants) }
+    );
+  } catch (e) {
+    logger.warn("Variant bulk creation failed", { err: e });
+  }
+
+  let publicId;
+  try {
+    publicId = await recordProduct(shopifyProduct, ownerId, shop.id, {
+      variants: createdVariants.map((v, i) => ({
+        record: fromShopifyVariant(v),
+        stock:
+          variants[i]?.quantity != null
+            ? {
+                locationId: variants[i].locationId || locationId,
+                quantity: variants[i].quantity,
+              }
+            : null,
+      })),
+      imageSources: parsed.data.images,
+    });
+  } catch (err) {
+    logger.error("Failed to record product created on Shopify", { err });
+    return {
+      success: true,
+      warning: "Created on Shopify; failed to record locally",
+      shopify: shopifyProduct,
+    };
+  }
+
+  return { success: true, public_id: publicId, shopify: shopifyProduct };
+};
+
+/**
+ * Per-item result of a product that could not be created (bulk creation, imports).
+ * Only what the client may see of `err` is kept; internal errors are logged.
+ *
+ * @param {unknown} err
+ */
+export const failureResult = (err) => {
+  const { status, detail, code, details } = publicError(err);
+  if (status >= 500) logger.error("Product creation failed", { err });
+  return {
+    success: false,
+    error: detail,
+    code,
+    ...(details !== undefined && { details }),
+  };
+};
+
+/**
+ * Find a product on Shopify by tag, e.g. one a previous, interrupted import attempt
+ * may have created. Returns the product or null.
+ *
+ * @param {string} tag
+ * @param {import("./shops.js").Shop} [shop]
+ */
+export const findShopifyProductByTag = async (tag, shop = DEFAULT_SHOP) => {
+  const data = await shop.client.request(
+    `query productsByTag($query: String!) { products(first: 1, query: $query) { edges { node { ${PRODUCT_FIELDS} } } } }`,
+    { query: `tag:'${tag.replace(/'/g, "\\'")}'` }
+  );
+  return data?.products?.edges?.[0]?.node ?? null;
+};
+
+/**
+ * Record an existing Shopify product locally unless it already is, returning the
+ * same shape as `createSingleProduct`.
+ *
+ * @param {object} shopifyProduct
+ * @param {number} ownerId
+ * @param {import("./shops.js").Shop} [shop]
+ */
+export const adoptShopifyProduct = async (
+  shopifyProduct,
+  ownerId,
+  shop = DEFAULT_SHOP
+) => {
+  const shopifyId = String(shopifyProduct.id).split("/").pop();
+  const existing = await turso.execute({
+    sql: "SELECT public_id FROM products WHERE shopify_id = ? LIMIT 1",
+    args: [shopifyId],
+  });
+  const publicId =
+    existing.rows[0]?.public_id ??
+    (await recordProduct(shopifyProduct, ownerId, shop.id));
+  return { success: true, public_id: publicId, shopify: shopifyProduct };
+};
@@ -1,16 +1,226 @@
-const attempts = {};
+import dotenv from "dotenv";
+import { rateLimit } from "express-rate-limit";
+import { createRateLimitStore } from "./rateLimitStores.js";
+import { HttpError, RateLimitError } from "./errors.js";
+import { logger } from "./logger.js";
 
-export const limitLoginAttempts = (req, res, next) => {
-  const ip = req.ip;
+dotenv.config();
+
+const envInt = (name, fallback) => {
+  const v = Number(process.env[name]);
+  return Number.isFinite(v) && v > 0 ? v : fallback;
+};
+
+const LOGIN_WINDOW_MS = envInt("LOGIN_WINDOW_MS", 15 * 60 * 1000);
+const LOGIN_MAX_PER_IP = envInt("LOGIN_MAX_PER_IP", 20);
+const LOGIN_MAX_PER_USERNAME = envInt("LOGIN_MAX_PER_USERNAME", 10);
+const LOCKOUT_THRESHOLD = envInt("LOGIN_LOCKOUT_THRESHOLD", 5);
+const LOCKOUT_BASE_MS = envInt("LOGIN_LOCKOUT_BASE_MS", 30 * 1000);
+const LOCKOUT_MAX_MS = envInt("LOGIN_LOCKOUT_MAX_MS", 60 * 60 * 1000);
+// Failures are forgotten after this long without a new failure
+const FAILURE_TTL_MS = envInt("LOGIN_FAILURE_TTL_MS", 24 * 60 * 60 * 1000);
+
+const API_QUOTA_WINDOW_MS = envInt("API_QUOTA_WINDOW_MS", 60 * 1000);
+const API_QUOTA_USER = envInt("API_QUOTA_USER", 120);
+const API_QUOTA_API_KEY = envInt("API_QUOTA_API_KEY", 600);
+
+// Shared by the login limiter and the per-principal API quota.
+export const rateLimitStore = createRateLimitStore(
+  process.env.RATE_LIMIT_STORE || "memory"
+);
+
+/**
+ * Sliding-window estimate of the number of hits in the last `windowMs`.
+ *
+ * @param {import("./rateLimitStores.js").WindowCounts} counts
+ * @param {number} windowMs
+ * @param {number} now
+ */
+export const slidingCount = (
+  { current, previous, windowStart },
+  windowMs,
+  now
+) => {
+  const elapsed = (now - windowStart) / windowMs;
+  return current + previous * (1 - elapsed);
+};
+
+/**
+ * Set the IETF draft `RateLimit-*` headers (and `Retry-After` when blocked).
+ *
+ * @param {import("express").Response} res
+ * @param {{ limit: number; remaining: number; resetMs: number; retryAfterMs?: number }} info
+ */
+export const setRateLimitHeaders = (res, info) => {
+  res.set("RateLimit-Limit", String(info.limit));
+  res.set("RateLimit-Remaining", String(Math.max(0, info.remaining)));
+  res.set(
+    "RateLimit-Reset",
+    String(Math.max(0, Math.ceil(info.resetMs / 1000)))
+  );
+  if (info.retryAfterMs != null)
+    res.set(
+      "Retry-After",
+      String(Math.max(1, Math.ceil(info.retryAfterMs / 1000)))
+    );
+};
+
+// The limits cannot be checked (e.g. the store is down): refuse rather than let through
+export const rateLimitUnavailable = () =>
+  new HttpError(503, "rate_limiter_unavailable", "Rate limiter unavailable");
+
+// express-rate-limit handler
+const rateLimitExceeded = (req, res, next) =>
+  next(
+    new RateLimitError("Rate limit exceeded", {
+      details: {
+        retry_after_seconds: Number(res.get("Retry-After")) || undefined,
+      },
+    })
+  );
+
+const lockoutDuration = (failures) =>
+  Math.min(
+    LOCKOUT_MAX_MS,
+    LOCKOUT_BASE_MS * 2 ** Math.max(0, failures - LOCKOUT_THRESHOLD)
+  );
+
+// Count a failed login for a key and lock it once the threshold is reached.
+// Every failure past the threshold doubles the lockout (capped at LOCKOUT_MAX_MS).
+const recordLoginFailure = async (key) => {
+  const failures = await rateLimitStore.recordFailure(key, FAILURE_TTL_MS);
+  if (failures >= LOCKOUT_THRESHOLD)
+    await rateLimitStore.lock(key, Date.now() + lockoutDuration(failures));
+};
+
+/**
+ * Login limiter: sliding-window attempt limits per IP and per username, plus an
+ * exponential lockout after repeated failures. Failures are counted per username
+ * as well as per IP, so distributed guessing against one account is throttled too.
+ * The outcome is read from the response status once the login handler is done.
+ */
+export const limitLoginAttempts = async (req, res, next) => {
   const now = Date.now();
+  const username =
+    typeof req.body?.username === "string"
+      ? req.body.username.trim().toLowerCase()
+      : "";
+  const ipKey = `login:ip:${req.ip}`;
+  const userKey = username ? `login:user:${username}` : null;
+  const keys = [ipKey, userKey].filter(Boolean);
+
+  try {
+    for (const key of keys) {
+      const lockout = await rateLimitStore.getLockout(key);
+      if (lockout && lockout.lockedUntil > now) {
+        const retryAfterMs = lockout.lockedUntil - now;
+        setRateLimitHeaders(res, {
+          limit: LOCKOUT_THRESHOLD,
+          remaining: 0,
+          resetMs: retryAfterMs,
+          retryAfterMs,
+        });
+        throw new RateLimitError(
+          `Too many failed attempts. Wait ${Math.ceil(retryAfterMs / 1000)} seconds.`,
+          { code: "login_locked_out" }
+        );
+      }
+    }
 
-  if (attempts[ip] && now - attempts[ip] < 5000) {
-    const timeLeft = 5000 - (now - attempts[ip]);
-    return res.status(429).json({
-      error: `Too many attempts. Wait ${Math.ceil(timeLeft / 1000)} seconds.`,
-    });
+    const checks = [
+      { key: ipKey, limit: LOGIN_MAX_PER_IP },
+      ...(userKey ? [{ key: userKey, limit: LOGIN_MAX_PER_USERNAME }] : []),
+    ];
+    let tightest = null;
+    for (const check of checks) {
+      const counts = await rateLimitStore.increment(check.key, LOGIN_WINDOW_MS);
+      const used = slidingCount(counts, LOGIN_WINDOW_MS, now);
+      const info = {
+        limit: check.limit,
+        remaining: Math.floor(check.limit - used),
+        resetMs: counts.windowStart + LOGIN_WINDOW_MS - now,
+      };
+      if (!tightest || info.remaining < tightest.remaining) tightest = info;
+    }
+
+    if (tightest.remaining < 0) {
+      setRateLimitHeaders(res, { ...tightest, retryAfterMs: tightest.resetMs });
+      throw new RateLimitError(
+        `Too many attempts. Wait ${Math.ceil(tightest.resetMs / 1000)} seconds.`
+      );
+    }
+    setRateLimitHeaders(res, tightest);
+  } catch (err) {
+    if (err instanceof RateLimitError) throw err;
+    logger.error("Login rate limiter failed", { err });
+    throw rateLimitUnavailable();
   }
 
-  attempts[ip] = now;
+  res.on("finish", () => {
+    const outcome =
+      res.statusCode === 200
+        ? Promise.all(keys.map((k) => rateLimitStore.resetLockout(k)))
+        : res.statusCode === 401 || res.statusCode === 404
+          ? Promise.all(keys.map((k) => recordLoginFailure(k)))
+          : Promise.resolve();
+    outcome.catch((err) =>
+      logger.error("Failed to record login attempt outcome", { err })
+    );
+  });
+
   next();
 };
+
+// Adapts a RateLimitStore to the express-rate-limit Store contract.
+const toExpressRateLimitStore = (store, windowMs, prefix) => ({
+  localKeys: false,
+  prefix,
+  async increment(key) {
+    const now = Date.now();
+    const counts = await store.increment(`${prefix}${key}`, windowMs);
+    return {
+      totalHits: Math.ceil(slidingCount(counts, windowMs, now)),
+      resetTime: new Date(counts.windowStart + windowMs),
+    };
+  },
+  async decrement(key) {
+    await store.decrement(`${prefix}${key}`, windowMs);
+  },
+  async resetKey(key) {
+    await store.resetKey(`${prefix}${key}`);
+  },
+});
+
+/**
+ * General per-principal quota for authenticated `/api` routes. Runs after `auth`
+ * has resolved `req.user`; API keys and user accounts have separate budgets.
+ * API keys with their own `rate_limit` are limited by `apiKeyLimits` instead.
+ */
+export const apiQuota = rateLimit({
+  windowMs: API_QUOTA_WINDOW_MS,
+  skip: (req) => req.user?.is_api_key && req.user.rate_limit != null,
+  limit: (req) => (req.user?.is_api_key ? API_QUOTA_API_KEY : API_QUOTA_USER),
+  keyGenerator: (req) =>
+    req.user?.is_api_key
+      ? `api_key:${req.user.api_key_public_id}`
+      : `user:${req.user?.public_id}`,
+  standardHeaders: "draft-6",
+  legacyHeaders: false,
+  store: toExpressRateLimitStore(rateLimitStore, API_QUOTA_WINDOW_MS, "quota:"),
+  handler: rateLimitExceeded,
+});
+
+/**
+ * Per-IP limit for unauthenticated endpoints.
+ *
+ * @param {{ name: string; windowMs: number; limit: number }} options
+ */
+export const ipLimit = ({ name, windowMs, limit }) =>
+  rateLimit({
+    windowMs,
+    limit,
+    standardHeaders: "draft-6",
+    legacyHeaders: false,
+    store: toExpressRateLimitStore(rateLimitStore, windowMs, `ip:${name}:`),
+    handler: rateLimitExceeded,
+  });
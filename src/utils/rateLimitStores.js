@@ -0,0 +1,264 @@
+import turso from "../db.js";
+import { logger } from "./logger.js";
+
+// Storage backends for the rate limiter in `rateLimit.js`.
+//
+// Counters use the sliding-window-counter approach: hits are counted in fixed windows
+// and the rate is estimated from the current and the previous window, weighted by how
+// far we are into the current one. Lockouts track consecutive failures per key.
+// Timestamps in this module are epoch milliseconds.
+
+/**
+ * @typedef {{ current: number; previous: number; windowStart: number }} WindowCounts
+ * @typedef {{ failures: number; lockedUntil: number }} Lockout
+ *
+ * @typedef {object} RateLimitStore
+ * @property {(key: string, windowMs: number) => Promise<WindowCounts>} increment
+ *   Count one hit for `key` in the current window and return both windows.
+ * @property {(key: string, windowMs: number) => Promise<void>} decrement
+ *   Undo one hit in the current window.
+ * @property {(key: string) => Promise<void>} resetKey
+ *   Forget every counter of `key`.
+ * @property {(key: string) => Promise<Lockout | null>} getLockout
+ * @property {(key: string, ttlMs: number) => Promise<number>} recordFailure
+ *   Add a failure to `key` (forgotten after `ttlMs` without failures) and return the total.
+ * @property {(key: string, lockedUntil: number) => Promise<void>} lock
+ * @property {(key: string) => Promise<void>} resetLockout
+ * @property {() => Promise<void>} prune
+ *   Evict expired counters and lockouts.
+ */
+
+const windowStartOf = (now, windowMs) => now - (now % windowMs);
+
+/**
+ * In-process store. Fast, but counters are per-process and lost on restart.
+ * Expired entries are evicted by a periodic prune.
+ *
+ * @param {{ pruneIntervalMs?: number }} [options]
+ * @returns {RateLimitStore}
+ */
+export const createMemoryStore = ({ pruneIntervalMs = 60000 } = {}) => {
+  /** @type {Map<string, { count: number; expiresAt: number }>} */
+  const counters = new Map();
+  /** @type {Map<string, { failures: number; lockedUntil: number; expiresAt: number }>} */
+  const lockouts = new Map();
+
+  const bucketKey = (key, windowStart) => `${key}|${windowStart}`;
+
+  const store = {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      const windowStart = windowStartOf(now, windowMs);
+      const k = bucketKey(key, windowStart);
+      const entry = counters.get(k) || {
+        count: 0,
+        // keep the bucket while it can still be the "previous" window
+        expiresAt: windowStart + 2 * windowMs,
+      };
+      entry.count += 1;
+      counters.set(k, entry);
+      const prev = counters.get(bucketKey(key, windowStart - windowMs));
+      return {
+        current: entry.count,
+        previous: prev?.count ?? 0,
+        windowStart,
+      };
+    },
+
+    async decrement(key, windowMs) {
+      const k = bucketKey(key, windowStartOf(Date.now(), windowMs));
+      const entry = counters.get(k);
+      if (entry && entry.count > 0) entry.count -= 1;
+    },
+
+    async resetKey(key) {
+      for (const k of counters.keys()) {
+        if (k.startsWith(`${key}|`)) counters.delete(k);
+      }
+    },
+
+    async getLockout(key) {
+      const entry = lockouts.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) return null;
+      return { failures: entry.failures, lockedUntil: entry.lockedUntil };
+    },
+
+    async recordFailure(key, ttlMs) {
+      const now = Date.now();
+      const entry = lockouts.get(key);
+      const live = entry && entry.expiresAt > now;
+      const next = {
+        failures: live ? entry.failures + 1 : 1,
+        lockedUntil: live ? entry.lockedUntil : 0,
+        expiresAt: now + ttlMs,
+      };
+      lockouts.set(key, next);
+      return next.failures;
+    },
+
+    async lock(key, lockedUntil) {
+      const entry = lockouts.get(key);
+      if (!entry) return;
+      entry.lockedUntil = lockedUntil;
+      entry.expiresAt = Math.max(entry.expiresAt, lockedUntil);
+    },
+
+    async resetLockout(key) {
+      lockouts.delete(key);
+    },
+
+    async prune() {
+      const now = Date.now();
+      for (const [k, v] of counters) if (v.expiresAt <= now) counters.delete(k);
+      for (const [k, v] of lockouts) if (v.expiresAt <= now) lockouts.delete(k);
+    },
+  };
+
+  const timer = setInterval(() => store.prune(), pruneIntervalMs);
+  timer.unref();
+
+  return store;
+};
+
+/**
+ * Store backed by the `rate_limit_counters` / `rate_limit_lockouts` tables, so limits
+ * survive restarts and are shared by every instance using the same database.
+ * Expired rows are pruned at most once per `pruneIntervalMs`.
+ *
+ * @param {{ pruneIntervalMs?: number }} [options]
+ * @returns {RateLimitStore}
+ */
+export const createTursoStore = ({ pruneIntervalMs = 60000 } = {}) => {
+  let lastPrune = 0;
+
+  const store = {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      const windowStart = windowStartOf(now, windowMs);
+      if (now - lastPrune > pruneIntervalMs) {
+        lastPrune = now;
+        store
+          .prune()
+          .catch((err) =>
+            logger.error("Failed to prune rate limit tables", { err })
+          );
+      }
+
+      const [inc, prev] = await turso.batch(
+        [
+          {
+            sql: `INSERT INTO rate_limit_counters (key, window_start, count, expires_at) VALUES (?, ?, 1, ?)
+                  ON CONFLICT (key, window_start) DO UPDATE SET count = count + 1
+                  RETURNING count`,
+            args: [key, windowStart, windowStart + 2 * windowMs],
+          },
+          {
+            sql: "SELECT count FROM rate_limit_counters WHERE key = ? AND window_start = ?",
+            args: [key, windowStart - windowMs],
+          },
+        ],
+        "write"
+      );
+      return {
+        current: Number(inc.rows[0].count),
+        previous: Number(prev.rows[0]?.count ?? 0),
+        windowStart,
+      };
+    },
+
+    async decrement(key, windowMs) {
+      await turso.execute({
+        sql: "UPDATE rate_limit_counters SET count = count - 1 WHERE key = ? AND window_start = ? AND count > 0",
+        args: [key, windowStartOf(Date.now(), windowMs)],
+      });
+    },
+
+    async resetKey(key) {
+      await turso.execute({
+        sql: "DELETE FROM rate_limit_counters WHERE key = ?",
+        args: [key],
+      });
+    },
+
+    async getLockout(key) {
+      const result = await turso.execute({
+        sql: "SELECT failures, locked_until FROM rate_limit_lockouts WHERE key = ? AND expires_at > ? LIMIT 1",
+        args: [key, Date.now()],
+      });
+      const row = result.rows[0];
+      if (!row) return null;
+      return {
+        failures: Number(row.failures),
+        lockedUntil: Number(row.locked_until),
+      };
+    },
+
+    async recordFailure(key, ttlMs) {
+      const now = Date.now();
+      // An expired row starts over from one failure.
+      const result = await turso.execute({
+        sql: `INSERT INTO rate_limit_lockouts (key, failures, locked_until, expires_at) VALUES (?, 1, 0, ?)
+              ON CONFLICT (key) DO UPDATE SET
+                failures = CASE WHEN expires_at > ? THEN failures + 1 ELSE 1 END,
+                locked_until = CASE WHEN expires_at > ? THEN locked_until ELSE 0 END,
+                expires_at = excluded.expires_at
+              RETURNING failures`,
+        args: [key, now + ttlMs, now, now],
+      });
+      return Number(result.rows[0].failures);
+    },
+
+    async lock(key, lockedUntil) {
+      await turso.execute({
+        sql: "UPDATE rate_limit_lockouts SET locked_until = ?, expires_at = MAX(expires_at, ?) WHERE key = ?",
+        args: [lockedUntil, lockedUntil, key],
+      });
+    },
+
+    async resetLockout(key) {
+      await turso.execute({
+        sql: "DELETE FROM rate_limit_lockouts WHERE key = ?",
+        args: [key],
+      });
+    },
+
+    async prune() {
+      const now = Date.now();
+      await turso.batch(
+        [
+          {
+            sql: "DELETE FROM rate_limit_counters WHERE expires_at <= ?",
+            args: [now],
+          },
+          {
+            sql: "DELETE FROM rate_limit_lockouts WHERE expires_at <= ?",
+            args: [now],
+          },
+        ],
+        "write"
+      );
+    },
+  };
+
+  return store;
+};
+
+/**
+ * Pick a store by name ("memory" or "turso").
+ *
+ * @param {string} [name]
+ * @returns {RateLimitStore}
+ */
+export const createRateLimitStore = (name = "memory") => {
+  switch (String(name).toLowerCase()) {
+    case "turso":
+    case "sqlite":
+      return createTursoStore();
+    case "memory":
+      return createMemoryStore();
+    default:
+      throw new Error(
+        `Unknown RATE_LIMIT_STORE "${name}" (use memory or turso)`
+      );
+  }
+};
@@ -0,0 +1,93 @@
+import turso from "../db.js";
+import { toDbTimestamp } from "./time.js";
+
+// The sales ledger: `order_line_items` holds one row per sold, cancelled or refunded
+// line item (negative quantities for the latter two), so sales can be summed over any
+// period. products.sales_count stays the running total and is updated in the same
+// statements list, i.e. the same transaction.
+
+const NOW = "strftime('%Y-%m-%d %H:%M:%f','now')";
+
+/**
+ * @typedef {{ shopify_id: string; quantity: number; unit_price?: number | null; line_item_id?: string | null }} LedgerItem
+ */
+
+/**
+ * Statements recording `items` in the ledger and adding (sign 1) or subtracting
+ * (sign -1) their quantities from sales_count (never below zero), plus the
+ * per-product updates reported by the webhook response.
+ *
+ * @param {LedgerItem[]} items
+ * @param {{ kind: "order" | "cancellation" | "refund"; orderId: string; sign: 1 | -1; occurredAt?: Date | null; shopId: number | null }} entry
+ *   `shopId` is the shop the order was placed in (null: the default shop); only its
+ *   products are matched, Shopify ids are not unique across shops
+ */
+export const salesLedgerStatements = (
+  items,
+  { kind, orderId, sign, occurredAt, shopId }
+) => {
+  const statements = [];
+  const updates = [];
+  const at = occurredAt ? toDbTimestamp(occurredAt) : null;
+  for (const item of items) {
+    if (!item.quantity || item.quantity <= 0) continue;
+    const quantity = sign * item.quantity;
+    statements.push(
+      {
+        sql: `INSERT INTO order_line_items (kind, order_id, line_item_id, product_id, shopify_product_id, quantity, unit_price, occurred_at)
+              VALUES (?, ?, ?, (SELECT id FROM products WHERE shopify_id = ? AND shop_id IS ?), ?, ?, ?, COALESCE(?, ${NOW}))`,
+        args: [
+          kind,
+          orderId,
+          item.line_item_id ?? null,
+          item.shopify_id,
+          shopId,
+          item.shopify_id,
+          quantity,
+          item.unit_price ?? null,
+          at,
+        ],
+      },
+      {
+        sql: "UPDATE products SET sales_count = MAX(COALESCE(sales_count, 0) + ?, 0) WHERE shopify_id = ? AND shop_id IS ?",
+        args: [quantity, item.shopify_id, shopId],
+      }
+    );
+    updates.push({ shopify_id: item.shopify_id, added: quantity });
+  }
+  return { statements, updates };
+};
+
+/**
+ * SQLite date modifier going back `period` from now: "30d" -> "-30 days",
+ * "2w" -> "-14 days", "3m" -> "-3 months".
+ *
+ * @param {string} period `<n>d`, `<n>w` or `<n>m`
+ */
+export const periodModifier = (period) => {
+  const n = Number(period.slice(0, -1));
+  const unit = period.slice(-1);
+  if (unit === "m") return `-${n} months`;
+  return `-${unit === "w" ? n * 7 : n} days`;
+};
+
+/**
+ * Seed the ledger from sales_count: every product whose ledger total differs from its
+ * sales_count gets a 'backfill' row for the difference, dated at the product's
+ * creation (the sales happened some time after it). Running it again only adds what
+ * is still missing.
+ *
+ * @returns {Promise<number>} rows added
+ */
+export const backfillSalesLedger = async () => {
+  const result = await turso.execute(
+    `INSERT INTO order_line_items (kind, product_id, shopify_product_id, quantity, occurred_at)
+     SELECT 'backfill', p.id, p.shopify_id, COALESCE(p.sales_count, 0) - COALESCE(l.units, 0),
+            COALESCE(p.created_at, ${NOW})
+     FROM products p
+     LEFT JOIN (SELECT product_id, SUM(quantity) AS units FROM order_line_items
+                WHERE product_id IS NOT NULL GROUP BY product_id) l ON l.product_id = p.id
+     WHERE COALESCE(p.sales_count, 0) <> COALESCE(l.units, 0)`
+  );
+  return result.rowsAffected;
+};
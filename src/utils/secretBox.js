@@ -0,0 +1,54 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+dotenv.config();
+
+// Encryption at rest for secrets the server must be able to read back (e.g. the signing
+// secrets of webhook subscriptions), as opposed to credentials it only verifies, which
+// are hashed. AES-256-GCM with a key derived from SECRETS_ENCRYPTION_KEY, or from
+// JWT_SECRET when that is not set.
+
+const KEY = Buffer.from(
+  crypto.hkdfSync(
+    "sha256",
+    process.env.SECRETS_ENCRYPTION_KEY || process.env.JWT_SECRET || "",
+    "",
+    "secret-box",
+    32
+  )
+);
+
+/**
+ * Encrypt a secret for storage.
+ *
+ * @param {string} plaintext
+ * @returns {string} "<iv>.<tag>.<ciphertext>", base64 parts
+ */
+export const encryptSecret = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", KEY, iv);
+  const data = Buffer.concat([
+    cipher.update(plaintext, "utf8"),
+    cipher.final(),
+  ]);
+  return [iv, cipher.getAuthTag(), data]
+    .map((b) => b.toString("base64"))
+    .join(".");
+};
+
+/**
+ * Decrypt a value produced by `encryptSecret`. Throws when it was encrypted with
+ * another key or tampered with.
+ *
+ * @param {string} stored
+ * @returns {string}
+ */
+export const decryptSecret = (stored) => {
+  const [iv, tag, data] = stored
+    .split(".")
+    .map((s) => Buffer.from(s, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString(
+    "utf8"
+  );
+};
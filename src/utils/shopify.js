@@ -0,0 +1,396 @@
+import dotenv from "dotenv";
+dotenv.config();
+import { UpstreamError } from "./errors.js";
+import { currentRequestId, logger } from "./logger.js";
+import {
+  shopifyErrors,
+  shopifyRequestDuration,
+  shopifyThrottles,
+} from "./metrics.js";
+
+// Client for the Shopify Admin GraphQL API.
+//
+// - Shop domain, API version and access token come from the environment (or options).
+// - Query cost is tracked from `extensions.cost.throttleStatus` (Shopify's leaky bucket):
+//   a request waits until the bucket is expected to hold enough points for it, and
+//   THROTTLED / 429 responses are retried once enough points have leaked back.
+// - Network errors, timeouts (SHOPIFY_TIMEOUT_MS, 10 s per attempt) and 5xx responses
+//   are retried with jittered exponential backoff.
+//   Mutations are only retried on throttling unless the caller marks them idempotent,
+//   since a failed response does not prove the mutation was not applied.
+// - `userErrors` of mutations are mapped to ShopifyUserError.
+// - The HTTP transport is injectable, per client or for every client at once
+//   (`setDefaultTransport`), so the product flow can run against a fake (see test/).
+// - Calls made while handling a request send its id as X-Request-Id; every call is
+//   logged at debug level and every retry as a warning.
+// - Latency, throttling and failures are counted by operation name for /metrics.
+
+/**
+ * @typedef {{ url: string; method: string; headers: Record<string, string>; body: string; signal: AbortSignal }} TransportRequest
+ *   `signal` aborts with a TimeoutError once the attempt has taken too long
+ * @typedef {{ status: number; headers: Record<string, string>; body: string }} TransportResponse
+ * @typedef {(req: TransportRequest) => Promise<TransportResponse>} Transport
+ */
+
+/**
+ * Base class of every Shopify failure; `status` is the status our API answers with.
+ */
+export class ShopifyError extends UpstreamError {
+  /**
+   * @param {string} message
+   * @param {{ status?: number; code?: string; details?: any; cause?: unknown; expose?: boolean }} [options]
+   */
+  constructor(message, { code = "shopify_error", ...options } = {}) {
+    super(message, { code, ...options });
+  }
+}
+
+// The client is missing configuration (e.g. no access token)
+export class ShopifyConfigError extends ShopifyError {
+  constructor(message) {
+    super(message, {
+      status: 500,
+      code: "shopify_not_configured",
+      expose: false,
+    });
+  }
+}
+
+// The request never got a response (or not in time)
+export class ShopifyNetworkError extends ShopifyError {
+  constructor(cause) {
+    const timedOut = cause?.name === "TimeoutError";
+    super(timedOut ? "Shopify request timed out" : "Shopify request failed", {
+      code: timedOut ? "shopify_timeout" : "shopify_unreachable",
+      details: String(cause),
+      cause,
+    });
+  }
+}
+
+// Non-2xx HTTP response
+export class ShopifyHttpError extends ShopifyError {
+  constructor(status, body) {
+    super("Shopify error", { details: body });
+    this.shopifyStatus = status;
+  }
+}
+
+// Still throttled after every retry
+export class ShopifyThrottledError extends ShopifyError {
+  constructor(details) {
+    super("Shopify rate limit exceeded", {
+      status: 503,
+      code: "shopify_throttled",
+      details,
+    });
+  }
+}
+
+// Top-level GraphQL `errors`
+export class ShopifyGraphqlError extends ShopifyError {
+  constructor(errors) {
+    super("Shopify GraphQL error", { details: errors });
+  }
+}
+
+// `userErrors` returned by a mutation: the input was rejected. The user errors are
+// sent to the client as `details`.
+export class ShopifyUserError extends ShopifyError {
+  constructor(userErrors) {
+    super("Shopify rejected the request", {
+      status: userErrorStatus(userErrors),
+      code: "shopify_user_error",
+      details: userErrors,
+    });
+    this.userErrors = userErrors;
+  }
+}
+
+const NOT_FOUND_CODES = ["NOT_FOUND", "PRODUCT_DOES_NOT_EXIST", "INVALID_ID"];
+const CONFLICT_CODES = ["TAKEN", "ALREADY_EXISTS"];
+
+// Status for our response: 404 when Shopify does not know the resource, 409 for
+// uniqueness conflicts, 400 for any other rejected input.
+const userErrorStatus = (userErrors) => {
+  const codes = userErrors.map((e) => e.code).filter(Boolean);
+  if (
+    codes.some((c) => NOT_FOUND_CODES.includes(c)) ||
+    userErrors.some((e) => /does not exist|not found/i.test(e.message ?? ""))
+  )
+    return 404;
+  if (codes.some((c) => CONFLICT_CODES.includes(c))) return 409;
+  return 400;
+};
+
+/** @type {Transport} */
+export const fetchTransport = async ({
+  url,
+  method,
+  headers,
+  body,
+  signal,
+}) => {
+  const resp = await fetch(url, { method, headers, body, signal });
+  return {
+    status: resp.status,
+    headers: Object.fromEntries(resp.headers),
+    body: await resp.text(),
+  };
+};
+
+let defaultTransport = fetchTransport;
+
+/**
+ * Send the calls of every client created without a `transport` (the default shop's
+ * and the registered shops' included) through `transport`, e.g. a fake Shopify in
+ * tests. Pass `fetchTransport` to restore real calls.
+ *
+ * @param {Transport} transport
+ */
+export const setDefaultTransport = (transport) => {
+  defaultTransport = transport;
+};
+
+const envInt = (name, fallback) => {
+  const v = Number(process.env[name]);
+  return Number.isFinite(v) && v >= 0 ? v : fallback;
+};
+
+const defaultSleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Cost assumed for a query that has not been sent yet
+const DEFAULT_QUERY_COST = 50;
+
+const log = logger.child({ component: "shopify" });
+
+// Name of a query or mutation (`mutation productCreate(...)`), for logs and metrics
+const operationName = (query) =>
+  /^\s*(?:query|mutation)\s+(\w+)/.exec(query)?.[1] ?? "anonymous";
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.shopDomain] defaults to SHOPIFY_SHOP_DOMAIN
+ * @param {string} [options.apiVersion] defaults to SHOPIFY_API_VERSION
+ * @param {string} [options.accessToken] defaults to SHOPIFY_API_KEY
+ * @param {string} [options.baseUrl] overrides `https://<shopDomain>` (e.g. a local fake)
+ * @param {Transport} [options.transport] defaults to the one set with
+ *   `setDefaultTransport` (fetch), looked up on every call
+ * @param {number} [options.timeoutMs] per attempt, response body included
+ * @param {number} [options.maxRetries]
+ * @param {number} [options.baseDelayMs] first backoff step
+ * @param {number} [options.maxDelayMs] backoff cap
+ * @param {(ms: number) => Promise<void>} [options.sleep]
+ * @param {() => number} [options.random]
+ */
+export const createShopifyClient = ({
+  shopDomain = process.env.SHOPIFY_SHOP_DOMAIN || "securedb-2.myshopify.com",
+  apiVersion = process.env.SHOPIFY_API_VERSION || "2025-10",
+  accessToken = process.env.SHOPIFY_API_KEY,
+  baseUrl = process.env.SHOPIFY_API_BASE_URL || `https://${shopDomain}`,
+  transport,
+  timeoutMs = envInt("SHOPIFY_TIMEOUT_MS", 10000) || 10000,
+  maxRetries = envInt("SHOPIFY_MAX_RETRIES", 4),
+  baseDelayMs = 500,
+  maxDelayMs = 10000,
+  sleep = defaultSleep,
+  random = Math.random,
+} = {}) => {
+  const url = `${baseUrl.replace(/\/$/, "")}/admin/api/${apiVersion}/graphql.json`;
+
+  // Leaky bucket as last reported by Shopify
+  let bucket = null; // { available, maximum, restoreRate, at }
+  /** @type {Map<string, number>} query -> last requested cost */
+  const queryCosts = new Map();
+
+  const availableNow = () =>
+    Math.min(
+      bucket.maximum,
+      bucket.available + (bucket.restoreRate * (Date.now() - bucket.at)) / 1000
+    );
+
+  // Time until the bucket should hold `cost` points
+  const waitForPoints = (cost) => {
+    if (!bucket || bucket.restoreRate <= 0) return 0;
+    const missing = Math.min(cost, bucket.maximum) - availableNow();
+    return missing > 0 ? Math.ceil((missing / bucket.restoreRate) * 1000) : 0;
+  };
+
+  const recordCost = (query, cost) => {
+    const status = cost?.throttleStatus;
+    if (status)
+      bucket = {
+        available: status.currentlyAvailable,
+        maximum: status.maximumAvailable,
+        restoreRate: status.restoreRate,
+        at: Date.now(),
+      };
+    if (cost?.requestedQueryCost != null)
+      queryCosts.set(query, cost.requestedQueryCost);
+  };
+
+  const backoff = (attempt) =>
+    Math.floor(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+
+  const retryAfterMs = (headers) => {
+    const v = Number(headers?.["retry-after"]);
+    return Number.isFinite(v) && v > 0 ? v * 1000 : null;
+  };
+
+  // `request` without the error count
+  const send = async (query, variables, { idempotent }, operation) => {
+    if (!accessToken)
+      throw new ShopifyConfigError("Missing SHOPIFY_API_KEY in environment");
+    const retrySafe = idempotent ?? !/^\s*mutation\b/.test(query);
+    const requestId = currentRequestId();
+    const retryAfter = (attempt, reason, ms) => {
+      log.warn("Retrying Shopify request", {
+        shop: shopDomain,
+        operation,
+        attempt,
+        reason,
+        delay_ms: ms,
+      });
+      return sleep(ms);
+    };
+
+    for (let attempt = 0; ; attempt++) {
+      const wait = waitForPoints(queryCosts.get(query) ?? DEFAULT_QUERY_COST);
+      if (wait > 0) await sleep(wait);
+
+      const start = Date.now();
+      const timer = shopifyRequestDuration.startTimer({ operation });
+      let resp;
+      try {
+        resp = await (transport ?? defaultTransport)({
+          url,
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "X-Shopify-Access-Token": accessToken,
+            ...(requestId && { "X-Request-Id": requestId }),
+          },
+          body: JSON.stringify({ query, variables }),
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+      } catch (err) {
+        // a timeout is a network error: the request may still have been applied
+        const reason =
+          err?.name === "TimeoutError" ? "timeout" : "network_error";
+        timer({ status: reason });
+        if (retrySafe && attempt < maxRetries) {
+          await retryAfter(attempt, reason, backoff(attempt));
+          continue;
+        }
+        throw new ShopifyNetworkError(err);
+      }
+      timer({ status: resp.status });
+      log.debug("Shopify request", {
+        shop: shopDomain,
+        operation,
+        attempt,
+        status: resp.status,
+        duration_ms: Date.now() - start,
+      });
+
+      if (resp.status === 429) {
+        shopifyThrottles.inc({ operation });
+        if (attempt < maxRetries) {
+          await retryAfter(
+            attempt,
+            "throttled",
+            retryAfterMs(resp.headers) ?? backoff(attempt)
+          );
+          continue;
+        }
+        throw new ShopifyThrottledError(resp.body);
+      }
+      if (resp.status >= 500) {
+        if (retrySafe && attempt < maxRetries) {
+          await retryAfter(attempt, `http_${resp.status}`, backoff(attempt));
+          continue;
+        }
+        throw new ShopifyHttpError(resp.status, resp.body);
+      }
+      if (resp.status < 200 || resp.status >= 300)
+        throw new ShopifyHttpError(resp.status, resp.body);
+
+      let body;
+      try {
+        body = JSON.parse(resp.body);
+      } catch {
+        throw new ShopifyHttpError(resp.status, resp.body);
+      }
+      recordCost(query, body.extensions?.cost);
+
+      if (body.errors && body.errors.length) {
+        const throttled = body.errors.some(
+          (e) => e.extensions?.code === "THROTTLED"
+        );
+        if (!throttled) throw new ShopifyGraphqlError(body.errors);
+        shopifyThrottles.inc({ operation });
+        if (attempt >= maxRetries) throw new ShopifyThrottledError(body.errors);
+        // wait for the points this query needs, at least one backoff step
+        const cost = body.extensions?.cost?.requestedQueryCost;
+        await retryAfter(
+          attempt,
+          "throttled",
+          Math.max(waitForPoints(cost ?? DEFAULT_QUERY_COST), backoff(attempt))
+        );
+        continue;
+      }
+      return body.data;
+    }
+  };
+
+  /**
+   * Run a query or mutation and return its `data`.
+   *
+   * @param {string} query
+   * @param {Record<string, any>} [variables]
+   * @param {{ idempotent?: boolean }} [options] mutations are not retried on
+   *   network / 5xx errors unless `idempotent` is set
+   * @returns {Promise<any>}
+   */
+  const request = async (query, variables = {}, options = {}) => {
+    const operation = operationName(query);
+    try {
+      return await send(query, variables, options, operation);
+    } catch (err) {
+      shopifyErrors.inc({ operation, code: err.code ?? "shopify_error" });
+      throw err;
+    }
+  };
+
+  /**
+   * Run a mutation and return its payload (`data[field]`), throwing
+   * ShopifyUserError when the payload has `userErrors`.
+   *
+   * @param {string} mutation
+   * @param {Record<string, any>} variables
+   * @param {string} field e.g. "productCreate"
+   * @param {{ idempotent?: boolean }} [options]
+   */
+  const mutate = async (mutation, variables, field, options) => {
+    const data = await request(mutation, variables, options);
+    const payload = data?.[field];
+    let err = null;
+    if (!payload)
+      err = new ShopifyError("Unexpected Shopify response", { details: data });
+    else if (payload.userErrors && payload.userErrors.length)
+      err = new ShopifyUserError(payload.userErrors);
+    if (err) {
+      shopifyErrors.inc({ operation: operationName(mutation), code: err.code });
+      throw err;
+    }
+    return payload;
+  };
+
+  return { request, mutate, shopDomain, apiVersion };
+};
+
+// GID of a product from its numeric id (`products.shopify_id`)
+export const productGid = (shopifyId) => `gid://shopify/Product/${shopifyId}`;
+
+// Client for the shop configured in the environment
+export const shopify = createShopifyClient();
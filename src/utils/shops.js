@@ -0,0 +1,146 @@
+import turso from "../db.js";
+import { createShopifyClient, shopify } from "./shopify.js";
+import { decryptSecret } from "./secretBox.js";
+import { ConflictError } from "./errors.js";
+
+// Shopify stores products can live in.
+//
+// The store configured in the environment (SHOPIFY_SHOP_DOMAIN / SHOPIFY_API_KEY /
+// SHOPIFY_WEBHOOK_SECRET) is the default shop: its products have `shop_id` NULL. More
+// stores are registered in `shops` by admins, with their access token and webhook
+// secret encrypted (utils/secretBox.js). A shop the app was uninstalled from
+// (`uninstalled_at`, set by the app/uninstalled webhook) is left out until an admin
+// gives it a new access token.
+
+const DEFAULT_LOCATION_ID =
+  process.env.SHOPIFY_LOCATION_ID || "gid://shopify/Location/77964902469";
+
+/**
+ * @typedef {object} Shop
+ * @property {number | null} id `shops.id`; null for the default shop
+ * @property {string} domain
+ * @property {string} locationId inventory location for new products
+ * @property {ReturnType<typeof createShopifyClient>} client
+ */
+
+/** @type {Shop} */
+export const DEFAULT_SHOP = {
+  id: null,
+  domain: shopify.shopDomain,
+  locationId: DEFAULT_LOCATION_ID,
+  client: shopify,
+};
+
+// shops.id -> { updatedAt, client }; rebuilt when the row changes (e.g. new token)
+const clients = new Map();
+
+const toShop = (row) => {
+  let cached = clients.get(row.id);
+  if (!cached || cached.updatedAt !== row.updated_at) {
+    cached = {
+      updatedAt: row.updated_at,
+      client: createShopifyClient({
+        shopDomain: row.domain,
+        accessToken: decryptSecret(row.access_token),
+      }),
+    };
+    clients.set(row.id, cached);
+  }
+  return {
+    id: row.id,
+    domain: row.domain,
+    locationId: row.location_id || DEFAULT_LOCATION_ID,
+    client: cached.client,
+  };
+};
+
+const SHOP_COLUMNS = "id, domain, access_token, location_id, updated_at";
+const INSTALLED = "uninstalled_at IS NULL";
+
+/**
+ * Normalize a shop domain as sent by clients and Shopify ("My-Shop.myshopify.com").
+ *
+ * @param {string} domain
+ */
+export const normalizeShopDomain = (domain) =>
+  String(domain).trim().toLowerCase();
+
+/**
+ * The shop with this domain: a registered one, or the default shop. Resolves to
+ * the default shop when `domain` is empty and to null when the domain is unknown or
+ * the app was uninstalled from it.
+ *
+ * @param {string | null | undefined} domain
+ * @returns {Promise<Shop | null>}
+ */
+export const resolveShop = async (domain) => {
+  if (!domain) return DEFAULT_SHOP;
+  const normalized = normalizeShopDomain(domain);
+  const result = await turso.execute({
+    sql: `SELECT ${SHOP_COLUMNS} FROM shops WHERE domain = ? AND ${INSTALLED} LIMIT 1`,
+    args: [normalized],
+  });
+  if (result.rows.length) return toShop(result.rows[0]);
+  return normalized === DEFAULT_SHOP.domain ? DEFAULT_SHOP : null;
+};
+
+/**
+ * The shop a product row belongs to (`products.shop_id`). Throws a ConflictError
+ * (`shop_uninstalled`) when the app was uninstalled from it.
+ *
+ * @param {number | null} shopId
+ * @returns {Promise<Shop>}
+ */
+export const shopById = async (shopId) => {
+  if (shopId == null) return DEFAULT_SHOP;
+  const result = await turso.execute({
+    sql: `SELECT ${SHOP_COLUMNS}, uninstalled_at FROM shops WHERE id = ? LIMIT 1`,
+    args: [shopId],
+  });
+  if (!result.rows.length) throw new Error(`Shop ${shopId} not found`);
+  const row = result.rows[0];
+  if (row.uninstalled_at)
+    throw new ConflictError(
+      "The app was uninstalled from this product's shop",
+      {
+        code: "shop_uninstalled",
+        details: { shop: row.domain, uninstalled_at: row.uninstalled_at },
+      }
+    );
+  return toShop(row);
+};
+
+/**
+ * Every shop products can be reconciled with: the default shop when it has an access
+ * token, then the registered ones still installed.
+ *
+ * @returns {Promise<Shop[]>}
+ */
+export const listShops = async () => {
+  const result = await turso.execute(
+    `SELECT ${SHOP_COLUMNS} FROM shops WHERE ${INSTALLED} ORDER BY id`
+  );
+  return [
+    ...(process.env.SHOPIFY_API_KEY ? [DEFAULT_SHOP] : []),
+    ...result.rows.map(toShop),
+  ];
+};
+
+/**
+ * Secret the webhooks of `domain` are signed with: the registered shop's, or
+ * SHOPIFY_WEBHOOK_SECRET for any other domain (the default shop). Null when neither
+ * exists.
+ *
+ * @param {string | null | undefined} domain
+ * @returns {Promise<string | null>}
+ */
+export const webhookSecretForShop = async (domain) => {
+  if (domain) {
+    const result = await turso.execute({
+      sql: "SELECT webhook_secret FROM shops WHERE domain = ? LIMIT 1",
+      args: [normalizeShopDomain(domain)],
+    });
+    if (result.rows.length) return decryptSecret(result.rows[0].webhook_secret);
+  }
+  return process.env.SHOPIFY_WEBHOOK_SECRET || null;
+};
@@ -0,0 +1,10 @@
+/**
+ * Format a Date the way the DB stores timestamps
+ * (strftime('%Y-%m-%d %H:%M:%f','now'), i.e. "YYYY-MM-DD HH:MM:SS.SSS" in UTC),
+ * so values can be compared with stored columns as text.
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+export const toDbTimestamp = (date) =>
+  date.toISOString().replace("T", " ").replace("Z", "");
@@ -0,0 +1,211 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+import turso from "../db.js";
+import generatePublicIds from "./generatePublicIds.js";
+import { rolePermissionExistsSql } from "./permissions.js";
+import { AuthError, ForbiddenError } from "./errors.js";
+
+dotenv.config();
+
+const SECRET = process.env.JWT_SECRET;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "1h";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Access tokens are short-lived JWTs; refresh tokens are opaque random strings stored
+// hashed in `refresh_tokens` and grouped by session (one session per login).
+
+/**
+ * sha256 hex digest, same scheme as api_keys.key_hash.
+ * @param {string} raw
+ * @returns {string}
+ */
+export const hashToken = (raw) =>
+  crypto.createHash("sha256").update(String(raw)).digest("hex");
+
+/**
+ * Sign an access token for a user row. The session public id is embedded so
+ * `auth` can reject access tokens of sessions that were revoked.
+ *
+ * @param {{ public_id: string; username: string; role_id: number; token_version: number }} user
+ * @param {string} [sessionPublicId]
+ * @returns {string}
+ */
+export const signAccessToken = (user, sessionPublicId) =>
+  jwt.sign(
+    {
+      public_id: user.public_id,
+      username: user.username,
+      role_id: user.role_id,
+      token_version: user.token_version,
+      ...(sessionPublicId ? { session_id: sessionPublicId } : {}),
+    },
+    SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+const refreshExpiryModifier = () => `+${REFRESH_TOKEN_TTL_DAYS} days`;
+
+/**
+ * Start a new session for a user and issue its first refresh token.
+ *
+ * @param {{ id: number; token_version: number }} user
+ * @param {{ ip?: string; userAgent?: string }} [meta]
+ * @returns {Promise<{ session_id: string; refresh_token: string }>}
+ */
+export const createSession = async (user, meta = {}) => {
+  const sessionPublicId = generatePublicIds("session");
+  const raw = crypto.randomBytes(32).toString("hex");
+  const modifier = refreshExpiryModifier();
+
+  await turso.batch(
+    [
+      {
+        sql: `INSERT INTO sessions (public_id, user_id, token_version, user_agent, ip, expires_at)
+              VALUES (?, ?, ?, ?, ?, strftime('%Y-%m-%d %H:%M:%f','now', ?))`,
+        args: [
+          sessionPublicId,
+          user.id,
+          user.token_version ?? 0,
+          meta.userAgent ?? null,
+          meta.ip ?? null,
+          modifier,
+        ],
+      },
+      {
+        sql: `INSERT INTO refresh_tokens (token_hash, session_id, expires_at)
+              SELECT ?, id, strftime('%Y-%m-%d %H:%M:%f','now', ?) FROM sessions WHERE public_id = ?`,
+        args: [hashToken(raw), modifier, sessionPublicId],
+      },
+    ],
+    "write"
+  );
+
+  return { session_id: sessionPublicId, refresh_token: raw };
+};
+
+/**
+ * Revoke a single session (and with it every refresh token of its family).
+ *
+ * @param {number} sessionId internal session id
+ * @param {string} reason
+ */
+export const revokeSession = async (sessionId, reason) => {
+  await turso.execute({
+    sql: "UPDATE sessions SET revoked_at = strftime('%Y-%m-%d %H:%M:%f','now'), revoked_reason = ? WHERE id = ? AND revoked_at IS NULL",
+    args: [reason, sessionId],
+  });
+};
+
+/**
+ * Revoke every active session of a user. Called whenever token_version is bumped.
+ *
+ * @param {number} userId internal user id
+ * @param {string} reason
+ */
+export const revokeUserSessions = async (userId, reason) => {
+  await turso.execute({
+    sql: "UPDATE sessions SET revoked_at = strftime('%Y-%m-%d %H:%M:%f','now'), revoked_reason = ? WHERE user_id = ? AND revoked_at IS NULL",
+    args: [reason, userId],
+  });
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ * The presented token is consumed; presenting it again revokes the whole session.
+ * Rejected tokens throw an AuthError (or ForbiddenError when login is not allowed).
+ *
+ * @param {string} raw
+ * @param {{ ip?: string; userAgent?: string }} [meta]
+ * @returns {Promise<{ token: string; refresh_token: string; session_id: string }>}
+ */
+export const rotateRefreshToken = async (raw, meta = {}) => {
+  const result = await turso.execute({
+    sql: `SELECT rt.id AS token_id, rt.used_at, rt.expires_at > strftime('%Y-%m-%d %H:%M:%f','now') AS token_live,
+                 s.id AS session_id, s.public_id AS session_public_id, s.token_version AS session_token_version,
+                 s.revoked_at, s.expires_at > strftime('%Y-%m-%d %H:%M:%f','now') AS session_live,
+                 u.id AS user_id, u.public_id, u.username, u.role_id, u.token_version,
+                 ${rolePermissionExistsSql("u.role_id")} AS can_post_login
+          FROM refresh_tokens rt
+          JOIN sessions s ON s.id = rt.session_id
+          JOIN users u ON u.id = s.user_id
+          WHERE rt.token_hash = ? LIMIT 1`,
+    args: ["post_login", hashToken(raw)],
+  });
+  const row = result.rows[0];
+  if (!row)
+    throw new AuthError("Invalid refresh token", {
+      code: "invalid_refresh_token",
+    });
+
+  if (row.revoked_at)
+    throw new AuthError("Session revoked", { code: "session_revoked" });
+
+  if (row.used_at) {
+    // A consumed token was presented again: assume it leaked and kill the family.
+    await revokeSession(row.session_id, "refresh_token_reuse");
+    throw new AuthError("Refresh token reuse detected; session revoked", {
+      code: "refresh_token_reused",
+    });
+  }
+
+  if (!row.token_live || !row.session_live)
+    throw new AuthError("Refresh token expired", {
+      code: "refresh_token_expired",
+    });
+
+  if ((row.token_version ?? null) !== (row.session_token_version ?? null)) {
+    await revokeSession(row.session_id, "token_version_changed");
+    throw new AuthError("Token invalidated", { code: "token_invalidated" });
+  }
+
+  if (!row.can_post_login) {
+    await revokeSession(row.session_id, "login_permission_denied");
+    throw new ForbiddenError("Login permission denied", {
+      code: "login_permission_denied",
+    });
+  }
+
+  // Consume the token atomically so two concurrent refreshes cannot both succeed.
+  const consumed = await turso.execute({
+    sql: "UPDATE refresh_tokens SET used_at = strftime('%Y-%m-%d %H:%M:%f','now') WHERE id = ? AND used_at IS NULL",
+    args: [row.token_id],
+  });
+  if (consumed.rowsAffected !== 1) {
+    await revokeSession(row.session_id, "refresh_token_reuse");
+    throw new AuthError("Refresh token reuse detected; session revoked", {
+      code: "refresh_token_reused",
+    });
+  }
+
+  const next = crypto.randomBytes(32).toString("hex");
+  await turso.batch(
+    [
+      {
+        sql: "INSERT INTO refresh_tokens (token_hash, session_id, expires_at) VALUES (?, ?, strftime('%Y-%m-%d %H:%M:%f','now', ?))",
+        args: [hashToken(next), row.session_id, refreshExpiryModifier()],
+      },
+      {
+        sql: "UPDATE sessions SET last_used_at = strftime('%Y-%m-%d %H:%M:%f','now'), ip = COALESCE(?, ip), user_agent = COALESCE(?, user_agent) WHERE id = ?",
+        args: [meta.ip ?? null, meta.userAgent ?? null, row.session_id],
+      },
+    ],
+    "write"
+  );
+
+  const token = signAccessToken(
+    {
+      public_id: row.public_id,
+      username: row.username,
+      role_id: row.role_id,
+      token_version: row.token_version,
+    },
+    row.session_public_id
+  );
+
+  return {
+    token,
+    refresh_token: next,
+    session_id: row.session_public_id,
+  };
+};
@@ -0,0 +1,344 @@
+import turso from "../db.js";
+import { z } from "zod";
+import generatePublicIds from "./generatePublicIds.js";
+
+// Product variants: option values (size, colour...), price, SKU and stock per location.
+// Shopify is authoritative; `product_variants` and `variant_inventory_levels` mirror it.
+// They are written when variants are created or changed through the API and refreshed
+// by the products/update and inventory_levels/update webhooks.
+
+const NOW = "strftime('%Y-%m-%d %H:%M:%f','now')";
+
+// Variants one request may create or change (Shopify allows more per product)
+export const MAX_VARIANTS_PER_REQUEST = 100;
+
+// Shopify allows three options per product
+const MAX_OPTIONS = 3;
+
+export const locationIdSchema = z
+  .string()
+  .regex(/^gid:\/\/shopify\/Location\/\d+$/, {
+    message:
+      "locationId must be a Shopify Location GID like gid://shopify/Location/12345",
+  });
+
+export const priceSchema = z.preprocess(
+  (v) => (typeof v === "string" ? Number(v) : v),
+  z.number().nonnegative()
+);
+
+// option name -> value, e.g. { "Size": "M", "Color": "Red" }
+export const optionsSchema = z
+  .record(z.string().min(1), z.string().min(1))
+  .refine((o) => Object.keys(o).length >= 1, {
+    message: "Give at least one option",
+  })
+  .refine((o) => Object.keys(o).length <= MAX_OPTIONS, {
+    message: `A product has at most ${MAX_OPTIONS} options`,
+  });
+
+export const variantSchema = z.object({
+  options: optionsSchema,
+  price: priceSchema,
+  sku: z.string().min(1).optional(),
+  // starting stock at `locationId` (default: the shop's location)
+  quantity: z.preprocess(
+    (v) => (typeof v === "string" ? Number(v) : v),
+    z.number().int().nonnegative().optional()
+  ),
+  locationId: locationIdSchema.optional(),
+});
+
+const optionKey = (options) => JSON.stringify(Object.entries(options));
+
+// Variants of one product: the same option names on each, no combination twice
+export const variantListSchema = z
+  .array(variantSchema)
+  .min(1)
+  .max(MAX_VARIANTS_PER_REQUEST)
+  .superRefine((variants, ctx) => {
+    const names = Object.keys(variants[0].options).sort().join("\u0000");
+    const seen = new Set();
+    variants.forEach((v, i) => {
+      if (Object.keys(v.options).sort().join("\u0000") !== names)
+        ctx.addIssue({
+          code: "custom",
+          path: [i, "options"],
+          message: "Every variant must have the same option names",
+        });
+      const key = optionKey(v.options);
+      if (seen.has(key))
+        ctx.addIssue({
+          code: "custom",
+          path: [i, "options"],
+          message: "Duplicate option values",
+        });
+      seen.add(key);
+    });
+  });
+
+// Shopify fields returned for created / updated variants
+export const VARIANT_FIELDS =
+  "id title price sku position selectedOptions { name value } inventoryItem { id }";
+
+const numericId = (gid) => (gid == null ? null : String(gid).split("/").pop());
+
+export const variantGid = (shopifyVariantId) =>
+  `gid://shopify/ProductVariant/${shopifyVariantId}`;
+
+export const inventoryItemGid = (inventoryItemId) =>
+  `gid://shopify/InventoryItem/${inventoryItemId}`;
+
+export const locationGid = (locationId) =>
+  `gid://shopify/Location/${locationId}`;
+
+/**
+ * `productOptions` for productCreate: the option names in order of appearance, each
+ * with its values.
+ *
+ * @param {z.infer<typeof variantSchema>[]} variants
+ */
+export const productOptionsInput = (variants) => {
+  const options = new Map();
+  for (const v of variants)
+    for (const [name, value] of Object.entries(v.options)) {
+      if (!options.has(name)) options.set(name, new Set());
+      options.get(name).add(value);
+    }
+  return [...options].map(([name, values]) => ({
+    name,
+    values: [...values].map((value) => ({ name: value })),
+  }));
+};
+
+/**
+ * ProductVariantsBulkInput for a new variant.
+ *
+ * @param {z.infer<typeof variantSchema>} variant
+ * @param {string} defaultLocationId where `quantity` goes when the variant has no locationId
+ */
+export const toShopifyVariantInput = (variant, defaultLocationId) => ({
+  price: variant.price,
+  optionValues: Object.entries(variant.options).map(([optionName, name]) => ({
+    optionName,
+    name,
+  })),
+  inventoryItem: { tracked: true, ...(variant.sku && { sku: variant.sku }) },
+  ...(variant.quantity != null && {
+    inventoryQuantities: [
+      {
+        availableQuantity: variant.quantity,
+        locationId: variant.locationId || defaultLocationId,
+      },
+    ],
+  }),
+});
+
+/**
+ * Create variants of a Shopify product; resolves to the created ProductVariants, in the
+ * order of `variants`.
+ *
+ * @param {{ mutate: Function }} client
+ * @param {string} productGid
+ * @param {object[]} variants ProductVariantsBulkInput
+ * @param {{ replaceStandalone?: boolean }} [options] replace the variant Shopify made
+ *   with the product (when the product was created with `productOptions`)
+ */
+export const createShopifyVariants = async (
+  client,
+  productGid,
+  variants,
+  { replaceStandalone = false } = {}
+) => {
+  const payload = await client.mutate(
+    `mutation productVariantsBulkCreate($productId: ID!, $variants: [ProductVariantsBulkInput!]!, $strategy: ProductVariantsBulkCreateStrategy) {
+      productVariantsBulkCreate(productId: $productId, variants: $variants, strategy: $strategy) {
+        productVariants { ${VARIANT_FIELDS} }
+        userErrors { field message code }
+      }
+    }`,
+    {
+      productId: productGid,
+      variants,
+      strategy: replaceStandalone ? "REMOVE_STANDALONE_VARIANT" : "DEFAULT",
+    },
+    "productVariantsBulkCreate"
+  );
+  return payload.productVariants ?? [];
+};
+
+/**
+ * @typedef {object} VariantRecord
+ * @property {string} shopify_variant_id
+ * @property {string | null} inventory_item_id
+ * @property {string | null} title
+ * @property {string | null} sku
+ * @property {number | null} price
+ * @property {Record<string, string>} options
+ * @property {number | null} position
+ */
+
+/**
+ * Local record of a variant returned by the GraphQL API.
+ *
+ * @returns {VariantRecord}
+ */
+export const fromShopifyVariant = (v) => ({
+  shopify_variant_id: numericId(v.id),
+  inventory_item_id: numericId(v.inventoryItem?.id),
+  title: v.title ?? null,
+  sku: v.sku || null,
+  price: v.price != null ? Number(v.price) : null,
+  options: Object.fromEntries(
+    (v.selectedOptions ?? []).map((o) => [o.name, o.value])
+  ),
+  position: v.position ?? null,
+});
+
+/**
+ * Insert or refresh a variant of the product matching `product` ({ sql, args } on
+ * `products`). Writes nothing when no product matches.
+ *
+ * @param {{ sql: string; args: any[] }} product
+ * @param {VariantRecord} variant
+ */
+export const upsertVariantStatement = (product, variant) => ({
+  sql: `INSERT INTO product_variants (public_id, product_id, shopify_variant_id, inventory_item_id, title, sku, price, options, position)
+        SELECT ?, id, ?, ?, ?, ?, ?, ?, ? FROM products WHERE ${product.sql}
+        ON CONFLICT(shopify_variant_id) DO UPDATE SET
+          inventory_item_id = COALESCE(excluded.inventory_item_id, inventory_item_id),
+          title = excluded.title, sku = excluded.sku, price = excluded.price,
+          options = excluded.options, position = COALESCE(excluded.position, position),
+          updated_at = ${NOW}`,
+  args: [
+    generatePublicIds("variant"),
+    variant.shopify_variant_id,
+    variant.inventory_item_id,
+    variant.title,
+    variant.sku,
+    variant.price,
+    JSON.stringify(variant.options),
+    variant.position,
+    ...product.args,
+  ],
+});
+
+/**
+ * Forget the variants of the product matching `product` that are not in
+ * `shopifyVariantIds` (deleted on Shopify), with their inventory levels.
+ *
+ * @param {{ sql: string; args: any[] }} product
+ * @param {string[]} shopifyVariantIds
+ */
+export const deleteOtherVariantsStatements = (product, shopifyVariantIds) => {
+  const stale = `SELECT id FROM product_variants
+                 WHERE product_id IN (SELECT id FROM products WHERE ${product.sql})
+                   AND shopify_variant_id NOT IN (SELECT value FROM json_each(?))`;
+  const args = [...product.args, JSON.stringify(shopifyVariantIds)];
+  return [
+    {
+      sql: `DELETE FROM variant_inventory_levels WHERE variant_id IN (${stale})`,
+      args,
+    },
+    { sql: `DELETE FROM product_variants WHERE id IN (${stale})`, args },
+  ];
+};
+
+/**
+ * Set the stock of the variant matching `variant` ({ sql, args } on
+ * `product_variants`) at `locationId`. A level changed after `changedAt` is kept, so
+ * late webhook deliveries do not undo newer changes.
+ *
+ * @param {{ sql: string; args: any[] }} variant
+ * @param {string} locationId Location GID
+ * @param {number | null} available
+ * @param {string | null} [changedAt] DB timestamp; defaults to now
+ */
+export const setInventoryLevelStatement = (
+  variant,
+  locationId,
+  available,
+  changedAt = null
+) => ({
+  sql: `INSERT INTO variant_inventory_levels (variant_id, location_id, available, updated_at)
+        SELECT id, ?, ?, COALESCE(?, ${NOW}) FROM product_variants WHERE ${variant.sql}
+        ON CONFLICT(variant_id, location_id) DO UPDATE SET
+          available = excluded.available, updated_at = excluded.updated_at
+        WHERE excluded.updated_at >= variant_inventory_levels.updated_at`,
+  args: [locationId, available, changedAt, ...variant.args],
+});
+
+/**
+ * Add `delta` to a known stock level of the variant with local id `variantId`; an
+ * unknown level stays unknown until Shopify reports it.
+ *
+ * @param {number} variantId
+ * @param {string} locationId
+ * @param {number} delta
+ */
+export const adjustInventoryLevelStatement = (
+  variantId,
+  locationId,
+  delta
+) => ({
+  sql: `INSERT INTO variant_inventory_levels (variant_id, location_id, available, updated_at)
+        VALUES (?, ?, NULL, ${NOW})
+        ON CONFLICT(variant_id, location_id) DO UPDATE SET
+          available = available + ?, updated_at = ${NOW}`,
+  args: [variantId, locationId, delta],
+});
+
+const serializeVariant = (v, levels) => ({
+  public_id: v.public_id,
+  shopify_variant_id: v.shopify_variant_id,
+  title: v.title,
+  sku: v.sku,
+  price: v.price,
+  options: v.options ? JSON.parse(v.options) : {},
+  position: v.position,
+  inventory: levels.map((l) => ({
+    location_id: l.location_id,
+    available: l.available,
+    updated_at: l.updated_at,
+  })),
+  created_at: v.created_at,
+  updated_at: v.updated_at,
+});
+
+/**
+ * The variants of a product with their stock per location, in Shopify's order.
+ *
+ * @param {number} productId
+ * @param {{ publicIds?: string[] }} [options] only these variants
+ */
+export const listProductVariants = async (productId, { publicIds } = {}) => {
+  const only = publicIds
+    ? " AND public_id IN (SELECT value FROM json_each(?))"
+    : "";
+  const args = publicIds ? [productId, JSON.stringify(publicIds)] : [productId];
+  const [variants, levels] = await turso.batch(
+    [
+      {
+        sql: `SELECT id, public_id, shopify_variant_id, title, sku, price, options, position, created_at, updated_at
+              FROM product_variants WHERE product_id = ?${only}
+              ORDER BY position IS NULL, position, id`,
+        args,
+      },
+      {
+        sql: `SELECT variant_id, location_id, available, updated_at FROM variant_inventory_levels
+              WHERE variant_id IN (SELECT id FROM product_variants WHERE product_id = ?${only})
+              ORDER BY location_id`,
+        args,
+      },
+    ],
+    "read"
+  );
+  const byVariant = new Map();
+  for (const l of levels.rows) {
+    if (!byVariant.has(l.variant_id)) byVariant.set(l.variant_id, []);
+    byVariant.get(l.variant_id).push(l);
+  }
+  return variants.rows.map((v) =>
+    serializeVariant(v, byVariant.get(v.id) ?? [])
+  );
+};
@@ -0,0 +1,71 @@
+import turso from "../db.js";
+import generatePublicIds from "./generatePublicIds.js";
+import { rolePermissionExistsSql } from "./permissions.js";
+import { pokeWebhookDispatcher } from "../jobs/webhookDispatcher.js";
+import { logger } from "./logger.js";
+
+// Events sent to outgoing webhook subscriptions.
+//
+// An event concerns one user (the owner of the product or API key, the user whose role
+// changed) and goes to that user's subscriptions, plus those of users allowed to read
+// the resource for everyone (the event's `audience` permission). Publishing stores one
+// delivery per matching subscription; the dispatcher sends them in the background.
+
+/**
+ * Event types and the permission that lets a subscriber receive the events of other
+ * users (null: only the user's own events).
+ *
+ * @type {Record<string, string | null>}
+ */
+export const EVENT_TYPES = {
+  "product.created": "get_products",
+  "product.sold": "get_products",
+  "api_key.created": null,
+  "user.role_changed": "get_users",
+};
+
+/**
+ * Queue `type` for every active subscription that should receive it. Like auditing,
+ * publishing must never break the action it reports: failures are logged and swallowed.
+ *
+ * @param {keyof typeof EVENT_TYPES} type
+ * @param {{ userId: number; data: object }} event `userId` is the user the event concerns
+ */
+export const publishWebhookEvent = async (type, { userId, data }) => {
+  try {
+    const audience = EVENT_TYPES[type];
+    const subscriptions = await turso.execute({
+      sql: `SELECT s.id FROM webhook_subscriptions s JOIN users u ON u.id = s.user_id
+            WHERE s.active = 1
+              AND EXISTS (SELECT 1 FROM json_each(s.events) WHERE value = ?)
+              AND ${rolePermissionExistsSql("u.role_id")}
+              AND (s.user_id = ?${audience ? ` OR ${rolePermissionExistsSql("u.role_id")}` : ""})`,
+      args: [
+        type,
+        "manage_webhook_subscriptions",
+        userId,
+        ...(audience ? [audience] : []),
+      ],
+    });
+    if (!subscriptions.rows.length) return;
+
+    const eventId = generatePublicIds("evt");
+    const payload = JSON.stringify({
+      id: eventId,
+      type,
+      created_at: new Date().toISOString(),
+      data,
+    });
+    await turso.batch(
+      subscriptions.rows.map((s) => ({
+        sql: `INSERT INTO webhook_subscription_deliveries (public_id, subscription_id, event_id, event_type, payload)
+              VALUES (?, ?, ?, ?, ?)`,
+        args: [generatePublicIds("whd"), s.id, eventId, type, payload],
+      })),
+      "write"
+    );
+    pokeWebhookDispatcher();
+  } catch (err) {
+    logger.error("Failed to publish webhook event", { type, err });
+  }
+};
@@ -0,0 +1,96 @@
+import dns from "dns/promises";
+import { lookup } from "dns";
+import dotenv from "dotenv";
+dotenv.config();
+import { ipInRanges } from "./cidr.js";
+
+// Outgoing webhooks are POSTed from inside our network, so endpoint URLs must not
+// point back into it: they have to be https and resolve to public addresses only.
+// OUTGOING_WEBHOOKS_ALLOW_PRIVATE_URLS=true lifts both rules (local development).
+
+const ALLOW_PRIVATE =
+  process.env.OUTGOING_WEBHOOKS_ALLOW_PRIVATE_URLS === "true";
+
+// Loopback, private, link-local, shared, reserved and multicast ranges. IPv4-mapped
+// IPv6 (::ffff:7f00:1 as well as ::ffff:127.0.0.1) is matched against the IPv4 ones,
+// see cidr.js; NAT64 addresses embed an IPv4 one that may be anything.
+const NON_PUBLIC_RANGES = [
+  "0.0.0.0/8",
+  "10.0.0.0/8",
+  "100.64.0.0/10",
+  "127.0.0.0/8",
+  "169.254.0.0/16",
+  "172.16.0.0/12",
+  "192.0.0.0/24",
+  "192.168.0.0/16",
+  "198.18.0.0/15",
+  "224.0.0.0/4",
+  "240.0.0.0/4",
+  "::/128",
+  "::1/128",
+  "64:ff9b::/96",
+  "fc00::/7",
+  "fe80::/10",
+  "ff00::/8",
+];
+
+const NON_PUBLIC_REASON = "must not resolve to a private or reserved address";
+
+const anyNonPublic = (addresses) =>
+  addresses.some((a) => ipInRanges(a.address, NON_PUBLIC_RANGES));
+
+/**
+ * Check that `url` may receive webhooks. Resolves the host, so call it when the URL is
+ * registered and again before each delivery (DNS can change in between); deliveries
+ * also connect through `publicLookup` so the host cannot change its answer between
+ * this check and the request.
+ *
+ * @param {string} url
+ * @returns {Promise<string | null>} why the URL is refused, or null when it is allowed
+ */
+export const checkWebhookUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return "must be an absolute URL";
+  }
+  if (parsed.protocol !== "https:" && parsed.protocol !== "http:")
+    return "must be an http(s) URL";
+  if (parsed.username || parsed.password) return "must not contain credentials";
+  if (ALLOW_PRIVATE) return null;
+  if (parsed.protocol !== "https:") return "must use https";
+
+  const host = parsed.hostname.replace(/^\[(.*)\]$/, "$1");
+  let addresses;
+  try {
+    addresses = await dns.lookup(host, { all: true, verbatim: true });
+  } catch {
+    return "host could not be resolved";
+  }
+  if (anyNonPublic(addresses)) return NON_PUBLIC_REASON;
+  return null;
+};
+
+/**
+ * `dns.lookup` replacement for http(s).request: fails with code
+ * ERR_NON_PUBLIC_ADDRESS when the host resolves to any non-public address, so the
+ * socket connects to an address that was checked. IP literals skip lookups and are
+ * left to `checkWebhookUrl`.
+ *
+ * @type {typeof lookup}
+ */
+export const publicLookup = (hostname, options, callback) => {
+  if (typeof options === "function") [callback, options] = [options, {}];
+  lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!ALLOW_PRIVATE && anyNonPublic(addresses))
+      return callback(
+        Object.assign(new Error(NON_PUBLIC_REASON), {
+          code: "ERR_NON_PUBLIC_ADDRESS",
+        })
+      );
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
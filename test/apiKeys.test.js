@@ -0,0 +1,87 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { registerAndLogin, serveApp, useTestDatabase } from "./helpers.js";
+
+// API key lifecycle through the HTTP API: leaked-key revocation is permanent.
+
+process.env.JWT_SECRET = "test-jwt-secret";
+process.env.LOG_LEVEL ||= "error";
+
+const { cleanup } = await useTestDatabase();
+const api = await serveApp();
+
+let token;
+
+const createKey = async (name) => {
+  const res = await api.request("POST", "/api/api-keys", {
+    token,
+    body: { name, permissions: ["get_my_user"] },
+  });
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+  return res.body.created[0];
+};
+
+before(async () => {
+  token = await registerAndLogin(api.request, "key_owner");
+});
+
+after(async () => {
+  await api.close();
+  await cleanup();
+});
+
+test("a key works until it is revoked as leaked", async () => {
+  const key = await createKey("ci");
+  const before = await api.request("GET", "/api/my-user", {
+    apiKey: key.raw_key,
+  });
+  assert.equal(before.status, 200);
+
+  const revoked = await api.request("POST", "/api/api-keys/revoke-leaked", {
+    body: { key: key.raw_key },
+  });
+  assert.equal(revoked.status, 200);
+
+  const after = await api.request("GET", "/api/my-user", {
+    apiKey: key.raw_key,
+  });
+  assert.equal(after.status, 403);
+});
+
+test("a revoked key cannot be re-enabled or rotated", async () => {
+  const key = await createKey("leaked");
+  await api.request("POST", "/api/api-keys/revoke-leaked", {
+    body: { key: key.raw_key },
+  });
+
+  const patch = await api.request("PATCH", `/api/api-keys/${key.public_id}`, {
+    token,
+    body: { disabled: false },
+  });
+  assert.equal(patch.status, 409);
+  assert.equal(patch.body.code, "api_key_revoked");
+
+  const rotate = await api.request(
+    "POST",
+    `/api/api-keys/${key.public_id}/rotate`,
+    { token, body: {} }
+  );
+  assert.equal(rotate.status, 409);
+
+  const use = await api.request("GET", "/api/my-user", {
+    apiKey: key.raw_key,
+  });
+  assert.equal(use.status, 403);
+});
+
+test("revoking the same key again is acknowledged", async () => {
+  const key = await createKey("twice");
+  await api.request("POST", "/api/api-keys/revoke-leaked", {
+    body: { key: key.raw_key },
+  });
+  const again = await api.request("POST", "/api/api-keys/revoke-leaked", {
+    body: { key: key.raw_key },
+  });
+  assert.equal(again.status, 200);
+  assert.match(again.body.message, /already revoked/);
+});
@@ -0,0 +1,134 @@
+import { mkdtemp, readFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+// Shared setup of the test suite (`npm test`, node:test).
+
+export const HANG = Symbol("hang");
+
+/**
+ * A fake Shopify as an in-memory transport. Each call is answered with the next
+ * scripted reply: a response, an error to throw, HANG (no answer until the client's
+ * timeout aborts the attempt) or a function of the parsed GraphQL request returning
+ * one of those.
+ *
+ * @param {any[]} replies
+ */
+export const fakeShopify = (replies) => {
+  const calls = [];
+  /** @type {import("../src/utils/shopify.js").Transport} */
+  const transport = async (req) => {
+    const json = JSON.parse(req.body);
+    calls.push({ ...req, json });
+    let reply = replies.shift();
+    if (typeof reply === "function") reply = reply(json);
+    if (!reply) throw new Error("Unexpected Shopify call");
+    if (reply === HANG)
+      return new Promise((_, reject) => {
+        // stands in for the open socket: the timeout timer alone does not keep
+        // the process alive
+        const socket = setInterval(() => {}, 1000);
+        req.signal.addEventListener("abort", () => {
+          clearInterval(socket);
+          reject(req.signal.reason);
+        });
+      });
+    if (reply instanceof Error) throw reply;
+    return reply;
+  };
+  return { transport, calls };
+};
+
+// A GraphQL response with `data`
+export const graphql = (data, extensions) => ({
+  status: 200,
+  headers: { "content-type": "application/json" },
+  body: JSON.stringify({ data, ...(extensions && { extensions }) }),
+});
+
+/**
+ * Point the app at a fresh `file:` database created from migrations/dbinit.sql. Call
+ * it before importing anything from src/: db.js reads TURSO_DATABASE_URL on import.
+ */
+export const useTestDatabase = async () => {
+  const dir = await mkdtemp(join(tmpdir(), "express-turso-api-test-"));
+  process.env.TURSO_DATABASE_URL = `file:${join(dir, "test.db")}`;
+  const { default: turso } = await import("../src/db.js");
+  await turso.executeMultiple(
+    await readFile(new URL("../migrations/dbinit.sql", import.meta.url), "utf8")
+  );
+  return {
+    turso,
+    cleanup: async () => {
+      turso.close();
+      await rm(dir, { recursive: true, force: true });
+    },
+  };
+};
+
+/**
+ * Serve src/app.js on a free local port. `request` sends JSON and resolves to the
+ * status and parsed body.
+ */
+export const serveApp = async () => {
+  const { default: app } = await import("../src/app.js");
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * @param {string} method
+   * @param {string} path
+   * @param {{ body?: unknown; token?: string; apiKey?: string; headers?: Record<string, string> }} [options]
+   *   a string body is sent as is (e.g. a signed webhook payload)
+   */
+  const request = async (
+    method,
+    path,
+    { body, token, apiKey, headers } = {}
+  ) => {
+    const resp = await fetch(base + path, {
+      method,
+      headers: {
+        "content-type": "application/json",
+        ...(token && { authorization: `Bearer ${token}` }),
+        ...(apiKey && { "x-api-key": apiKey }),
+        ...headers,
+      },
+      body:
+        body === undefined || typeof body === "string"
+          ? body
+          : JSON.stringify(body),
+    });
+    const text = await resp.text();
+    return { status: resp.status, body: text ? JSON.parse(text) : null };
+  };
+
+  return {
+    request,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+/**
+ * Register a user with `role` and log in; resolves to the access token.
+ *
+ * @param {Awaited<ReturnType<typeof serveApp>>["request"]} request
+ * @param {string} username
+ * @param {string} [role]
+ */
+export const registerAndLogin = async (request, username, role = "user") => {
+  const password = "correct horse battery";
+  const registered = await request("POST", "/api/register", {
+    body: { username, password, email: `${username}@example.com`, role },
+  });
+  if (registered.status >= 300)
+    throw new Error(`register failed: ${JSON.stringify(registered.body)}`);
+  const login = await request("POST", "/api/login", {
+    body: { username, password },
+  });
+  if (!login.body?.token)
+    throw new Error(`login failed: ${JSON.stringify(login.body)}`);
+  return login.body.token;
+};
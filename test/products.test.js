@@ -0,0 +1,157 @@
+import { after, before, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { fakeShopify, graphql, useTestDatabase } from "./helpers.js";
+
+// Product creation and the import worker's adopt-by-tag resume, end to end: utils/
+// products.js against a fake Shopify transport and a file: database.
+
+process.env.SHOPIFY_SHOP_DOMAIN = "test.myshopify.com";
+process.env.SHOPIFY_API_KEY = "shpat_test";
+process.env.LOG_LEVEL ||= "error";
+
+const { turso, cleanup } = await useTestDatabase();
+const { setDefaultTransport, ShopifyUserError } =
+  await import("../src/utils/shopify.js");
+const { adoptShopifyProduct, createSingleProduct, findShopifyProductByTag } =
+  await import("../src/utils/products.js");
+
+let ownerId;
+let shopify;
+// Replies the fake Shopify answers the next calls with
+const useFakeShopify = (replies) => {
+  shopify = fakeShopify(replies);
+  setDefaultTransport(shopify.transport);
+};
+
+const shopifyProduct = (id, title) => ({
+  id: `gid://shopify/Product/${id}`,
+  title,
+  media: { edges: [] },
+});
+
+before(async () => {
+  const result = await turso.execute(
+    `INSERT INTO users (public_id, username, password, email, role_id)
+     SELECT 'user_test', 'owner', 'x', 'owner@example.com', id FROM roles WHERE name = 'user'
+     RETURNING id`
+  );
+  ownerId = result.rows[0].id;
+});
+
+beforeEach(() => turso.execute("DELETE FROM products"));
+
+after(cleanup);
+
+test("creates the product on Shopify and records it with its variant and stock", async () => {
+  useFakeShopify([
+    graphql({
+      productCreate: { product: shopifyProduct(1001, "Hat"), userErrors: [] },
+    }),
+    graphql({
+      productVariantsBulkCreate: {
+        productVariants: [
+          {
+            id: "gid://shopify/ProductVariant/2001",
+            inventoryItem: { id: "gid://shopify/InventoryItem/3001" },
+            title: "Default",
+            price: "19.90",
+            selectedOptions: [{ name: "Title", value: "Default" }],
+            position: 1,
+          },
+        ],
+        userErrors: [],
+      },
+    }),
+  ]);
+
+  const result = await createSingleProduct(
+    { name: "Hat", price: 19.9, quantity: 3 },
+    ownerId
+  );
+
+  assert.equal(result.success, true);
+  assert.match(result.public_id, /^product_/);
+  const [create, variants] = shopify.calls;
+  assert.equal(create.headers["X-Shopify-Access-Token"], "shpat_test");
+  assert.equal(
+    create.url,
+    "https://test.myshopify.com/admin/api/2025-10/graphql.json"
+  );
+  assert.deepEqual(create.json.variables.product, { title: "Hat" });
+  assert.equal(variants.json.variables.productId, "gid://shopify/Product/1001");
+  assert.equal(
+    variants.json.variables.variants[0].inventoryQuantities[0]
+      .availableQuantity,
+    3
+  );
+
+  const product = await turso.execute({
+    sql: "SELECT id, shopify_id, name, created_by, shop_id FROM products WHERE public_id = ?",
+    args: [result.public_id],
+  });
+  const { id, ...recorded } = product.rows[0];
+  assert.deepEqual(recorded, {
+    shopify_id: "1001",
+    name: "Hat",
+    created_by: ownerId,
+    shop_id: null,
+  });
+  const variant = await turso.execute({
+    sql: "SELECT shopify_variant_id, inventory_item_id, price FROM product_variants WHERE product_id = ?",
+    args: [id],
+  });
+  assert.deepEqual(
+    { ...variant.rows[0] },
+    { shopify_variant_id: "2001", inventory_item_id: "3001", price: 19.9 }
+  );
+});
+
+test("a product Shopify rejects is not recorded", async () => {
+  useFakeShopify([
+    graphql({
+      productCreate: {
+        product: null,
+        userErrors: [{ field: ["title"], message: "Title is too long" }],
+      },
+    }),
+  ]);
+
+  await assert.rejects(
+    createSingleProduct({ name: "Hat", price: 1 }, ownerId),
+    (err) => err instanceof ShopifyUserError && err.status === 400
+  );
+  const count = await turso.execute("SELECT COUNT(*) AS n FROM products");
+  assert.equal(count.rows[0].n, 0);
+  assert.equal(shopify.calls.length, 1);
+});
+
+test("invalid input is rejected before calling Shopify", async () => {
+  useFakeShopify([]);
+  await assert.rejects(
+    createSingleProduct({ name: "" }, ownerId),
+    (err) => err.status === 400
+  );
+  assert.equal(shopify.calls.length, 0);
+});
+
+test("a product found by its import tag is adopted once", async () => {
+  const found = shopifyProduct(1002, "Scarf");
+  useFakeShopify([
+    (req) => {
+      assert.equal(req.variables.query, "tag:'import-job_1-0'");
+      return graphql({ products: { edges: [{ node: found }] } });
+    },
+  ]);
+
+  const previous = await findShopifyProductByTag("import-job_1-0");
+  assert.equal(previous.id, found.id);
+  const first = await adoptShopifyProduct(previous, ownerId);
+  const again = await adoptShopifyProduct(previous, ownerId);
+
+  assert.equal(again.public_id, first.public_id);
+  const rows = await turso.execute(
+    "SELECT shopify_id, name FROM products WHERE shopify_id = '1002'"
+  );
+  assert.equal(rows.rows.length, 1);
+  assert.equal(rows.rows[0].name, "Scarf");
+});
@@ -0,0 +1,127 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ShopifyNetworkError,
+  ShopifyUserError,
+  createShopifyClient,
+} from "../src/utils/shopify.js";
+import { HANG, fakeShopify, graphql } from "./helpers.js";
+
+// The Shopify client against a fake transport: retries, throttling, timeouts and user
+// errors without a store or network access.
+
+const throttled = () => ({
+  status: 200,
+  headers: {},
+  body: JSON.stringify({
+    errors: [{ message: "Throttled", extensions: { code: "THROTTLED" } }],
+    extensions: {
+      cost: {
+        requestedQueryCost: 10,
+        throttleStatus: {
+          maximumAvailable: 1000,
+          currentlyAvailable: 1000,
+          restoreRate: 50,
+        },
+      },
+    },
+  }),
+});
+
+const fakeClient = (replies) => {
+  const { transport, calls } = fakeShopify(replies);
+  const client = createShopifyClient({
+    shopDomain: "fake.myshopify.com",
+    accessToken: "shpat_fake",
+    transport,
+    timeoutMs: 50,
+    maxRetries: 2,
+    sleep: async () => {},
+    random: () => 0,
+  });
+  return { client, calls };
+};
+
+const PRODUCT_QUERY = `query product($id: ID!) { product(id: $id) { id title } }`;
+const CREATE_MUTATION = `mutation productCreate($product: ProductCreateInput!) {
+  productCreate(product: $product) { product { id } userErrors { field message code } }
+}`;
+
+test("mutation payload and request shape", async () => {
+  const { client, calls } = fakeClient([
+    graphql({
+      productCreate: {
+        product: { id: "gid://shopify/Product/1" },
+        userErrors: [],
+      },
+    }),
+  ]);
+  const payload = await client.mutate(
+    CREATE_MUTATION,
+    { product: { title: "Hat" } },
+    "productCreate"
+  );
+  assert.equal(payload.product.id, "gid://shopify/Product/1");
+  assert.equal(
+    calls[0].url,
+    "https://fake.myshopify.com/admin/api/2025-10/graphql.json"
+  );
+  assert.equal(calls[0].headers["X-Shopify-Access-Token"], "shpat_fake");
+  assert.deepEqual(calls[0].json.variables, { product: { title: "Hat" } });
+});
+
+test("THROTTLED is retried", async () => {
+  const { client, calls } = fakeClient([
+    throttled(),
+    graphql({ product: { id: "1", title: "Hat" } }),
+  ]);
+  const data = await client.request(PRODUCT_QUERY, { id: "1" });
+  assert.equal(data.product.title, "Hat");
+  assert.equal(calls.length, 2);
+});
+
+test("5xx on a query is retried", async () => {
+  const { client, calls } = fakeClient([
+    { status: 503, headers: {}, body: "unavailable" },
+    graphql({ product: null }),
+  ]);
+  assert.deepEqual(await client.request(PRODUCT_QUERY, { id: "1" }), {
+    product: null,
+  });
+  assert.equal(calls.length, 2);
+});
+
+test("a timed out query is retried", async () => {
+  const { client, calls } = fakeClient([
+    HANG,
+    graphql({ product: { id: "1", title: "Hat" } }),
+  ]);
+  const data = await client.request(PRODUCT_QUERY, { id: "1" });
+  assert.equal(data.product.id, "1");
+  assert.equal(calls.length, 2);
+});
+
+test("a timed out mutation is not retried", async () => {
+  const { client, calls } = fakeClient([HANG]);
+  await assert.rejects(
+    client.mutate(CREATE_MUTATION, { product: {} }, "productCreate"),
+    (err) =>
+      err instanceof ShopifyNetworkError && err.code === "shopify_timeout"
+  );
+  assert.equal(calls.length, 1);
+});
+
+test("userErrors become ShopifyUserError", async () => {
+  const { client } = fakeClient([
+    graphql({
+      productCreate: {
+        product: null,
+        userErrors: [{ field: ["title"], message: "Title can't be blank" }],
+      },
+    }),
+  ]);
+  await assert.rejects(
+    client.mutate(CREATE_MUTATION, { product: {} }, "productCreate"),
+    (err) => err instanceof ShopifyUserError && err.status === 400
+  );
+});
@@ -0,0 +1,98 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { serveApp, useTestDatabase } from "./helpers.js";
+
+// Shopify webhook deliveries through the HTTP API: orders are counted once, whatever
+// the webhook id and however long ago they were first applied.
+
+process.env.SHOPIFY_SHOP_DOMAIN = "test.myshopify.com";
+process.env.SHOPIFY_WEBHOOK_SECRET = "whsec_test";
+process.env.LOG_LEVEL ||= "error";
+
+const { turso, cleanup } = await useTestDatabase();
+const api = await serveApp();
+
+// POST a signed delivery; `headers` override the defaults (a fresh webhook id, sent now)
+const deliver = (topic, payload, headers = {}) => {
+  const body = JSON.stringify(payload);
+  return api.request("POST", "/api/webhooks/shopify", {
+    body,
+    headers: {
+      "x-shopify-hmac-sha256": crypto
+        .createHmac("sha256", "whsec_test")
+        .update(body)
+        .digest("base64"),
+      "x-shopify-topic": topic,
+      "x-shopify-shop-domain": "test.myshopify.com",
+      "x-shopify-webhook-id": crypto.randomUUID(),
+      "x-shopify-triggered-at": new Date().toISOString(),
+      ...headers,
+    },
+  });
+};
+
+const salesCount = async () => {
+  const result = await turso.execute(
+    "SELECT sales_count FROM products WHERE shopify_id = '5001'"
+  );
+  return result.rows[0].sales_count;
+};
+
+const order = (id, quantity) => ({
+  id,
+  line_items: [{ id: id * 10, product_id: 5001, quantity, price: "10.00" }],
+});
+
+before(() =>
+  turso.execute(
+    "INSERT INTO products (public_id, shopify_id, name) VALUES ('product_test', '5001', 'Hat')"
+  )
+);
+
+after(async () => {
+  await api.close();
+  await cleanup();
+});
+
+test("an order is counted once even under another webhook id", async () => {
+  const first = await deliver("orders/create", order(1, 2));
+  assert.equal(first.status, 200);
+  assert.equal(first.body.duplicate, undefined);
+
+  const again = await deliver("orders/create", order(1, 2));
+  assert.equal(again.status, 200);
+  assert.equal(again.body.duplicate, true);
+  assert.equal(await salesCount(), 2);
+});
+
+test("an order replayed after delivery records are pruned is still a duplicate", async () => {
+  await deliver("orders/create", order(2, 1));
+  await turso.execute(
+    "UPDATE webhook_deliveries SET processed_at = '2000-01-01 00:00:00.000'"
+  );
+  // any delivery prunes the old records
+  await deliver("products/delete", { id: 9999 });
+  await new Promise((resolve) => setTimeout(resolve, 100));
+
+  const replay = await deliver("orders/create", order(2, 1));
+  assert.equal(replay.body.duplicate, true);
+  assert.equal(await salesCount(), 3);
+});
+
+test("a delivery without X-Shopify-Triggered-At is rejected as stale", async () => {
+  const res = await deliver("orders/create", order(3, 5), {
+    "x-shopify-triggered-at": "",
+  });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, "stale_delivery");
+  assert.equal(await salesCount(), 3);
+});
+
+test("a delivery with a bad signature is rejected", async () => {
+  const res = await deliver("orders/create", order(4, 5), {
+    "x-shopify-hmac-sha256": "bm90IHRoZSBzaWduYXR1cmU=",
+  });
+  assert.equal(res.status, 401);
+  assert.equal(await salesCount(), 3);
+});